@@ -2,8 +2,10 @@
 
 import { classifyGradient } from "./gradient-classifier";
 import { isWhiteLike, rgbToHex, rgbToLab } from "./color-utils";
+import { visibleBindings } from "./svg-registry";
 
-export function generateReport(registries, whiteResults, clusters) {
+// `features`: normalizeSvgWithInventory's unsupported-feature inventory
+export function generateReport(registries, whiteResults, clusters, features = []) {
   const { paths, paints, paintGroups, viewBox } = registries;
 
   const decisions = [];
@@ -31,6 +33,33 @@ export function generateReport(registries, whiteResults, clusters) {
     }
   }
 
+  // Masks that couldn't be flattened into geometry — the paths they cover render partially
+  const flags = [];
+  const masked = new Map();
+  for (const path of paths.values()) {
+    if (!path.maskId) continue;
+    if (!masked.has(path.maskId)) masked.set(path.maskId, []);
+    masked.get(path.maskId).push(path);
+  }
+  for (const [maskId, members] of masked) {
+    flags.push({
+      type: "mask_present",
+      maskId,
+      pathIds: members.map((p) => p.id),
+      originalIds: [...new Set(members.map((p) => p.originalId))],
+    });
+  }
+
+  // Text left unoutlined because its font wasn't available
+  const missingFonts = new Map();
+  for (const { fontFamily, text } of registries.unresolvedText || []) {
+    if (!missingFonts.has(fontFamily)) missingFonts.set(fontFamily, []);
+    missingFonts.get(fontFamily).push(text);
+  }
+  for (const [fontFamily, texts] of missingFonts) {
+    flags.push({ type: "missing_font", fontFamily, texts });
+  }
+
   // Summary
   const pathCount = paths.size;
   const paintCount = paints.size;
@@ -51,6 +80,8 @@ export function generateReport(registries, whiteResults, clusters) {
     whiteRegions: whiteResults.regions,
     paintGroups,
     gradientInfo,
+    flags,
+    features,
     viewBox,
     summary: {
       pathCount,
@@ -64,6 +95,13 @@ export function generateReport(registries, whiteResults, clusters) {
       clusterCount,
       iconClusterCount: iconClusters,
       wordmarkClusterCount: wordmarkClusters,
+      clippedPathCount: [...paths.values()].filter((p) => p.clipped).length,
+      maskedPathCount: [...masked.values()].reduce((n, members) => n + members.length, 0),
+      missingFontCount: missingFonts.size,
+      unsupportedFeatureCount: features.length,
+      warnings: features.map(
+        (f) => `${f.feature} on ${f.elements.length} element${f.elements.length === 1 ? "" : "s"} (${f.elements.slice(0, 5).join(", ")}${f.elements.length > 5 ? ", …" : ""}) — ${f.handling}: ${f.detail}`
+      ),
     },
   };
 }
@@ -128,7 +166,38 @@ export function reportToPromptHints(report) {
     lines.push("SIMILAR COLOR GROUPS (these shapes likely share the same color — keep consistent):");
     for (const g of solidGroups) {
       const rep = g.representative;
-      lines.push(`  - Group: ${g.members.join(", ")} → representative color: ${rep.hex || rep.raw}`);
+      const roles = g.roles?.length ? ` (${g.roles.join(" + ")})` : "";
+      lines.push(`  - Group: ${g.members.join(", ")} → representative color: ${rep.hex || rep.raw}${roles}`);
+    }
+  }
+
+  // Masks
+  const maskFlags = (report.flags || []).filter((f) => f.type === "mask_present");
+  if (maskFlags.length > 0) {
+    lines.push("");
+    lines.push("MASKED SHAPES (only partly visible through a mask — judge their color from the visible part in the original image):");
+    for (const f of maskFlags) {
+      lines.push(`  - mask #${f.maskId}: ${f.originalIds.join(", ")}`);
+    }
+  }
+
+  // Unsupported SVG features
+  const features = report.features || [];
+  if (features.length > 0) {
+    lines.push("");
+    lines.push("UNSUPPORTED FEATURES (the listed shapes and colors don't reflect these — check the original image):");
+    for (const f of features) {
+      lines.push(`  - ${f.feature} (${f.handling}): ${f.elements.join(", ")}`);
+    }
+  }
+
+  // Unoutlined text
+  const fontFlags = (report.flags || []).filter((f) => f.type === "missing_font");
+  if (fontFlags.length > 0) {
+    lines.push("");
+    lines.push("TEXT WITHOUT OUTLINES (font not available — this text is not among the listed shapes):");
+    for (const f of fontFlags) {
+      lines.push(`  - font "${f.fontFamily}": ${f.texts.map((t) => `"${t}"`).join(", ")}`);
     }
   }
 
@@ -139,7 +208,7 @@ export function reportToPromptHints(report) {
 }
 
 export function extractColorInventory(registries, report) {
-  const { paths, paints, paintGroups } = registries;
+  const { bindings, paintGroups } = registries;
   const decisions = report.decisions || [];
 
   const excludedPathIds = new Set();
@@ -148,6 +217,7 @@ export function extractColorInventory(registries, report) {
       excludedPathIds.add(d.pathId);
     }
   }
+  const visible = new Set(visibleBindings(registries, excludedPathIds));
 
   const inkColors = [];
   const backgroundColors = [];
@@ -162,20 +232,17 @@ export function extractColorInventory(registries, report) {
       gradientPresent = true;
     }
 
-    // Check if all paths in this group are excluded
+    // Check if every fill and stroke painted with this group is excluded
     let allExcluded = true;
     let totalArea = 0;
-    for (const memberId of group.members) {
-      for (const [, path] of paths) {
-        if (path.fillPaint?.id === memberId) {
-          totalArea += path.area;
-          if (!excludedPathIds.has(path.id)) allExcluded = false;
-        }
-      }
+    for (const binding of bindings) {
+      if (binding.groupId !== group.id) continue;
+      totalArea += binding.area;
+      if (visible.has(binding)) allExcluded = false;
     }
 
     const hex = rep.hex || (rep.rgba ? rgbToHex(rep.rgba) : "#000000");
-    const entry = { groupId: group.id, hex, area: totalArea, type: rep.type };
+    const entry = { groupId: group.id, hex, area: totalArea, type: rep.type, roles: group.roles || ["fill"] };
 
     if (rep.type === "solid" && rep.rgba && isWhiteLike(rep.rgba)) {
       if (allExcluded) backgroundColors.push(entry);
@@ -0,0 +1,121 @@
+// Versioned JSON snapshot of a structural analysis (registries + report), and the loader that
+// turns one back into working registries — to save a session, reopen it, or diff two runs
+//
+// Format (version 1), plain JSON throughout:
+//
+//   {
+//     format: "logo-analyzer/analysis", version: 1,
+//     viewBox: { x, y, width, height },
+//     paints: { [paintKey]: paint },            // as deduplicatePaints makes them, with `id`
+//     paintGroups: [{ id, type, members: [paintId], roles, representativeId | representative }],
+//     paths: { [pathId]: { …entry, d, fillPaintId, strokePaintId } },
+//     bindings: [{ pathId, role, attr, paintId, groupId, alpha, area }],
+//     unresolvedText: [{ fontFamily, text }],
+//     report: { …generateReport output minus paintGroups and viewBox },
+//   }
+//
+// Path entries keep every registry field except the live element (`el`), which becomes its
+// path data `d`, and the paint objects, which become paint ids (null for a "none" stroke).
+// A group representative that is one of its members is stored by id; a synthesized one
+// (averaged gradients) inline.
+
+import { parseSvgElement } from "./svg-dom";
+
+export const SNAPSHOT_FORMAT = "logo-analyzer/analysis";
+export const SNAPSHOT_VERSION = 1;
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const NO_PAINT = { type: "none", raw: "none", rgba: { r: 0, g: 0, b: 0, a: 0 } };
+
+// ─── Snapshot ───
+
+export function snapshotAnalysis(registries, report) {
+  const paintIds = new Set([...registries.paints.values()].map((p) => p.id));
+
+  const paths = {};
+  for (const [pathId, { el, fillPaint, strokePaint, ...entry }] of registries.paths) {
+    paths[pathId] = {
+      ...entry,
+      d: el?.getAttribute("d") || "",
+      fillPaintId: paintIds.has(fillPaint?.id) ? fillPaint.id : null,
+      strokePaintId: paintIds.has(strokePaint?.id) ? strokePaint.id : null,
+    };
+  }
+
+  const paintGroups = registries.paintGroups.map(({ representative, ...group }) =>
+    paintIds.has(representative?.id) && !representative.averagedFrom
+      ? { ...group, representativeId: representative.id }
+      : { ...group, representative }
+  );
+
+  return JSON.parse(
+    JSON.stringify({
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      viewBox: registries.viewBox,
+      paints: Object.fromEntries(registries.paints),
+      paintGroups,
+      paths,
+      bindings: registries.bindings,
+      unresolvedText: registries.unresolvedText || [],
+      // Shared with the registries — stored once, above
+      report: { ...report, paintGroups: undefined, viewBox: undefined },
+    })
+  );
+}
+
+// ─── Loader ───
+
+// snapshot (object or JSON text) → { registries, report }, shaped as buildRegistries and
+// generateReport return them. Each path gets a fresh headless <path> with its d, paint and
+// fill rule, so geometry helpers work on it. Throws 400 for anything that isn't a snapshot
+// of a version this code reads.
+export function loadAnalysisSnapshot(snapshot) {
+  const data = typeof snapshot === "string" ? JSON.parse(snapshot) : snapshot;
+  if (!data || data.format !== SNAPSHOT_FORMAT) {
+    const err = new Error("Not an analysis snapshot");
+    err.status = 400;
+    throw err;
+  }
+  if (data.version !== SNAPSHOT_VERSION) {
+    const err = new Error(`Unsupported analysis snapshot version ${data.version} (expected ${SNAPSHOT_VERSION})`);
+    err.status = 400;
+    throw err;
+  }
+
+  const paints = new Map(Object.entries(data.paints));
+  const paintsById = new Map([...paints.values()].map((p) => [p.id, p]));
+
+  const paintGroups = data.paintGroups.map(({ representativeId, representative, ...group }) => ({
+    ...group,
+    representative: representative ?? paintsById.get(representativeId),
+  }));
+
+  const { x, y, width, height } = data.viewBox;
+  const svg = parseSvgElement(`<svg xmlns="${SVG_NS}" viewBox="${x} ${y} ${width} ${height}"/>`);
+  const paths = new Map();
+  for (const [pathId, { d, fillPaintId, strokePaintId, ...entry }] of Object.entries(data.paths)) {
+    const fillPaint = paintsById.get(fillPaintId) || NO_PAINT;
+    const strokePaint = paintsById.get(strokePaintId) || NO_PAINT;
+
+    const el = svg.ownerDocument.createElementNS(SVG_NS, "path");
+    el.setAttribute("d", d);
+    el.setAttribute("fill", fillPaint.raw);
+    el.setAttribute("stroke", strokePaint.raw);
+    el.setAttribute("fill-rule", entry.fillRule || "nonzero");
+    svg.appendChild(el);
+
+    paths.set(pathId, { ...entry, el, fillPaint, strokePaint });
+  }
+
+  const registries = {
+    paths,
+    paints,
+    bindings: data.bindings,
+    paintGroups,
+    viewBox: data.viewBox,
+    unresolvedText: data.unresolvedText,
+  };
+  const report = { ...data.report, paintGroups, viewBox: data.viewBox };
+  return { registries, report };
+}
@@ -0,0 +1,51 @@
+// Content-hash cache keys shared by the server result cache and the client IndexedDB cache
+//
+// Bump CACHE_VERSION when prompts, schemas or vectorizer options change meaning, so results
+// cached under the old behavior are no longer found.
+
+export const CACHE_VERSION = 1;
+
+const encoder = new TextEncoder();
+
+function toBytes(part) {
+  if (part instanceof Uint8Array) return part;
+  if (part instanceof ArrayBuffer) return new Uint8Array(part);
+  return encoder.encode(typeof part === "string" ? part : JSON.stringify(part ?? null));
+}
+
+// SHA-256 over the parts (bytes, strings or JSON-able values) → "<kind>-<hex>".
+// Parts are length-prefixed so ("ab", "c") and ("a", "bc") hash differently.
+// → null when Web Crypto is unavailable (browsers outside a secure context, e.g. the app on
+// plain http at a LAN address); callers treat a null key as "don't cache".
+export async function cacheKey(kind, ...parts) {
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) return null;
+  const chunks = [toBytes(`${kind}:v${CACHE_VERSION}`), ...parts.map(toBytes)];
+  const total = chunks.reduce((n, c) => n + 4 + c.length, 0);
+  const buf = new Uint8Array(total);
+  const view = new DataView(buf.buffer);
+  let pos = 0;
+  for (const c of chunks) {
+    view.setUint32(pos, c.length);
+    buf.set(c, pos + 4);
+    pos += 4 + c.length;
+  }
+  let digest;
+  try {
+    digest = new Uint8Array(await subtle.digest("SHA-256", buf));
+  } catch {
+    return null;
+  }
+  return kind + "-" + Array.from(digest, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Keys for the paid calls, shared by the API routes and the server pipeline so a batch or job
+// re-run finds what single uploads cached, and the other way round
+
+export function analyzeCacheKey(provider, schemaName, prompt, images) {
+  return cacheKey("analyze", provider.name, provider.model, schemaName, prompt, images);
+}
+
+export function vectorizeCacheKey(engine, params, data) {
+  return cacheKey("vectorize", engine, params, data);
+}
@@ -74,6 +74,20 @@ export function isWhiteLike(rgb) {
   return lab.L > 92 && chroma < 8;
 }
 
+// opacity / fill-opacity / stroke-opacity value ("0.4" or "40%") → 0..1; missing or invalid → 1
+export function parseOpacity(value) {
+  if (value == null || value === "") return 1;
+  const v = parseFloat(value);
+  if (!Number.isFinite(v)) return 1;
+  return Math.max(0, Math.min(1, String(value).trim().endsWith("%") ? v / 100 : v));
+}
+
+// The opaque color `rgb` shows at `alpha` over an opaque `background`
+export function compositeOver(rgb, alpha, background = { r: 255, g: 255, b: 255 }) {
+  const mix = (c, bg) => Math.round(c * alpha + bg * (1 - alpha));
+  return { r: mix(rgb.r, background.r), g: mix(rgb.g, background.g), b: mix(rgb.b, background.b), a: 1 };
+}
+
 export function rgbToHex({ r, g, b }) {
   return "#" + [r, g, b].map((v) => Math.max(0, Math.min(255, Math.round(v))).toString(16).padStart(2, "0")).join("");
 }
@@ -0,0 +1,96 @@
+// Shape labeling and color assignment for the colorize / fix steps (browser and headless)
+
+import { SVG_NS } from "./svg-dom";
+
+export const FILLABLE = new Set(["path", "polygon", "rect", "circle", "ellipse", "polyline"]);
+
+// Nearest fill from attributes or inline styles up the tree — headless stand-in for getComputedStyle
+function inheritedFill(el) {
+  for (let node = el; node && node.nodeType === 1; node = node.parentNode) {
+    const attr = node.getAttribute("fill");
+    if (attr) return attr;
+    const style = (node.getAttribute("style") || "").match(/(?:^|;)\s*fill\s*:\s*([^;!]+)/i);
+    if (style) return style[1].trim();
+  }
+  return "#000";
+}
+
+// Walk fillable shapes in document order, labeling unlabeled ones "s0", "s1", …
+// `computedFill(el)` resolves fills not set as an attribute (defaults to the inherited fill)
+export function discoverShapes(svg, computedFill = inheritedFill) {
+  const found = [];
+  let si = 0;
+  const walk = (el) => {
+    if (FILLABLE.has(el.tagName?.toLowerCase())) {
+      const f = el.getAttribute("fill");
+      if (f === "none") return;
+      const computed = f || computedFill(el) || "#000";
+      const parsedFill = computed.startsWith("rgb")
+        ? "#" + [...computed.matchAll(/\d+/g)].map((m) => (+m[0]).toString(16).padStart(2, "0")).join("")
+        : computed;
+      if (!el.getAttribute("id")) el.setAttribute("id", "s" + si);
+      found.push({ id: el.getAttribute("id"), tag: el.tagName, fill: parsedFill || "#000" });
+      si++;
+    }
+    if (el.children) [...el.children].forEach(walk);
+  };
+  walk(svg);
+  return found;
+}
+
+export function formatShapeList(shapes) {
+  return shapes.map((s) => `${s.id}: <${s.tag}> (currently fill="${s.fill}")`).join("\n");
+}
+
+// Append a gradient definition for a GPT gradient assignment; returns the "url(#id)" reference
+export function createSvgGradient(svg, grad, gid) {
+  const doc = svg.ownerDocument;
+  let defs = svg.querySelector("defs");
+  if (!defs) {
+    defs = doc.createElementNS(SVG_NS, "defs");
+    svg.prepend(defs);
+  }
+  let g;
+  if (grad.type === "radial") {
+    g = doc.createElementNS(SVG_NS, "radialGradient");
+    g.setAttribute("cx", "50%");
+    g.setAttribute("cy", "50%");
+    g.setAttribute("r", "50%");
+  } else {
+    g = doc.createElementNS(SVG_NS, "linearGradient");
+    const r = ((grad.angle || 135) * Math.PI) / 180;
+    g.setAttribute("x1", 50 - Math.cos(r) * 50 + "%");
+    g.setAttribute("y1", 50 - Math.sin(r) * 50 + "%");
+    g.setAttribute("x2", 50 + Math.cos(r) * 50 + "%");
+    g.setAttribute("y2", 50 + Math.sin(r) * 50 + "%");
+  }
+  g.setAttribute("id", gid);
+  g.setAttribute("gradientUnits", "objectBoundingBox");
+  (grad.stops || []).forEach((stop) => {
+    const st = doc.createElementNS(SVG_NS, "stop");
+    st.setAttribute("offset", stop.offset || "0%");
+    st.setAttribute("stop-color", stop.color || "#000");
+    g.appendChild(st);
+  });
+  defs.appendChild(g);
+  return "url(#" + gid + ")";
+}
+
+// Apply { shapeId, fill, gradient } assignments; gradient ids are `${gradientPrefix}${index}`
+export function applyColorAssignments(svg, assignments, gradientPrefix = "cg") {
+  let applied = 0;
+  let gradients = 0;
+  assignments.forEach((a, ai) => {
+    const el = svg.getElementById(a.shapeId);
+    if (!el) return;
+    if (a.gradient && a.gradient.stops?.length >= 2) {
+      el.setAttribute("fill", createSvgGradient(svg, a.gradient, gradientPrefix + ai));
+      gradients++;
+      applied++;
+    } else if (a.fill) {
+      el.setAttribute("fill", a.fill);
+      applied++;
+    }
+  });
+  return { applied, gradients };
+}
@@ -27,22 +27,23 @@ export function createDebugOverlay(svgEl, paths, debugColorMap) {
 
   for (const el of allPaths) {
     const id = el.getAttribute("id");
-    // Try to match by iterating registered paths
-    let debugColor = null;
+    // Try to match by iterating registered paths; fill and live stroke get their own group colors
+    let fillColor = null;
+    let strokeColor = null;
     for (const [, pathEntry] of paths) {
       if (pathEntry.originalId === id) {
-        const paintKey = pathEntry.fillPaint?.id;
-        if (paintKey && debugColorMap.has(paintKey)) {
-          debugColor = debugColorMap.get(paintKey);
-        }
+        fillColor = debugColorMap.get(pathEntry.fillPaint?.id) || null;
+        strokeColor = debugColorMap.get(pathEntry.strokePaint?.id) || null;
         break;
       }
     }
-    if (debugColor) {
-      el.setAttribute("fill", debugColor);
+    if (fillColor) {
+      el.setAttribute("fill", fillColor);
       el.setAttribute("fill-opacity", "0.6");
-      el.setAttribute("stroke", debugColor);
-      el.setAttribute("stroke-width", "0.5");
+    }
+    if (strokeColor || fillColor) {
+      el.setAttribute("stroke", strokeColor || fillColor);
+      if (!strokeColor) el.setAttribute("stroke-width", "0.5");
     }
   }
 
@@ -59,8 +60,12 @@ export function createShapeInfoPanel(pathId, report, registries) {
   const lines = [];
   lines.push(`<strong>Shape:</strong> ${path.originalId} (${pathId})`);
   lines.push(`<strong>BBox:</strong> ${path.bbox.x.toFixed(1)}, ${path.bbox.y.toFixed(1)} — ${path.bbox.width.toFixed(1)}×${path.bbox.height.toFixed(1)}`);
-  lines.push(`<strong>Area:</strong> ${path.area.toFixed(1)} | Z-index: ${path.zIndex}`);
-  lines.push(`<strong>Fill:</strong> ${path.fillPaint.type === "solid" ? path.fillPaint.hex : path.fillPaint.type} (${path.fillPaint.raw})`);
+  lines.push(`<strong>Area:</strong> ${path.area.toFixed(1)} (net ${(path.netArea ?? path.area).toFixed(1)}, bbox ${(path.bboxArea ?? 0).toFixed(1)}) | Z-index: ${path.zIndex}`);
+  const paintLabel = (paint) => `${paint.type === "solid" ? paint.hex : paint.type} (${paint.raw})`;
+  lines.push(`<strong>${path.strokeOutline ? "Stroke (outlined)" : "Fill"}:</strong> ${paintLabel(path.fillPaint)}`);
+  if (path.strokePaint && path.strokePaint.type !== "none") {
+    lines.push(`<strong>Stroke:</strong> ${paintLabel(path.strokePaint)} × ${path.strokeWidth} (≈${path.strokeArea.toFixed(1)} ink)`);
+  }
 
   if (decision) {
     lines.push(`<strong>Classification:</strong> <span style="color:${decision.action === "background_delete" ? "#ef4444" : decision.action === "counter_hole" ? "#f59e0b" : "#22c55e"}">${decision.action}</span> (${(decision.confidence * 100).toFixed(0)}%)`);
@@ -0,0 +1,595 @@
+// Dependency-free font reader for outlining text: TrueType / OpenType (glyf or CFF outlines),
+// WOFF and the first face of a TTC. Variable fonts render their default instance; WOFF2 and
+// CFF2 aren't supported.
+//
+// parseFont(bytes) → { family, weight, italic, unitsPerEm, glyphIndex(codePoint),
+//   advanceWidth(gid), kerning(leftGid, rightGid), glyphPath(gid) }
+// Glyph paths are [{ type: "M"|"L"|"Q"|"C"|"Z", args }] in font units, y up.
+
+import { inflateZlib } from "./inflate";
+
+function fontError(message) {
+  const err = new Error(message);
+  err.status = 415;
+  return err;
+}
+
+const tagAt = (view, offset) => String.fromCharCode(...[0, 1, 2, 3].map((i) => view.getUint8(offset + i)));
+
+// ─── Containers ───
+
+// sfnt table directory → { tag: DataView }
+function readSfntTables(view, base = 0) {
+  const tables = {};
+  const numTables = view.getUint16(base + 4);
+  for (let i = 0; i < numTables; i++) {
+    const rec = base + 12 + i * 16;
+    const offset = view.getUint32(rec + 8), length = view.getUint32(rec + 12);
+    if (offset + length > view.byteLength) throw fontError("Font table extends past end of file");
+    tables[tagAt(view, rec)] = new DataView(view.buffer, view.byteOffset + offset, length);
+  }
+  return tables;
+}
+
+function readWoffTables(view) {
+  const tables = {};
+  const numTables = view.getUint16(12);
+  for (let i = 0; i < numTables; i++) {
+    const rec = 44 + i * 20;
+    const offset = view.getUint32(rec + 4), compLength = view.getUint32(rec + 8), origLength = view.getUint32(rec + 12);
+    if (offset + compLength > view.byteLength) throw fontError("Font table extends past end of file");
+    let bytes = new Uint8Array(view.buffer, view.byteOffset + offset, compLength);
+    if (compLength < origLength) bytes = inflateZlib(bytes, origLength);
+    tables[tagAt(view, rec)] = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+  return tables;
+}
+
+function readTables(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.byteLength < 12) throw fontError("Not a font file");
+  const signature = tagAt(view, 0);
+  if (signature === "wOFF") return readWoffTables(view);
+  if (signature === "wOF2") throw fontError("WOFF2 fonts are not supported");
+  if (signature === "ttcf") return readSfntTables(view, view.getUint32(12));
+  if (signature === "OTTO" || signature === "true" || view.getUint32(0) === 0x00010000) return readSfntTables(view);
+  throw fontError("Not a font file");
+}
+
+// ─── Metadata tables ───
+
+function readNames(name) {
+  const names = {};
+  if (!name) return names;
+  const count = name.getUint16(2), strings = name.getUint16(4);
+  for (let i = 0; i < count; i++) {
+    const rec = 6 + i * 12;
+    const platform = name.getUint16(rec), encoding = name.getUint16(rec + 2), language = name.getUint16(rec + 4);
+    const id = name.getUint16(rec + 6), length = name.getUint16(rec + 8), offset = strings + name.getUint16(rec + 10);
+    if (offset + length > name.byteLength) continue;
+    let value;
+    if (platform === 3 || platform === 0) {
+      value = "";
+      for (let j = 0; j + 1 < length; j += 2) value += String.fromCharCode(name.getUint16(offset + j));
+    } else if (platform === 1 && encoding === 0) {
+      value = String.fromCharCode(...new Uint8Array(name.buffer, name.byteOffset + offset, length));
+    } else {
+      continue;
+    }
+    // Prefer English (Windows 0x409 / Mac 0) records
+    const english = (platform === 3 && language === 0x409) || (platform === 1 && language === 0);
+    if (!(id in names) || english) names[id] = value;
+  }
+  return names;
+}
+
+// cmap → codePoint → glyph index lookup
+function readCmap(cmap) {
+  if (!cmap) return () => 0;
+  const count = cmap.getUint16(2);
+  const subtables = [];
+  for (let i = 0; i < count; i++) {
+    const rec = 4 + i * 8;
+    subtables.push({ platform: cmap.getUint16(rec), encoding: cmap.getUint16(rec + 2), offset: cmap.getUint32(rec + 4) });
+  }
+  const rank = ({ platform, encoding }) =>
+    platform === 3 && encoding === 10 ? 0 : platform === 0 && encoding >= 4 ? 1 : platform === 3 && encoding === 1 ? 2 : platform === 0 ? 3 : 9;
+  const supported = subtables
+    .filter((t) => [0, 4, 6, 12].includes(cmap.getUint16(t.offset)) && rank(t) < 9)
+    .sort((a, b) => rank(a) - rank(b));
+  if (supported.length === 0) return () => 0;
+
+  const at = supported[0].offset;
+  const format = cmap.getUint16(at);
+
+  if (format === 0) return (cp) => (cp < 256 ? cmap.getUint8(at + 6 + cp) : 0);
+  if (format === 6) {
+    const first = cmap.getUint16(at + 6), n = cmap.getUint16(at + 8);
+    return (cp) => (cp >= first && cp < first + n ? cmap.getUint16(at + 10 + (cp - first) * 2) : 0);
+  }
+  if (format === 12) {
+    const groups = cmap.getUint32(at + 12);
+    return (cp) => {
+      let lo = 0, hi = groups - 1;
+      while (lo <= hi) {
+        const mid = (lo + hi) >> 1, g = at + 16 + mid * 12;
+        const start = cmap.getUint32(g), end = cmap.getUint32(g + 4);
+        if (cp < start) hi = mid - 1;
+        else if (cp > end) lo = mid + 1;
+        else return cmap.getUint32(g + 8) + (cp - start);
+      }
+      return 0;
+    };
+  }
+  // Format 4: segment mapping to delta values
+  const segX2 = cmap.getUint16(at + 6);
+  const endCodes = at + 14, startCodes = endCodes + segX2 + 2, deltas = startCodes + segX2, rangeOffsets = deltas + segX2;
+  return (cp) => {
+    if (cp > 0xffff) return 0;
+    for (let s = 0; s < segX2; s += 2) {
+      if (cp > cmap.getUint16(endCodes + s)) continue;
+      const start = cmap.getUint16(startCodes + s);
+      if (cp < start) return 0;
+      const delta = cmap.getUint16(deltas + s), rangeOffset = cmap.getUint16(rangeOffsets + s);
+      if (rangeOffset === 0) return (cp + delta) & 0xffff;
+      const gid = cmap.getUint16(rangeOffsets + s + rangeOffset + (cp - start) * 2);
+      return gid === 0 ? 0 : (gid + delta) & 0xffff;
+    }
+    return 0;
+  };
+}
+
+// kern table (format 0 pairs) → Map(left << 16 | right → value)
+function readKern(kern) {
+  const pairs = new Map();
+  if (!kern || kern.getUint16(0) !== 0) return pairs;
+  let at = 4;
+  for (let t = 0, n = kern.getUint16(2); t < n && at + 6 <= kern.byteLength; t++) {
+    const length = kern.getUint16(at + 2), coverage = kern.getUint16(at + 4);
+    // Horizontal, format 0, not cross-stream
+    if ((coverage & 0xff07) === 0x0001) {
+      const nPairs = kern.getUint16(at + 6);
+      for (let i = 0; i < nPairs; i++) {
+        const p = at + 14 + i * 6;
+        if (p + 6 > kern.byteLength) break;
+        pairs.set((kern.getUint16(p) << 16) | kern.getUint16(p + 2), kern.getInt16(p + 4));
+      }
+    }
+    at += length;
+  }
+  return pairs;
+}
+
+// ─── TrueType outlines ───
+
+function quadraticContours(contours) {
+  const path = [];
+  for (const points of contours) {
+    if (points.length === 0) continue;
+    // Start on an on-curve point (or the midpoint of two off-curve ones)
+    let startIdx = points.findIndex((p) => p.on);
+    let start;
+    if (startIdx === -1) {
+      start = { x: (points[0].x + points[1 % points.length].x) / 2, y: (points[0].y + points[1 % points.length].y) / 2 };
+      startIdx = 0;
+    } else {
+      start = points[startIdx];
+      startIdx++;
+    }
+    path.push({ type: "M", args: [start.x, start.y] });
+
+    let control = null;
+    for (let k = 0; k < points.length; k++) {
+      const p = points[(startIdx + k) % points.length];
+      if (p.on) {
+        if (control) path.push({ type: "Q", args: [control.x, control.y, p.x, p.y] });
+        else path.push({ type: "L", args: [p.x, p.y] });
+        control = null;
+      } else {
+        if (control) path.push({ type: "Q", args: [control.x, control.y, (control.x + p.x) / 2, (control.y + p.y) / 2] });
+        control = p;
+      }
+    }
+    if (control) path.push({ type: "Q", args: [control.x, control.y, start.x, start.y] });
+    path.push({ type: "Z", args: [] });
+  }
+  return path;
+}
+
+function createGlyfReader(glyf, loca, indexToLocFormat, numGlyphs) {
+  const offsetOf = (gid) => (indexToLocFormat === 0 ? loca.getUint16(gid * 2) * 2 : loca.getUint32(gid * 4));
+
+  // → contours [[{ x, y, on }]]
+  const readContours = (gid, depth) => {
+    if (gid >= numGlyphs || depth > 8) return [];
+    const start = offsetOf(gid), end = offsetOf(gid + 1);
+    if (end <= start) return [];
+    const numContours = glyf.getInt16(start);
+
+    if (numContours >= 0) {
+      const endPts = [];
+      for (let i = 0; i < numContours; i++) endPts.push(glyf.getUint16(start + 10 + i * 2));
+      const numPoints = numContours ? endPts[numContours - 1] + 1 : 0;
+      let p = start + 10 + numContours * 2;
+      p += 2 + glyf.getUint16(p); // instructions
+
+      const flags = [];
+      while (flags.length < numPoints) {
+        const flag = glyf.getUint8(p++);
+        flags.push(flag);
+        if (flag & 8) for (let r = glyf.getUint8(p++); r > 0; r--) flags.push(flag);
+      }
+      const readCoords = (shortBit, sameBit) => {
+        const values = [];
+        let v = 0;
+        for (const flag of flags) {
+          if (flag & shortBit) {
+            const d = glyf.getUint8(p++);
+            v += flag & sameBit ? d : -d;
+          } else if (!(flag & sameBit)) {
+            v += glyf.getInt16(p);
+            p += 2;
+          }
+          values.push(v);
+        }
+        return values;
+      };
+      const xs = readCoords(2, 16);
+      const ys = readCoords(4, 32);
+
+      const contours = [];
+      let first = 0;
+      for (const last of endPts) {
+        const contour = [];
+        for (let i = first; i <= last; i++) contour.push({ x: xs[i], y: ys[i], on: (flags[i] & 1) === 1 });
+        contours.push(contour);
+        first = last + 1;
+      }
+      return contours;
+    }
+
+    // Composite glyph
+    const contours = [];
+    let p = start + 10;
+    for (let more = true; more; ) {
+      const flags = glyf.getUint16(p), component = glyf.getUint16(p + 2);
+      p += 4;
+      let dx, dy;
+      if (flags & 1) {
+        dx = glyf.getInt16(p); dy = glyf.getInt16(p + 2); p += 4;
+      } else {
+        dx = glyf.getInt8(p); dy = glyf.getInt8(p + 1); p += 2;
+      }
+      const f2dot14 = (at) => glyf.getInt16(at) / 16384;
+      let a = 1, b = 0, c = 0, d = 1;
+      if (flags & 8) {
+        a = d = f2dot14(p); p += 2;
+      } else if (flags & 0x40) {
+        a = f2dot14(p); d = f2dot14(p + 2); p += 4;
+      } else if (flags & 0x80) {
+        a = f2dot14(p); b = f2dot14(p + 2); c = f2dot14(p + 4); d = f2dot14(p + 6); p += 8;
+      }
+      // Point-matching offsets (ARGS_ARE_XY_VALUES unset) are rare; treat as no offset
+      if (!(flags & 2)) dx = dy = 0;
+      for (const contour of readContours(component, depth + 1)) {
+        contours.push(contour.map((pt) => ({ x: a * pt.x + c * pt.y + dx, y: b * pt.x + d * pt.y + dy, on: pt.on })));
+      }
+      more = (flags & 0x20) !== 0;
+    }
+    return contours;
+  };
+
+  return (gid) => quadraticContours(readContours(gid, 0));
+}
+
+// ─── CFF outlines ───
+
+function readCffIndex(cff, at) {
+  const count = cff.getUint16(at);
+  if (count === 0) return { items: [], end: at + 2 };
+  const offSize = cff.getUint8(at + 2);
+  const readOffset = (i) => {
+    let v = 0;
+    for (let k = 0; k < offSize; k++) v = v * 256 + cff.getUint8(at + 3 + i * offSize + k);
+    return v;
+  };
+  const dataStart = at + 3 + (count + 1) * offSize - 1;
+  const items = [];
+  for (let i = 0; i < count; i++) items.push({ start: dataStart + readOffset(i), end: dataStart + readOffset(i + 1) });
+  return { items, end: dataStart + readOffset(count) };
+}
+
+function readCffDict(cff, start, end) {
+  const dict = {};
+  let operands = [];
+  for (let p = start; p < end; ) {
+    const b0 = cff.getUint8(p);
+    if (b0 <= 21) {
+      let op = b0;
+      p++;
+      if (b0 === 12) op = 1200 + cff.getUint8(p++);
+      dict[op] = operands;
+      operands = [];
+    } else if (b0 === 28) {
+      operands.push(cff.getInt16(p + 1)); p += 3;
+    } else if (b0 === 29) {
+      operands.push(cff.getInt32(p + 1)); p += 5;
+    } else if (b0 === 30) {
+      // Real number: nibbles
+      let s = "";
+      const map = "0123456789.EE?-";
+      for (p++; ; p++) {
+        const byte = cff.getUint8(p), hi = byte >> 4, lo = byte & 15;
+        if (hi === 15) { p++; break; }
+        s += hi === 12 ? "E-" : map[hi];
+        if (lo === 15) { p++; break; }
+        s += lo === 12 ? "E-" : map[lo];
+      }
+      operands.push(parseFloat(s));
+    } else if (b0 >= 32 && b0 <= 246) {
+      operands.push(b0 - 139); p++;
+    } else if (b0 >= 247 && b0 <= 250) {
+      operands.push((b0 - 247) * 256 + cff.getUint8(p + 1) + 108); p += 2;
+    } else if (b0 >= 251 && b0 <= 254) {
+      operands.push(-(b0 - 251) * 256 - cff.getUint8(p + 1) - 108); p += 2;
+    } else {
+      p++;
+    }
+  }
+  return dict;
+}
+
+const subrBias = (count) => (count < 1240 ? 107 : count < 33900 ? 1131 : 32768);
+
+function createCffReader(cff) {
+  const header = cff.getUint8(2);
+  const names = readCffIndex(cff, header);
+  const topDicts = readCffIndex(cff, names.end);
+  const strings = readCffIndex(cff, topDicts.end);
+  const gsubrs = readCffIndex(cff, strings.end).items;
+  const top = readCffDict(cff, topDicts.items[0].start, topDicts.items[0].end);
+  if (!top[17]) throw fontError("CFF font has no CharStrings");
+  const charStrings = readCffIndex(cff, top[17][0]).items;
+
+  const localSubrsFor = (privateOp) => {
+    if (!privateOp) return [];
+    const [size, offset] = privateOp;
+    const priv = readCffDict(cff, offset, offset + size);
+    return priv[19] ? readCffIndex(cff, offset + priv[19][0]).items : [];
+  };
+
+  // CID-keyed fonts pick local subrs per glyph through FDSelect
+  let subrsForGlyph;
+  if (top[1236] && top[1237]) {
+    const fdSubrs = readCffIndex(cff, top[1236][0]).items.map(({ start, end }) => localSubrsFor(readCffDict(cff, start, end)[18]));
+    const fdSelect = top[1237][0];
+    const format = cff.getUint8(fdSelect);
+    subrsForGlyph = (gid) => {
+      if (format === 0) return fdSubrs[cff.getUint8(fdSelect + 1 + gid)] || [];
+      const nRanges = cff.getUint16(fdSelect + 1);
+      for (let i = 0; i < nRanges; i++) {
+        const r = fdSelect + 3 + i * 3;
+        const next = i + 1 < nRanges ? cff.getUint16(r + 3) : cff.getUint16(fdSelect + 3 + nRanges * 3);
+        if (gid >= cff.getUint16(r) && gid < next) return fdSubrs[cff.getUint8(r + 2)] || [];
+      }
+      return [];
+    };
+  } else {
+    const subrs = localSubrsFor(top[18]);
+    subrsForGlyph = () => subrs;
+  }
+
+  // Type 2 charstring interpreter
+  return (gid) => {
+    if (gid >= charStrings.length) return [];
+    const path = [];
+    const subrs = subrsForGlyph(gid);
+    let stack = [];
+    let x = 0, y = 0, nStems = 0, haveWidth = false, open = false;
+
+    const moveTo = (dx, dy) => {
+      if (open) path.push({ type: "Z", args: [] });
+      x += dx; y += dy;
+      path.push({ type: "M", args: [x, y] });
+      open = true;
+    };
+    const lineTo = (dx, dy) => {
+      x += dx; y += dy;
+      path.push({ type: "L", args: [x, y] });
+    };
+    const curveTo = (dx1, dy1, dx2, dy2, dx3, dy3) => {
+      const x1 = x + dx1, y1 = y + dy1, x2 = x1 + dx2, y2 = y1 + dy2;
+      x = x2 + dx3; y = y2 + dy3;
+      path.push({ type: "C", args: [x1, y1, x2, y2, x, y] });
+    };
+    // An odd/extra leading operand on the first stack-clearing operator is the advance width
+    const takeWidth = (expectEven) => {
+      if (!haveWidth && (expectEven ? stack.length % 2 === 1 : stack.length > 0)) stack.shift();
+      haveWidth = true;
+    };
+
+    const run = ({ start, end }, depth) => {
+      if (depth > 10) return true;
+      for (let p = start; p < end; ) {
+        const b0 = cff.getUint8(p++);
+        if (b0 >= 32 || b0 === 28) {
+          if (b0 === 28) { stack.push(cff.getInt16(p)); p += 2; }
+          else if (b0 <= 246) stack.push(b0 - 139);
+          else if (b0 <= 250) stack.push((b0 - 247) * 256 + cff.getUint8(p++) + 108);
+          else if (b0 <= 254) stack.push(-(b0 - 251) * 256 - cff.getUint8(p++) - 108);
+          else { stack.push(cff.getInt32(p) / 65536); p += 4; }
+          continue;
+        }
+        switch (b0) {
+          case 1: case 3: case 18: case 23: // hstem vstem hstemhm vstemhm
+            takeWidth(true);
+            nStems += stack.length >> 1;
+            stack = [];
+            break;
+          case 19: case 20: // hintmask cntrmask
+            takeWidth(true);
+            nStems += stack.length >> 1;
+            stack = [];
+            p += (nStems + 7) >> 3;
+            break;
+          case 21: // rmoveto
+            if (!haveWidth && stack.length > 2) stack.shift();
+            haveWidth = true;
+            moveTo(stack[0], stack[1]);
+            stack = [];
+            break;
+          case 22: // hmoveto
+            if (!haveWidth && stack.length > 1) stack.shift();
+            haveWidth = true;
+            moveTo(stack[0], 0);
+            stack = [];
+            break;
+          case 4: // vmoveto
+            if (!haveWidth && stack.length > 1) stack.shift();
+            haveWidth = true;
+            moveTo(0, stack[0]);
+            stack = [];
+            break;
+          case 5: // rlineto
+            for (let i = 0; i + 1 < stack.length; i += 2) lineTo(stack[i], stack[i + 1]);
+            stack = [];
+            break;
+          case 6: case 7: { // hlineto vlineto
+            let horizontal = b0 === 6;
+            for (const v of stack) {
+              if (horizontal) lineTo(v, 0);
+              else lineTo(0, v);
+              horizontal = !horizontal;
+            }
+            stack = [];
+            break;
+          }
+          case 8: // rrcurveto
+            for (let i = 0; i + 5 < stack.length; i += 6) curveTo(...stack.slice(i, i + 6));
+            stack = [];
+            break;
+          case 24: { // rcurveline
+            let i = 0;
+            for (; i + 5 < stack.length - 2; i += 6) curveTo(...stack.slice(i, i + 6));
+            lineTo(stack[i], stack[i + 1]);
+            stack = [];
+            break;
+          }
+          case 25: { // rlinecurve
+            let i = 0;
+            for (; i + 1 < stack.length - 6; i += 2) lineTo(stack[i], stack[i + 1]);
+            curveTo(...stack.slice(i, i + 6));
+            stack = [];
+            break;
+          }
+          case 26: { // vvcurveto
+            let i = 0, dx1 = 0;
+            if (stack.length % 2) dx1 = stack[i++];
+            for (; i + 3 < stack.length; i += 4, dx1 = 0) curveTo(dx1, stack[i], stack[i + 1], stack[i + 2], 0, stack[i + 3]);
+            stack = [];
+            break;
+          }
+          case 27: { // hhcurveto
+            let i = 0, dy1 = 0;
+            if (stack.length % 2) dy1 = stack[i++];
+            for (; i + 3 < stack.length; i += 4, dy1 = 0) curveTo(stack[i], dy1, stack[i + 1], stack[i + 2], stack[i + 3], 0);
+            stack = [];
+            break;
+          }
+          case 30: case 31: { // vhcurveto hvcurveto
+            let horizontal = b0 === 31;
+            for (let i = 0; i + 3 < stack.length; i += 4) {
+              const last = i + 5 === stack.length ? stack[i + 4] : 0;
+              if (horizontal) curveTo(stack[i], 0, stack[i + 1], stack[i + 2], last, stack[i + 3]);
+              else curveTo(0, stack[i], stack[i + 1], stack[i + 2], stack[i + 3], last);
+              horizontal = !horizontal;
+            }
+            stack = [];
+            break;
+          }
+          case 10: case 29: { // callsubr callgsubr
+            const list = b0 === 10 ? subrs : gsubrs;
+            const sub = list[stack.pop() + subrBias(list.length)];
+            if (sub && run(sub, depth + 1)) return true;
+            break;
+          }
+          case 11: // return
+            return false;
+          case 14: // endchar
+            takeWidth(false);
+            if (open) path.push({ type: "Z", args: [] });
+            open = false;
+            return true;
+          case 12: {
+            const op = cff.getUint8(p++);
+            const s = stack;
+            if (op === 35) { // flex
+              curveTo(...s.slice(0, 6));
+              curveTo(...s.slice(6, 12));
+            } else if (op === 34) { // hflex
+              const y0 = y;
+              curveTo(s[0], 0, s[1], s[2], s[3], 0);
+              curveTo(s[4], 0, s[5], y0 - y, s[6], 0);
+            } else if (op === 36) { // hflex1
+              const y0 = y;
+              curveTo(s[0], s[1], s[2], s[3], s[4], 0);
+              curveTo(s[5], 0, s[6], s[7], s[8], y0 - y - s[7]);
+            } else if (op === 37) { // flex1
+              const x0 = x, y0 = y;
+              const dx = s[0] + s[2] + s[4] + s[6] + s[8], dy = s[1] + s[3] + s[5] + s[7] + s[9];
+              curveTo(...s.slice(0, 6));
+              if (Math.abs(dx) > Math.abs(dy)) curveTo(s[6], s[7], s[8], s[9], s[10], y0 - y - s[7] - s[9]);
+              else curveTo(s[6], s[7], s[8], s[9], x0 - x - s[6] - s[8], s[10]);
+            }
+            stack = [];
+            break;
+          }
+          default:
+            stack = [];
+        }
+      }
+      return false;
+    };
+
+    run(charStrings[gid], 0);
+    if (open) path.push({ type: "Z", args: [] });
+    return path;
+  };
+}
+
+// ─── Main ───
+
+export function parseFont(bytes) {
+  const tables = readTables(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
+  const { head, hhea, hmtx, maxp } = tables;
+  if (!head || !hhea || !hmtx || !maxp) throw fontError("Font is missing required tables");
+
+  const unitsPerEm = head.getUint16(18) || 1000;
+  const numGlyphs = maxp.getUint16(4);
+  const numHMetrics = hhea.getUint16(34);
+
+  let glyphPath;
+  if (tables.glyf && tables.loca) {
+    glyphPath = createGlyfReader(tables.glyf, tables.loca, head.getInt16(50), numGlyphs);
+  } else if (tables["CFF "]) {
+    glyphPath = createCffReader(tables["CFF "]);
+  } else {
+    throw fontError(tables.CFF2 ? "CFF2 fonts are not supported" : "Font has no glyph outlines");
+  }
+
+  const names = readNames(tables.name);
+  const os2 = tables["OS/2"];
+  const macStyle = head.getUint16(44);
+  const kernPairs = readKern(tables.kern);
+
+  return {
+    family: names[16] || names[1] || "",
+    weight: os2 ? os2.getUint16(4) : macStyle & 1 ? 700 : 400,
+    italic: os2 ? (os2.getUint16(62) & 1) === 1 : (macStyle & 2) === 2,
+    unitsPerEm,
+    glyphIndex: readCmap(tables.cmap),
+    advanceWidth: (gid) => hmtx.getUint16(Math.min(gid, numHMetrics - 1) * 4),
+    kerning: (left, right) => kernPairs.get((left << 16) | right) || 0,
+    glyphPath: (gid) => (gid < numGlyphs ? glyphPath(gid) : []),
+  };
+}
@@ -1,4 +1,33 @@
-// Geometry helpers using browser SVG DOM APIs
+// Geometry helpers: browser SVG DOM APIs when the element is live, pure-JS path geometry otherwise
+
+import { getPathGeometry, isPointInFill, shapeSignature } from "./path-geometry";
+
+// ─── Backend selection ───
+
+let backendOverride = null;
+
+// Force "dom" or "js" geometry (e.g. to compare backends); null restores auto-detection
+export function setGeometryBackend(name) {
+  if (name != null && name !== "dom" && name !== "js") throw new Error(`Unknown geometry backend "${name}"`);
+  backendOverride = name;
+}
+
+function usesDomGeometry(el) {
+  if (backendOverride) return backendOverride === "dom";
+  return typeof el.getBBox === "function";
+}
+
+function elementGeometry(el) {
+  return getPathGeometry(el.tagName?.toLowerCase() === "path" ? el.getAttribute("d") : "");
+}
+
+export function getElementBBox(el) {
+  if (usesDomGeometry(el)) return el.getBBox();
+  const { x, y, width, height } = elementGeometry(el).bbox;
+  return { x, y, width, height };
+}
+
+// ─── Fingerprints ───
 
 export function getViewBox(svgEl) {
   const vb = svgEl.getAttribute("viewBox");
@@ -11,27 +40,25 @@ export function getViewBox(svgEl) {
   return { x: 0, y: 0, width: w, height: h };
 }
 
+// area is the filled area of the outline — the DOM has no API for it, so it always comes from
+// the path data; bboxArea is just width × height of the bbox. shapeSignature (see path-geometry)
+// identifies the outline regardless of start point, direction, position and scale.
 export function geometryFingerprint(el) {
   try {
-    const bbox = el.getBBox();
-    const area = bbox.width * bbox.height;
+    const dom = usesDomGeometry(el);
+    const geometry = elementGeometry(el);
+    const bbox = getElementBBox(el);
+    const bboxArea = bbox.width * bbox.height;
+    const signedArea = geometry.signedArea;
+    const area = Math.abs(signedArea);
     const centroid = { x: bbox.x + bbox.width / 2, y: bbox.y + bbox.height / 2 };
     let perimeter = 0;
-    let pointHash = 0;
-
-    if (typeof el.getTotalLength === "function") {
-      perimeter = el.getTotalLength();
-      // Sample points along path for fingerprint
-      const steps = Math.min(16, Math.max(4, Math.floor(perimeter / 10)));
-      for (let i = 0; i < steps; i++) {
-        const pt = el.getPointAtLength((i / steps) * perimeter);
-        pointHash = ((pointHash * 31) + Math.round(pt.x * 100) + Math.round(pt.y * 100)) | 0;
-      }
-    }
+    if (!dom) perimeter = geometry.length;
+    else if (typeof el.getTotalLength === "function") perimeter = el.getTotalLength();
 
-    return { bbox, area, centroid, perimeter, pointHash };
+    return { bbox, bboxArea, area, signedArea, centroid, perimeter, shapeSignature: shapeSignature(geometry) };
   } catch {
-    return { bbox: { x: 0, y: 0, width: 0, height: 0 }, area: 0, centroid: { x: 0, y: 0 }, perimeter: 0, pointHash: 0 };
+    return { bbox: { x: 0, y: 0, width: 0, height: 0 }, bboxArea: 0, area: 0, signedArea: 0, centroid: { x: 0, y: 0 }, perimeter: 0, shapeSignature: [] };
   }
 }
 
@@ -53,6 +80,9 @@ export function bboxOverlap(a, b) {
 
 export function isPointInShape(el, x, y) {
   try {
+    if (!usesDomGeometry(el)) {
+      return isPointInFill(elementGeometry(el), x, y, el.getAttribute("fill-rule") || "nonzero");
+    }
     const svg = el.ownerSVGElement;
     if (!svg) return false;
     const pt = svg.createSVGPoint();
@@ -71,8 +101,8 @@ export function isPointInShape(el, x, y) {
 
 export function isShapeContainedIn(containerEl, containedEl) {
   try {
-    const inner = containedEl.getBBox();
-    const outer = containerEl.getBBox();
+    const inner = getElementBBox(containedEl);
+    const outer = getElementBBox(containerEl);
     if (!bboxContains(outer, inner)) return false;
 
     // Sample points from inner shape and check if they fall inside container
@@ -100,8 +130,8 @@ export function touchesViewBoxEdge(shapeBbox, viewBox) {
   };
 }
 
-export function areaRatio(shapeBbox, viewBox) {
-  const shapeArea = shapeBbox.width * shapeBbox.height;
+// Filled area (see geometryFingerprint) as a fraction of the viewBox
+export function areaRatio(shapeArea, viewBox) {
   const vbArea = viewBox.width * viewBox.height;
   return vbArea > 0 ? shapeArea / vbArea : 0;
 }
@@ -0,0 +1,85 @@
+// Response schemas for /api/analyze, keyed by the per-call `schema` name
+
+import { HEX_PATTERN, OFFSET_PATTERN } from "./json-schema";
+
+const HEX = { type: "string", pattern: HEX_PATTERN, description: "Hex color, e.g. #253854" };
+
+const GRADIENT = {
+  type: ["object", "null"],
+  properties: {
+    type: { type: "string", enum: ["linear", "radial"] },
+    angle: { type: "number" },
+    stops: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { offset: { type: "string", pattern: OFFSET_PATTERN }, color: HEX },
+        required: ["offset", "color"],
+      },
+    },
+  },
+  required: ["type", "stops"],
+};
+
+const ASSIGNMENTS = {
+  type: "object",
+  properties: {
+    assignments: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { shapeId: { type: "string" }, fill: { ...HEX, type: ["string", "null"] }, gradient: GRADIENT },
+        required: ["shapeId"],
+      },
+    },
+  },
+  required: ["assignments"],
+};
+
+export const RESPONSE_SCHEMAS = {
+  analysis: {
+    type: "object",
+    properties: {
+      description: { type: "string" },
+      complexity: { type: "string", enum: ["Basic", "Complex"] },
+      category: {
+        type: "string",
+        enum: ["Typographic Logos", "Simple Graphic Logos", "Complex Graphic Logos", "Combination"],
+      },
+      layout: { type: "string", enum: ["Horizontal", "Vertical", "Square-ish", "Unknown"] },
+      nestedElements: { type: "boolean" },
+      colors: { type: "array", items: HEX },
+      mood: { type: "string" },
+      gradientSuggestion: {
+        type: "object",
+        properties: {
+          recommended: { type: "boolean" },
+          type: { type: "string", enum: ["linear", "radial"] },
+          startColor: HEX,
+          endColor: HEX,
+          angle: { type: "number" },
+          reason: { type: "string" },
+        },
+        required: ["recommended"],
+      },
+    },
+    required: ["description", "colors"],
+  },
+  colorize: ASSIGNMENTS,
+  fix: ASSIGNMENTS,
+  validate: {
+    type: "object",
+    properties: {
+      score: { type: "number", minimum: 1, maximum: 10 },
+      assessment: { type: "string" },
+      colorAccuracy: { type: "string", enum: ["excellent", "good", "fair", "poor"] },
+      differences: { type: "array", items: { type: "string" } },
+      suggestions: { type: "array", items: { type: "string" } },
+    },
+    required: ["score"],
+  },
+};
+
+export function getResponseSchema(name) {
+  return Object.prototype.hasOwnProperty.call(RESPONSE_SCHEMAS, name) ? RESPONSE_SCHEMAS[name] : null;
+}
@@ -0,0 +1,51 @@
+// Browser-side result cache in IndexedDB, keyed by cacheKey() — survives reloads, so
+// reprocessing a logo doesn't re-pay for vectorizer.ai / GPT. Every call degrades to a
+// miss (or a no-op write) when IndexedDB is unavailable.
+
+const DB_NAME = "logo-analyzer-cache";
+const STORE = "results";
+
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+      req.onblocked = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+function run(mode, fn) {
+  return openDb().then(
+    (db) =>
+      db &&
+      new Promise((resolve) => {
+        try {
+          const tx = db.transaction(STORE, mode);
+          const req = fn(tx.objectStore(STORE));
+          tx.oncomplete = () => resolve(req.result);
+          tx.onerror = tx.onabort = () => resolve(null);
+        } catch {
+          resolve(null);
+        }
+      })
+  );
+}
+
+// → cached value, or null on a miss (always, for a null key — see cacheKey)
+export async function idbGet(key) {
+  if (!key) return null;
+  const entry = await run("readonly", (store) => store.get(key));
+  return entry?.value ?? null;
+}
+
+export async function idbSet(key, value) {
+  if (!key) return;
+  await run("readwrite", (store) => store.put({ value, storedAt: Date.now() }, key));
+}
@@ -0,0 +1,31 @@
+// Image type detection from magic bytes (the declared Content-Type is not trusted)
+
+const SIGNATURES = [
+  { mime: "image/png", ext: "png", test: (b) => b.length >= 8 && b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4e && b[3] === 0x47 && b[4] === 0x0d && b[5] === 0x0a && b[6] === 0x1a && b[7] === 0x0a },
+  { mime: "image/jpeg", ext: "jpg", test: (b) => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mime: "image/gif", ext: "gif", test: (b) => b.length >= 6 && (ascii(b, 0, 6) === "GIF87a" || ascii(b, 0, 6) === "GIF89a") },
+  { mime: "image/webp", ext: "webp", test: (b) => b.length >= 12 && ascii(b, 0, 4) === "RIFF" && ascii(b, 8, 12) === "WEBP" },
+  { mime: "image/bmp", ext: "bmp", test: (b) => b.length >= 2 && b[0] === 0x42 && b[1] === 0x4d },
+  { mime: "image/tiff", ext: "tiff", test: (b) => b.length >= 4 && ((b[0] === 0x49 && b[1] === 0x49 && b[2] === 0x2a && b[3] === 0x00) || (b[0] === 0x4d && b[1] === 0x4d && b[2] === 0x00 && b[3] === 0x2a)) },
+];
+
+function ascii(buf, start, end) {
+  let s = "";
+  for (let i = start; i < end && i < buf.length; i++) s += String.fromCharCode(buf[i]);
+  return s;
+}
+
+// Returns { mime, ext } or null when the bytes are not a recognized raster image
+export function sniffImageType(buf) {
+  if (!buf) return null;
+  const hit = SIGNATURES.find((s) => s.test(buf));
+  return hit ? { mime: hit.mime, ext: hit.ext } : null;
+}
+
+// SVG is text: an optional BOM / XML prolog / comments / doctype, then an <svg> root
+export function looksLikeSvg(buf) {
+  if (!buf) return false;
+  const head = Buffer.from(buf.subarray(0, 4096)).toString("utf8").replace(/^﻿/, "");
+  const rest = head.replace(/^(\s|<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^[>]*(\[[\s\S]*?\])?\s*>)*/i, "");
+  return /^<svg[\s>]/i.test(rest);
+}
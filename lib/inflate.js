@@ -0,0 +1,138 @@
+// Dependency-free DEFLATE decoder (RFC 1951) — synchronous and runs in the browser too,
+// where zlib isn't available. Used for WOFF font tables.
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+// Canonical Huffman table from code lengths → { counts, symbols }
+function buildHuffman(lengths) {
+  const counts = new Uint16Array(16);
+  for (const len of lengths) counts[len]++;
+  counts[0] = 0;
+  const offsets = new Uint16Array(16);
+  for (let i = 1; i < 16; i++) offsets[i] = offsets[i - 1] + counts[i - 1];
+  const symbols = new Uint16Array(lengths.length);
+  lengths.forEach((len, sym) => {
+    if (len) symbols[offsets[len]++] = sym;
+  });
+  return { counts, symbols };
+}
+
+let fixedTables = null;
+function getFixedTables() {
+  if (!fixedTables) {
+    const lit = new Array(288).fill(8, 0, 144).fill(9, 144, 256).fill(7, 256, 280).fill(8, 280, 288);
+    fixedTables = { lit: buildHuffman(lit), dist: buildHuffman(new Array(30).fill(5)) };
+  }
+  return fixedTables;
+}
+
+// Raw DEFLATE stream → Uint8Array
+export function inflateRaw(input, sizeHint = input.length * 4) {
+  let out = new Uint8Array(Math.max(sizeHint, 1024));
+  let outPos = 0;
+  let pos = 0, bitBuf = 0, bitCount = 0;
+
+  const ensure = (n) => {
+    if (outPos + n <= out.length) return;
+    const grown = new Uint8Array(Math.max(out.length * 2, outPos + n));
+    grown.set(out);
+    out = grown;
+  };
+  const bits = (n) => {
+    while (bitCount < n) {
+      if (pos >= input.length) throw new Error("Unexpected end of deflate stream");
+      bitBuf |= input[pos++] << bitCount;
+      bitCount += 8;
+    }
+    const v = bitBuf & ((1 << n) - 1);
+    bitBuf >>>= n;
+    bitCount -= n;
+    return v;
+  };
+  const decode = ({ counts, symbols }) => {
+    let code = 0, first = 0, index = 0;
+    for (let len = 1; len < 16; len++) {
+      code |= bits(1);
+      const count = counts[len];
+      if (code - first < count) return symbols[index + code - first];
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error("Invalid Huffman code");
+  };
+
+  for (let final = 0; !final; ) {
+    final = bits(1);
+    const type = bits(2);
+
+    if (type === 0) {
+      bitBuf = 0;
+      bitCount = 0;
+      const len = input[pos] | (input[pos + 1] << 8);
+      pos += 4;
+      if (pos + len > input.length) throw new Error("Unexpected end of deflate stream");
+      ensure(len);
+      out.set(input.subarray(pos, pos + len), outPos);
+      outPos += len;
+      pos += len;
+      continue;
+    }
+    if (type === 3) throw new Error("Invalid deflate block type");
+
+    let lit, dist;
+    if (type === 1) {
+      ({ lit, dist } = getFixedTables());
+    } else {
+      const hlit = bits(5) + 257, hdist = bits(5) + 1, hclen = bits(4) + 4;
+      const codeLengths = new Array(19).fill(0);
+      for (let i = 0; i < hclen; i++) codeLengths[CODE_LENGTH_ORDER[i]] = bits(3);
+      const codeTable = buildHuffman(codeLengths);
+      const lengths = [];
+      while (lengths.length < hlit + hdist) {
+        const sym = decode(codeTable);
+        if (sym < 16) lengths.push(sym);
+        else if (sym === 16) {
+          if (lengths.length === 0) throw new Error("Invalid code length repeat");
+          lengths.push(...new Array(3 + bits(2)).fill(lengths[lengths.length - 1]));
+        } else if (sym === 17) lengths.push(...new Array(3 + bits(3)).fill(0));
+        else lengths.push(...new Array(11 + bits(7)).fill(0));
+      }
+      lit = buildHuffman(lengths.slice(0, hlit));
+      dist = buildHuffman(lengths.slice(hlit, hlit + hdist));
+    }
+
+    for (;;) {
+      const sym = decode(lit);
+      if (sym < 256) {
+        ensure(1);
+        out[outPos++] = sym;
+      } else if (sym === 256) {
+        break;
+      } else {
+        const li = sym - 257;
+        if (li >= 29) throw new Error("Invalid deflate length code");
+        const len = LENGTH_BASE[li] + bits(LENGTH_EXTRA[li]);
+        const di = decode(dist);
+        if (di >= 30) throw new Error("Invalid deflate distance code");
+        const d = DIST_BASE[di] + bits(DIST_EXTRA[di]);
+        if (d > outPos) throw new Error("Deflate distance too far back");
+        ensure(len);
+        for (let i = 0; i < len; i++, outPos++) out[outPos] = out[outPos - d];
+      }
+    }
+  }
+  return out.subarray(0, outPos);
+}
+
+// zlib-wrapped stream (2-byte header, Adler-32 trailer unchecked) → Uint8Array
+export function inflateZlib(input, sizeHint) {
+  if (input.length < 2 || (input[0] & 0x0f) !== 8 || ((input[0] << 8) | input[1]) % 31 !== 0) {
+    throw new Error("Not a zlib stream");
+  }
+  return inflateRaw(input.subarray(2), sizeHint);
+}
@@ -0,0 +1,86 @@
+// Job persistence for /api/jobs: in-memory (default) or one JSON file per job
+//
+// Selected with JOB_STORE = "memory" (default) | "file"; the file store writes to
+// JOB_STORE_DIR (default ./.jobs). Every store exposes async get(id) → job | null and put(job).
+
+import fs from "fs";
+import path from "path";
+
+const MAX_MEMORY_JOBS = 50; // each job keeps its upload
+const JOB_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+export function isValidJobId(id) {
+  return typeof id === "string" && JOB_ID_RE.test(id);
+}
+
+// ─── Memory ───
+
+// Jobs are copied in and out so callers can't mutate the stored record in place;
+// the oldest jobs are dropped past MAX_MEMORY_JOBS
+export function createMemoryJobStore({ maxJobs = MAX_MEMORY_JOBS } = {}) {
+  const jobs = new Map();
+  return {
+    name: "memory",
+    async get(id) {
+      const job = jobs.get(id);
+      return job ? structuredClone(job) : null;
+    },
+    async put(job) {
+      jobs.delete(job.id);
+      jobs.set(job.id, structuredClone(job));
+      while (jobs.size > maxJobs) jobs.delete(jobs.keys().next().value);
+    },
+  };
+}
+
+// ─── File ───
+
+// Writes go to a temp file and are renamed into place so a poll never reads half a job
+export function createFileJobStore({ dir = path.join(process.cwd(), ".jobs") } = {}) {
+  const fileFor = (id) => {
+    if (!isValidJobId(id)) throw new Error(`Invalid job id "${id}"`);
+    return path.join(dir, id + ".json");
+  };
+
+  return {
+    name: "file",
+    dir,
+    async get(id) {
+      if (!isValidJobId(id)) return null;
+      try {
+        return JSON.parse(await fs.promises.readFile(fileFor(id), "utf8"));
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    async put(job) {
+      const file = fileFor(job.id);
+      await fs.promises.mkdir(dir, { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(job));
+      await fs.promises.rename(tmp, file);
+    },
+  };
+}
+
+// ─── Selection ───
+
+// One store per process — kept on globalThis so every API route (and dev-mode reloads) share it
+export function getJobStore(env = process.env) {
+  const kind = (env.JOB_STORE || "memory").toLowerCase();
+  const key = kind === "file" ? "file:" + (env.JOB_STORE_DIR || "") : kind;
+  const stores = (globalThis.__logoJobStores ||= new Map());
+  if (stores.has(key)) return stores.get(key);
+
+  let store;
+  if (kind === "memory") store = createMemoryJobStore();
+  else if (kind === "file") store = createFileJobStore(env.JOB_STORE_DIR ? { dir: path.resolve(env.JOB_STORE_DIR) } : {});
+  else {
+    const err = new Error(`Unknown JOB_STORE "${kind}"`);
+    err.status = 500;
+    throw err;
+  }
+  stores.set(key, store);
+  return store;
+}
@@ -0,0 +1,129 @@
+// Background logo jobs: start a pipeline run, persist progress after every step, resume
+//
+// Runs continue in the server process after the request that started them returns, so this
+// needs a long-lived server (`next start`); serverless platforms may freeze them mid-run.
+
+import crypto from "crypto";
+import { getProvider } from "./llm-provider";
+import { PIPELINE_STEPS, createPipelineState, runPipeline, pipelineResult } from "./pipeline";
+import { getJobStore } from "./job-store";
+
+// Job ids being run by this process — a stored "running" job that isn't here was interrupted
+const active = (globalThis.__logoActiveJobs ||= new Set());
+
+function jobError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function freshSteps() {
+  return PIPELINE_STEPS.map((name) => ({ name, status: "pending", error: null, startedAt: null, finishedAt: null }));
+}
+
+// What GET /api/jobs/:id returns — everything but the stored upload. The result (SVGs, report,
+// snapshot, versions) comes only once the job is ready or failed; polls before that get the steps.
+export function publicJob(job) {
+  const inProgress = job.status === "queued" || job.status === "running";
+  return {
+    id: job.id,
+    status: job.status,
+    step: job.step,
+    steps: job.steps,
+    error: job.error,
+    resumable: job.status === "failed" || (job.status === "running" && !active.has(job.id)),
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    result: inProgress ? null : pipelineResult(job.state),
+  };
+}
+
+async function execute(job, store, from) {
+  const save = () => {
+    job.updatedAt = new Date().toISOString();
+    return store.put(job);
+  };
+
+  active.add(job.id);
+  try {
+    job.status = "running";
+    job.error = null;
+    await save();
+
+    await runPipeline(job.state, {
+      provider: getProvider(),
+      engine: job.options.engine,
+      bypassCache: Boolean(job.options.bypassCache),
+      gradientThreshold: job.options.gradientThreshold,
+      from,
+      onStep: (name, status, error) => {
+        const step = job.steps.find((s) => s.name === name);
+        const now = new Date().toISOString();
+        step.status = status;
+        if (status === "running") {
+          job.step = name;
+          Object.assign(step, { error: null, startedAt: now, finishedAt: null });
+        } else {
+          Object.assign(step, { error: error ? error.message : null, finishedAt: now });
+        }
+        return save();
+      },
+    });
+
+    job.status = "ready";
+    job.step = "ready";
+  } catch (e) {
+    job.status = "failed";
+    job.error = e.message;
+  } finally {
+    active.delete(job.id);
+  }
+  await save().catch((e) => console.error(`Job ${job.id}: could not save final state — ${e.message}`));
+}
+
+// file: { data: Buffer, filename, mimeType } → the queued job; the run continues in the background
+export async function createJob(file, { engine = "auto", vectorizerOptions = {}, bypassCache = false, gradientThreshold } = {}, store = getJobStore()) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    status: "queued",
+    step: "uploading",
+    steps: freshSteps(),
+    error: null,
+    options: { engine, bypassCache, gradientThreshold },
+    state: createPipelineState(file, { vectorizerOptions }),
+    createdAt: now,
+    updatedAt: now,
+  };
+  await store.put(job);
+  execute(structuredClone(job), store, PIPELINE_STEPS[0]);
+  return job;
+}
+
+export async function getJob(id, store = getJobStore()) {
+  const job = await store.get(id);
+  if (!job) throw jobError(`Job "${id}" not found`, 404);
+  return job;
+}
+
+// Re-run from `step` (default: the first step that failed or never finished) through the end,
+// keeping earlier results. Steps after it are reset to pending.
+export async function resumeJob(id, { step } = {}, store = getJobStore()) {
+  const job = await getJob(id, store);
+  if (active.has(id)) throw jobError(`Job "${id}" is already running`, 409);
+
+  const from = step || job.steps.find((s) => s.status === "failed" || s.status === "pending" || s.status === "running")?.name;
+  if (!from) throw jobError(`Job "${id}" has nothing to resume — pass a step to re-run it`, 409);
+  const start = PIPELINE_STEPS.indexOf(from);
+  if (start === -1) throw jobError(`Unknown step "${from}" (expected ${PIPELINE_STEPS.join(", ")})`, 400);
+
+  job.steps.forEach((s, i) => {
+    if (i >= start) Object.assign(s, { status: "pending", error: null, startedAt: null, finishedAt: null });
+  });
+  job.status = "queued";
+  job.step = from;
+  job.error = null;
+  // execute() marks the job active before its first await, so a second resume gets a 409
+  execute(structuredClone(job), store, from);
+  return job;
+}
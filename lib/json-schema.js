@@ -0,0 +1,154 @@
+// Minimal JSON Schema subset for LLM responses: extraction, coercion, validation
+//
+// Supports type (incl. arrays of types), enum, properties, required, items,
+// minimum/maximum and pattern. Coercion fixes the mistakes models make most:
+// hex case / missing "#", numeric stop offsets, numbers as strings, enum case.
+
+export const HEX_PATTERN = "^#[0-9a-f]{6}$";
+export const OFFSET_PATTERN = "^\\d+(\\.\\d+)?%$";
+
+export class ResponseValidationError extends Error {
+  constructor(code, message, issues = []) {
+    super(message);
+    this.name = "ResponseValidationError";
+    this.code = code; // "invalid_json" | "schema_mismatch"
+    this.issues = issues; // [{ path, message }]
+  }
+}
+
+// ─── JSON extraction ───
+
+// Close any brackets/strings left open by a truncated response
+function closeTruncated(text) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  for (const ch of text) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === "{" || ch === "[") stack.push(ch === "{" ? "}" : "]");
+    else if (ch === "}" || ch === "]") stack.pop();
+  }
+  let out = text;
+  if (inString) out += '"';
+  out = out.replace(/[,:]\s*$/, "");
+  return out + stack.reverse().join("");
+}
+
+export function extractJson(text) {
+  if (!text) throw new ResponseValidationError("invalid_json", "Empty response");
+  const unfenced = text.replace(/```(?:json)?/gi, "");
+  const start = unfenced.indexOf("{");
+  if (start === -1) throw new ResponseValidationError("invalid_json", "No JSON in response");
+
+  const end = unfenced.lastIndexOf("}");
+  const candidates = [];
+  if (end > start) candidates.push(unfenced.slice(start, end + 1));
+  candidates.push(closeTruncated(unfenced.slice(start).trim()));
+
+  for (const c of candidates) {
+    for (const attempt of [c, c.replace(/,\s*([}\]])/g, "$1")]) {
+      try {
+        return JSON.parse(attempt);
+      } catch {
+        // try the next repair
+      }
+    }
+  }
+  throw new ResponseValidationError("invalid_json", "Response is not valid JSON");
+}
+
+// ─── Coercion ───
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+function coerceHex(value) {
+  if (typeof value !== "string") return value;
+  let h = value.trim().toLowerCase().replace(/^#/, "");
+  if (!/^[0-9a-f]+$/.test(h)) return value;
+  if (h.length === 3 || h.length === 4) h = h.slice(0, 3).split("").map((c) => c + c).join("");
+  else if (h.length === 8) h = h.slice(0, 6);
+  return h.length === 6 ? "#" + h : value;
+}
+
+function coerceOffset(value) {
+  const n = typeof value === "number" ? value : typeof value === "string" && /^\s*[\d.]+\s*$/.test(value) ? parseFloat(value) : NaN;
+  if (Number.isNaN(n)) return typeof value === "string" ? value.trim() : value;
+  return +(n <= 1 ? n * 100 : n).toFixed(2) + "%";
+}
+
+function coerceValue(schema, value) {
+  const types = [].concat(schema.type || []);
+
+  if (schema.pattern === HEX_PATTERN) return coerceHex(value);
+  if (schema.pattern === OFFSET_PATTERN) return coerceOffset(value);
+
+  if (typeof value === "string" && (types.includes("number") || types.includes("integer")) && !types.includes("string")) {
+    const m = value.match(/^\s*(-?[\d.]+)/);
+    if (m && !Number.isNaN(parseFloat(m[1]))) return parseFloat(m[1]);
+  }
+  if (typeof value === "string" && types.includes("boolean") && /^(true|false)$/i.test(value.trim())) {
+    return value.trim().toLowerCase() === "true";
+  }
+  if (typeof value === "string" && schema.enum && !schema.enum.includes(value)) {
+    const hit = schema.enum.find((e) => typeof e === "string" && e.toLowerCase() === value.trim().toLowerCase());
+    if (hit) return hit;
+  }
+  return value;
+}
+
+// ─── Validation ───
+
+function walk(schema, value, path, issues) {
+  value = coerceValue(schema, value);
+  const actual = typeOf(value);
+  const types = [].concat(schema.type || []);
+
+  if (types.length && !types.includes(actual) && !(actual === "integer" && types.includes("number"))) {
+    issues.push({ path, message: `expected ${types.join(" | ")}, got ${actual}` });
+    return value;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    issues.push({ path, message: `expected one of ${schema.enum.map((e) => JSON.stringify(e)).join(", ")}` });
+  }
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) issues.push({ path, message: `must be ≥ ${schema.minimum}` });
+    if (schema.maximum != null && value > schema.maximum) issues.push({ path, message: `must be ≤ ${schema.maximum}` });
+  }
+  if (typeof value === "string" && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    issues.push({ path, message: `"${value}" does not match ${schema.pattern}` });
+  }
+
+  if (actual === "object" && schema.properties) {
+    const out = { ...value };
+    for (const key of schema.required || []) {
+      if (out[key] === undefined) issues.push({ path: path ? `${path}.${key}` : key, message: "is required" });
+    }
+    for (const [key, sub] of Object.entries(schema.properties)) {
+      if (out[key] === undefined) continue;
+      out[key] = walk(sub, out[key], path ? `${path}.${key}` : key, issues);
+    }
+    return out;
+  }
+  if (actual === "array" && schema.items) {
+    return value.map((item, i) => walk(schema.items, item, `${path}[${i}]`, issues));
+  }
+  return value;
+}
+
+// Returns { value, issues } — value has coercions applied even when issues remain
+export function validateAgainstSchema(schema, value) {
+  const issues = [];
+  const coerced = walk(schema, value, "", issues);
+  return { value: coerced, issues };
+}
@@ -0,0 +1,169 @@
+// LLM provider layer for /api/analyze: OpenAI, OpenAI-compatible base URL, or offline mock
+//
+// Selected with LLM_PROVIDER = "openai" (default) | "openai-compatible" | "mock".
+// Every provider exposes complete({ prompt, images, schemaName, schema, maxTokens }) → raw text.
+
+import fs from "fs";
+import path from "path";
+import { extractJson, validateAgainstSchema, ResponseValidationError } from "./json-schema";
+
+const OPENAI_BASE_URL = "https://api.openai.com/v1";
+const DEFAULT_MODEL = "gpt-5.2";
+
+export class ProviderError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = "ProviderError";
+    this.status = status;
+  }
+}
+
+// ─── OpenAI chat completions (and compatible servers) ───
+
+function buildMessages(prompt, images) {
+  return [
+    {
+      role: "user",
+      content: [
+        ...images.map((img) => ({
+          type: "image_url",
+          image_url: { url: `data:${img.mimeType};base64,${img.base64}`, detail: "low" },
+        })),
+        { type: "text", text: prompt },
+      ],
+    },
+  ];
+}
+
+export function createOpenAIProvider({ baseUrl = OPENAI_BASE_URL, apiKey, model = DEFAULT_MODEL, name = "openai" } = {}) {
+  return {
+    name,
+    model,
+    async complete({ prompt, images = [], schemaName, schema, maxTokens = 1024 }) {
+      const headers = { "Content-Type": "application/json" };
+      if (apiKey) headers.Authorization = "Bearer " + apiKey;
+
+      const response = await fetch(baseUrl.replace(/\/+$/, "") + "/chat/completions", {
+        method: "POST",
+        headers,
+        body: JSON.stringify({
+          model,
+          max_tokens: maxTokens,
+          response_format: schema
+            ? { type: "json_schema", json_schema: { name: schemaName, schema, strict: false } }
+            : { type: "json_object" },
+          messages: buildMessages(prompt, images),
+        }),
+      });
+
+      if (!response.ok) {
+        const err = await response.text();
+        throw new ProviderError(err || response.statusText, response.status);
+      }
+
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content || "";
+    },
+  };
+}
+
+// ─── Mock provider (deterministic, fixture-backed) ───
+
+const MOCK_PALETTE = ["#e85d26", "#253854", "#06d6a0", "#9b5de5", "#e9c46a"];
+
+function readFixture(dir, schemaName) {
+  if (!schemaName) return null;
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, schemaName + ".json"), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// Colorize/fix prompts list shapes as "s0: <path> …" lines — assign colors to those ids in order
+function mockAssignments(prompt, palette) {
+  const ids = [...new Set([...prompt.matchAll(/^(\S+): <\w+>/gm)].map((m) => m[1]))];
+  return {
+    assignments: ids.map((shapeId, i) => ({ shapeId, fill: palette[i % palette.length], gradient: null })),
+  };
+}
+
+export function createMockProvider({ fixturesDir = path.join(process.cwd(), "fixtures", "llm") } = {}) {
+  return {
+    name: "mock",
+    model: "mock",
+    async complete({ prompt, schemaName }) {
+      const fixture = readFixture(fixturesDir, schemaName);
+      const wantsAssignments = schemaName === "colorize" || schemaName === "fix";
+
+      // A colorize/fix fixture is a fixed { assignments } response, which only fits a known shape
+      // list — without one, color the prompt's shapes from the analysis fixture's palette
+      if (wantsAssignments && !Array.isArray(fixture?.assignments)) {
+        const palette = readFixture(fixturesDir, "analysis")?.colors || MOCK_PALETTE;
+        return JSON.stringify(mockAssignments(prompt, palette));
+      }
+      if (fixture) return JSON.stringify(fixture);
+      throw new ProviderError(`No mock fixture for schema "${schemaName || "(none)"}" in ${fixturesDir}`);
+    },
+  };
+}
+
+// ─── Selection ───
+
+export function getProvider(env = process.env) {
+  const kind = (env.LLM_PROVIDER || "openai").toLowerCase();
+
+  if (kind === "mock") {
+    return createMockProvider(env.LLM_MOCK_FIXTURES ? { fixturesDir: env.LLM_MOCK_FIXTURES } : {});
+  }
+
+  if (kind === "openai-compatible") {
+    if (!env.LLM_BASE_URL) throw new ProviderError("LLM_BASE_URL not configured");
+    return createOpenAIProvider({
+      name: "openai-compatible",
+      baseUrl: env.LLM_BASE_URL,
+      apiKey: env.LLM_API_KEY || null,
+      model: env.LLM_MODEL || DEFAULT_MODEL,
+    });
+  }
+
+  if (kind === "openai") {
+    if (!env.OPENAI_API_KEY) throw new ProviderError("OPENAI_API_KEY not configured");
+    return createOpenAIProvider({ apiKey: env.OPENAI_API_KEY, model: env.LLM_MODEL || DEFAULT_MODEL });
+  }
+
+  throw new ProviderError(`Unknown LLM_PROVIDER "${kind}"`);
+}
+
+// ─── Validated completions ───
+
+// Parse model output and validate it against the step's schema (coercing obvious slips)
+function parseResponse(text, schema) {
+  const json = extractJson(text);
+  if (!schema) return json;
+  const { value, issues } = validateAgainstSchema(schema, json);
+  if (issues.length > 0) {
+    const first = issues[0];
+    throw new ResponseValidationError("schema_mismatch", `${first.path || "(root)"} ${first.message}`, issues);
+  }
+  return value;
+}
+
+function repairNote(err) {
+  const details = err.issues.length
+    ? err.issues.slice(0, 20).map((i) => `- ${i.path || "(root)"}: ${i.message}`).join("\n")
+    : "- " + err.message;
+  return `\n\nYour previous response was rejected:\n${details}\nReturn the corrected, complete EXACT JSON only.`;
+}
+
+// complete() → parsed JSON; a response failing the schema gets one retry with the issues
+// fed back to the model. Throws ResponseValidationError if the retry fails too.
+export async function completeJson(provider, request) {
+  try {
+    return parseResponse(await provider.complete(request), request.schema);
+  } catch (e) {
+    if (!(e instanceof ResponseValidationError)) throw e;
+    const retryText = await provider.complete({ ...request, prompt: request.prompt + repairNote(e) });
+    return parseResponse(retryText, request.schema);
+  }
+}
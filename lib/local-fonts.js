@@ -0,0 +1,63 @@
+// Local fonts directory for outlining <text> (Node only)
+//
+// Every .ttf / .otf / .woff file in FONTS_DIR (default ./fonts) is available by the family,
+// weight and style recorded in the font itself. Parsed faces are cached until the directory
+// listing changes.
+
+import fs from "fs";
+import path from "path";
+import { loadFontFace } from "./text-outline";
+
+const FONT_FILE_RE = /^[\w .()+-]+\.(ttf|otf|woff|ttc)$/i;
+
+export function getFontsDir(env = process.env) {
+  return env.FONTS_DIR ? path.resolve(env.FONTS_DIR) : path.join(process.cwd(), "fonts");
+}
+
+function fontFiles(dir) {
+  try {
+    return fs.readdirSync(dir).filter((f) => FONT_FILE_RE.test(f)).sort();
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+}
+
+// → [{ file, face }]; unreadable fonts are logged and skipped
+function loadDir(dir) {
+  const cache = (globalThis.__logoLocalFonts ||= new Map());
+  const files = fontFiles(dir);
+  const signature = files.map((f) => `${f}:${fs.statSync(path.join(dir, f)).mtimeMs}`).join("|");
+  const cached = cache.get(dir);
+  if (cached && cached.signature === signature) return cached.entries;
+
+  const entries = [];
+  for (const file of files) {
+    try {
+      entries.push({ file, face: loadFontFace(fs.readFileSync(path.join(dir, file))) });
+    } catch (e) {
+      console.error(`Skipping font ${file}: ${e.message}`);
+    }
+  }
+  cache.set(dir, { signature, entries });
+  return entries;
+}
+
+// Faces for normalizeSvg({ fonts })
+export function loadLocalFonts({ dir = getFontsDir() } = {}) {
+  return loadDir(dir).map((e) => e.face);
+}
+
+// → [{ file, family, weight, italic }] for clients that load fonts themselves
+export function listLocalFonts({ dir = getFontsDir() } = {}) {
+  return loadDir(dir).map(({ file, face }) => ({ file, family: face.family, weight: face.weight, italic: face.italic }));
+}
+
+export function readLocalFont(file, { dir = getFontsDir() } = {}) {
+  if (!FONT_FILE_RE.test(file) || !fontFiles(dir).includes(file)) {
+    const err = new Error(`Font "${file}" not found`);
+    err.status = 404;
+    throw err;
+  }
+  return fs.readFileSync(path.join(dir, file));
+}
@@ -0,0 +1,190 @@
+// Streaming multipart/form-data parser for API routes with bodyParser disabled
+//
+// Scans each incoming chunk for the "\r\n--boundary" delimiter instead of splitting
+// a buffered string, so file bytes that merely contain the boundary text survive.
+// Enforces a total byte cap as data arrives.
+
+export class MultipartError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "MultipartError";
+    this.status = status;
+  }
+}
+
+const CRLF = Buffer.from("\r\n");
+const HEADER_END = Buffer.from("\r\n\r\n");
+const MAX_HEADER_BYTES = 16 * 1024;
+
+// ─── Header parsing ───
+
+// Split "a=1; b=\"x;y\"" into params, honoring quoted strings and escapes
+function parseParams(str) {
+  const params = {};
+  const re = /;\s*([^=;\s]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g;
+  const input = ";" + str;
+  let m;
+  while ((m = re.exec(input)) !== null) {
+    const key = m[1].toLowerCase();
+    params[key] = m[2] != null ? m[2].replace(/\\(.)/g, "$1") : m[3].trim();
+  }
+  return params;
+}
+
+// RFC 5987 ext-value: charset'lang'percent-encoded
+function decodeExtValue(value) {
+  const m = value.match(/^([^']*)'[^']*'(.*)$/);
+  if (!m) return value;
+  const charset = (m[1] || "utf-8").toLowerCase();
+  try {
+    if (charset === "utf-8") return decodeURIComponent(m[2]);
+    return m[2].replace(/%([0-9a-f]{2})/gi, (_, h) => String.fromCharCode(parseInt(h, 16)));
+  } catch {
+    return m[2];
+  }
+}
+
+export function getBoundary(contentType) {
+  if (!contentType) return null;
+  const [type, ...rest] = contentType.split(";");
+  if (type.trim().toLowerCase() !== "multipart/form-data") return null;
+  const { boundary } = parseParams(rest.join(";"));
+  return boundary || null;
+}
+
+function parsePartHeaders(raw) {
+  const headers = {};
+  for (const line of raw.split("\r\n")) {
+    const idx = line.indexOf(":");
+    if (idx === -1) continue;
+    headers[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim();
+  }
+
+  const disposition = headers["content-disposition"] || "";
+  const semi = disposition.indexOf(";");
+  const params = semi === -1 ? {} : parseParams(disposition.slice(semi + 1));
+  const filename = params["filename*"] != null ? decodeExtValue(params["filename*"]) : params.filename;
+
+  return {
+    name: params.name || null,
+    filename: filename != null ? filename.replace(/^.*[\\/]/, "") : null,
+    mimeType: (headers["content-type"] || "").split(";")[0].trim().toLowerCase() || null,
+  };
+}
+
+// ─── Parser ───
+
+export async function parseMultipart(req, { maxBytes = 10 * 1024 * 1024, maxFieldBytes = 64 * 1024 } = {}) {
+  const contentType = req.headers["content-type"] || "";
+  if (!/^multipart\/form-data\b/i.test(contentType)) {
+    throw new MultipartError("Expected multipart/form-data", 415);
+  }
+  const boundary = getBoundary(contentType);
+  if (!boundary) throw new MultipartError("Missing multipart boundary", 400);
+
+  const declared = parseInt(req.headers["content-length"], 10);
+  if (declared > maxBytes) throw new MultipartError(`Upload exceeds ${maxBytes} bytes`, 413);
+
+  const first = Buffer.from("--" + boundary);
+  const delimiter = Buffer.from("\r\n--" + boundary);
+
+  const fields = {};
+  const files = [];
+  let part = null;
+  let partBytes = 0;
+  let state = "preamble";
+  let buf = Buffer.alloc(0);
+  let received = 0;
+
+  const pushData = (data) => {
+    if (!part || data.length === 0) return;
+    partBytes += data.length;
+    if (!part.filename && partBytes > maxFieldBytes) {
+      throw new MultipartError(`Field "${part.name}" exceeds ${maxFieldBytes} bytes`, 413);
+    }
+    part.chunks.push(data);
+  };
+
+  const finishPart = () => {
+    if (!part) return;
+    const data = Buffer.concat(part.chunks);
+    if (part.filename != null) {
+      files.push({ fieldName: part.name, filename: part.filename, mimeType: part.mimeType, data });
+    } else if (part.name) {
+      fields[part.name] = data.toString("utf8");
+    }
+    part = null;
+  };
+
+  const consume = () => {
+    while (true) {
+      if (state === "preamble") {
+        const idx = buf.indexOf(first);
+        if (idx === -1) {
+          buf = buf.subarray(Math.max(0, buf.length - first.length));
+          return;
+        }
+        buf = buf.subarray(idx + first.length);
+        state = "delimiter";
+      } else if (state === "delimiter") {
+        // After a delimiter: "--" closes the body, otherwise optional padding then CRLF
+        if (buf.length < 2) return;
+        if (buf[0] === 0x2d && buf[1] === 0x2d) {
+          state = "done";
+          return;
+        }
+        const eol = buf.indexOf(CRLF);
+        if (eol === -1) {
+          if (buf.length > 256) throw new MultipartError("Malformed multipart delimiter", 400);
+          return;
+        }
+        if (buf.subarray(0, eol).toString("latin1").trim() !== "") {
+          throw new MultipartError("Malformed multipart delimiter", 400);
+        }
+        buf = buf.subarray(eol + 2);
+        state = "headers";
+      } else if (state === "headers") {
+        const end = buf.indexOf(HEADER_END);
+        // A part with no headers starts with a bare CRLF
+        const bare = buf.length >= 2 && buf[0] === 0x0d && buf[1] === 0x0a;
+        if (end === -1 && !bare) {
+          if (buf.length > MAX_HEADER_BYTES) throw new MultipartError("Multipart headers too large", 400);
+          return;
+        }
+        const headerLen = bare ? 0 : end;
+        part = { ...parsePartHeaders(buf.subarray(0, headerLen).toString("utf8")), chunks: [] };
+        partBytes = 0;
+        buf = buf.subarray(bare ? 2 : end + HEADER_END.length);
+        state = "body";
+      } else if (state === "body") {
+        const idx = buf.indexOf(delimiter);
+        if (idx === -1) {
+          // Keep enough tail to catch a delimiter split across chunks
+          const safe = buf.length - (delimiter.length - 1);
+          if (safe > 0) {
+            pushData(buf.subarray(0, safe));
+            buf = buf.subarray(safe);
+          }
+          return;
+        }
+        pushData(buf.subarray(0, idx));
+        finishPart();
+        buf = buf.subarray(idx + delimiter.length);
+        state = "delimiter";
+      } else {
+        return; // done — epilogue is ignored
+      }
+    }
+  };
+
+  for await (const chunk of req) {
+    received += chunk.length;
+    if (received > maxBytes) throw new MultipartError(`Upload exceeds ${maxBytes} bytes`, 413);
+    if (state === "done") continue;
+    buf = buf.length ? Buffer.concat([buf, chunk]) : Buffer.from(chunk);
+    consume();
+  }
+
+  if (state !== "done") throw new MultipartError("Unexpected end of multipart body", 400);
+  return { fields, files };
+}
@@ -0,0 +1,317 @@
+// SVG path data: parsing, serialization, absolutizing and flattening to polylines
+
+// ─── Parse / serialize ───
+
+const ARITY = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+const NUMBER_RE = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+const SEPARATOR_RE = /\s*,?\s*/y;
+const WSP_RE = /\s*/y;
+
+// Path data grammar (SVG 2 §9.3.9): numbers may run together ("1.5.5", "10-5", "1e-3"),
+// arc flags are single digits ("a1 1 0 013 4") and argument sets may repeat after one
+// command letter. → { commands: [{ type, args }], error } with every repeated set kept under
+// its command. As the spec requires, parsing stops at the first error and keeps what was read
+// up to it; `error` ({ offset, message }) says where that was, null for valid data.
+export function parsePathDataWithError(d) {
+  const commands = [];
+  if (!d) return { commands, error: null };
+  let pos = 0;
+  let error = null;
+
+  const skip = (re) => {
+    re.lastIndex = pos;
+    re.test(d);
+    pos = re.lastIndex;
+  };
+  const number = () => {
+    NUMBER_RE.lastIndex = pos;
+    const m = NUMBER_RE.exec(d);
+    if (!m) return null;
+    pos = NUMBER_RE.lastIndex;
+    return parseFloat(m[0]);
+  };
+  const flag = () => {
+    const c = d[pos];
+    if (c !== "0" && c !== "1") return null;
+    pos++;
+    return c === "1" ? 1 : 0;
+  };
+
+  skip(WSP_RE);
+  while (pos < d.length) {
+    const type = d[pos];
+    const arity = ARITY[type.toUpperCase()];
+    if (arity === undefined) {
+      error = { offset: pos, message: `Unexpected "${type}" at ${pos}` };
+      break;
+    }
+    if (commands.length === 0 && type !== "M" && type !== "m") {
+      error = { offset: pos, message: `Path data must start with a moveto, found "${type}"` };
+      break;
+    }
+    pos++;
+    skip(WSP_RE);
+
+    const args = [];
+    // At least one argument set, then more while another number follows
+    while (arity > 0) {
+      const set = [];
+      for (let i = 0; i < arity; i++) {
+        if (i > 0) skip(SEPARATOR_RE);
+        const isFlag = arity === 7 && (i === 3 || i === 4);
+        const v = isFlag ? flag() : number();
+        if (v === null) {
+          error = { offset: pos, message: `Expected ${isFlag ? "flag (0 or 1)" : "number"} for "${type}" at ${pos}` };
+          break;
+        }
+        set.push(v);
+      }
+      if (error) break;
+      args.push(...set);
+      const save = pos;
+      skip(SEPARATOR_RE);
+      NUMBER_RE.lastIndex = pos;
+      if (!NUMBER_RE.test(d)) {
+        pos = save;
+        break;
+      }
+    }
+
+    if (args.length > 0 || arity === 0) commands.push({ type, args });
+    if (error) break;
+    skip(WSP_RE);
+  }
+  return { commands, error };
+}
+
+// Commands of parsePathDataWithError, for callers that render what parses
+export function parsePathData(d) {
+  return parsePathDataWithError(d).commands;
+}
+
+export function serializePathData(commands) {
+  return commands.map((c) => c.type + (c.args.length ? " " + c.args.join(" ") : "")).join(" ");
+}
+
+// ─── Arcs ───
+
+// Endpoint-parameterized elliptical arc → cubic segments [c1x, c1y, c2x, c2y, x, y] (SVG 1.1 F.6)
+export function arcToCubics(x1, y1, rx, ry, angle, largeArc, sweep, x2, y2) {
+  if (x1 === x2 && y1 === y2) return [];
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (rx === 0 || ry === 0) return [[x1, y1, x2, y2, x2, y2]];
+
+  const phi = (angle * Math.PI) / 180;
+  const cos = Math.cos(phi), sin = Math.sin(phi);
+  const dx = (x1 - x2) / 2, dy = (y1 - y2) / 2;
+  const x1p = cos * dx + sin * dy;
+  const y1p = -sin * dx + cos * dy;
+
+  // Scale radii up if the endpoints cannot be reached
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    const s = Math.sqrt(lambda);
+    rx *= s;
+    ry *= s;
+  }
+
+  const num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  let coef = Math.sqrt(Math.max(0, num / den));
+  if (Boolean(largeArc) === Boolean(sweep)) coef = -coef;
+  const cxp = (coef * rx * y1p) / ry;
+  const cyp = (-coef * ry * x1p) / rx;
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+  const vecAngle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const theta1 = vecAngle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let delta = vecAngle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  else if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  const segments = Math.max(1, Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9));
+  const step = delta / segments;
+  const k = (4 / 3) * Math.tan(step / 4);
+
+  const point = (t) => {
+    const ct = Math.cos(t), st = Math.sin(t);
+    return {
+      x: cx + rx * ct * cos - ry * st * sin,
+      y: cy + rx * ct * sin + ry * st * cos,
+      dx: -rx * st * cos - ry * ct * sin,
+      dy: -rx * st * sin + ry * ct * cos,
+    };
+  };
+
+  const out = [];
+  let t = theta1;
+  let p0 = point(t);
+  for (let i = 0; i < segments; i++) {
+    const p1 = point(t + step);
+    const end = i === segments - 1 ? { x: x2, y: y2 } : p1;
+    out.push([p0.x + k * p0.dx, p0.y + k * p0.dy, p1.x - k * p1.dx, p1.y - k * p1.dy, end.x, end.y]);
+    t += step;
+    p0 = p1;
+  }
+  return out;
+}
+
+// ─── Absolutize ───
+
+// Expand to absolute single-segment M / L / C / Q / Z commands (H/V → L, S/T → C/Q, A → C)
+export function toAbsoluteCommands(commands) {
+  const out = [];
+  let cx = 0, cy = 0, sx = 0, sy = 0;
+  let prevCtrl = null; // { type: "C" | "Q", x, y } — last control point for S/T reflection
+
+  for (const { type, args } of commands) {
+    const rel = type !== type.toUpperCase();
+    const abs = type.toUpperCase();
+
+    if (abs === "Z") {
+      out.push({ type: "Z", args: [] });
+      cx = sx; cy = sy;
+      prevCtrl = null;
+      continue;
+    }
+
+    const stride = ARITY[abs];
+    if (!stride) continue;
+
+    for (let i = 0; i + stride <= args.length; i += stride) {
+      const a = args.slice(i, i + stride);
+      const ox = rel ? cx : 0, oy = rel ? cy : 0;
+
+      switch (abs) {
+        case "M": {
+          const x = a[0] + ox, y = a[1] + oy;
+          // Extra coordinate pairs after M are implicit L
+          out.push({ type: i === 0 ? "M" : "L", args: [x, y] });
+          if (i === 0) { sx = x; sy = y; }
+          cx = x; cy = y;
+          prevCtrl = null;
+          break;
+        }
+        case "L":
+        case "H":
+        case "V": {
+          const x = abs === "V" ? cx : a[0] + ox;
+          const y = abs === "H" ? cy : abs === "V" ? a[0] + oy : a[1] + oy;
+          out.push({ type: "L", args: [x, y] });
+          cx = x; cy = y;
+          prevCtrl = null;
+          break;
+        }
+        case "C": {
+          const p = [a[0] + ox, a[1] + oy, a[2] + ox, a[3] + oy, a[4] + ox, a[5] + oy];
+          out.push({ type: "C", args: p });
+          prevCtrl = { type: "C", x: p[2], y: p[3] };
+          cx = p[4]; cy = p[5];
+          break;
+        }
+        case "S": {
+          const c1x = prevCtrl?.type === "C" ? 2 * cx - prevCtrl.x : cx;
+          const c1y = prevCtrl?.type === "C" ? 2 * cy - prevCtrl.y : cy;
+          const p = [c1x, c1y, a[0] + ox, a[1] + oy, a[2] + ox, a[3] + oy];
+          out.push({ type: "C", args: p });
+          prevCtrl = { type: "C", x: p[2], y: p[3] };
+          cx = p[4]; cy = p[5];
+          break;
+        }
+        case "Q": {
+          const p = [a[0] + ox, a[1] + oy, a[2] + ox, a[3] + oy];
+          out.push({ type: "Q", args: p });
+          prevCtrl = { type: "Q", x: p[0], y: p[1] };
+          cx = p[2]; cy = p[3];
+          break;
+        }
+        case "T": {
+          const qx = prevCtrl?.type === "Q" ? 2 * cx - prevCtrl.x : cx;
+          const qy = prevCtrl?.type === "Q" ? 2 * cy - prevCtrl.y : cy;
+          const p = [qx, qy, a[0] + ox, a[1] + oy];
+          out.push({ type: "Q", args: p });
+          prevCtrl = { type: "Q", x: qx, y: qy };
+          cx = p[2]; cy = p[3];
+          break;
+        }
+        case "A": {
+          const x = a[5] + ox, y = a[6] + oy;
+          for (const c of arcToCubics(cx, cy, a[0], a[1], a[2], a[3], a[4], x, y)) {
+            out.push({ type: "C", args: c });
+          }
+          cx = x; cy = y;
+          prevCtrl = null;
+          break;
+        }
+      }
+    }
+  }
+  return out;
+}
+
+// ─── Flatten ───
+
+function curveSteps(points, tolerance) {
+  let len = 0;
+  for (let i = 1; i + 2 < points.length; i += 2) {
+    len += Math.hypot(points[i + 1] - points[i - 1], points[i + 2] - points[i]);
+  }
+  return Math.min(64, Math.max(2, Math.ceil(Math.sqrt(len / tolerance))));
+}
+
+// Flatten path data into polylines: [{ points: [{x, y}], closed }]
+export function flattenPathData(d, tolerance = 0.25) {
+  const commands = toAbsoluteCommands(typeof d === "string" ? parsePathData(d) : d);
+  const subpaths = [];
+  let current = null;
+  let cx = 0, cy = 0;
+
+  const start = (x, y) => {
+    current = { points: [{ x, y }], closed: false };
+    subpaths.push(current);
+  };
+
+  for (const { type, args } of commands) {
+    if (type === "M") {
+      start(args[0], args[1]);
+      cx = args[0]; cy = args[1];
+      continue;
+    }
+    if (!current) start(cx, cy);
+
+    if (type === "Z") {
+      current.closed = true;
+      const first = current.points[0];
+      cx = first.x; cy = first.y;
+      current = null;
+      continue;
+    }
+    if (type === "L") {
+      current.points.push({ x: args[0], y: args[1] });
+    } else if (type === "C") {
+      const steps = curveSteps([cx, cy, ...args], tolerance);
+      for (let i = 1; i <= steps; i++) {
+        const t = i / steps, mt = 1 - t;
+        const a = mt * mt * mt, b = 3 * mt * mt * t, c = 3 * mt * t * t, e = t * t * t;
+        current.points.push({
+          x: a * cx + b * args[0] + c * args[2] + e * args[4],
+          y: a * cy + b * args[1] + c * args[3] + e * args[5],
+        });
+      }
+    } else if (type === "Q") {
+      const steps = curveSteps([cx, cy, ...args], tolerance);
+      for (let i = 1; i <= steps; i++) {
+        const t = i / steps, mt = 1 - t;
+        current.points.push({
+          x: mt * mt * cx + 2 * mt * t * args[0] + t * t * args[2],
+          y: mt * mt * cy + 2 * mt * t * args[1] + t * t * args[3],
+        });
+      }
+    }
+    const last = current.points[current.points.length - 1];
+    cx = last.x; cy = last.y;
+  }
+  return subpaths;
+}
@@ -0,0 +1,184 @@
+// Pure-JS path geometry: bbox, length, signed area, point sampling, fill hit-testing and shape signatures from path data
+//
+// Mirrors the SVG DOM geometry APIs (getBBox, getTotalLength, getPointAtLength,
+// isPointInFill) on flattened polylines so the analysis can run without a browser.
+
+import { flattenPathData } from "./path-data";
+
+const CACHE_LIMIT = 2000;
+const cache = new Map();
+
+function measure(subpaths) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  let length = 0;
+  let signedArea = 0;
+  const segments = []; // [x1, y1, x2, y2, startLength] for point sampling
+
+  for (const { points, closed } of subpaths) {
+    // Filling closes every subpath, so the area does too
+    for (let i = 0, n = points.length; i < n; i++) {
+      const a = points[i], b = points[(i + 1) % n];
+      signedArea += (a.x * b.y - b.x * a.y) / 2;
+    }
+    for (let i = 0; i < points.length; i++) {
+      const p = points[i];
+      if (p.x < minX) minX = p.x;
+      if (p.y < minY) minY = p.y;
+      if (p.x > maxX) maxX = p.x;
+      if (p.y > maxY) maxY = p.y;
+
+      const next = i + 1 < points.length ? points[i + 1] : closed ? points[0] : null;
+      if (!next) continue;
+      const len = Math.hypot(next.x - p.x, next.y - p.y);
+      if (len === 0) continue;
+      segments.push([p.x, p.y, next.x, next.y, length]);
+      length += len;
+    }
+  }
+
+  const bbox = minX === Infinity
+    ? { x: 0, y: 0, width: 0, height: 0 }
+    : { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+  return { bbox, length, segments, signedArea };
+}
+
+// Parsed + flattened geometry for a path "d" string, memoized by the string itself.
+// signedArea is positive for clockwise outlines on screen (y down); subpaths wound against
+// each other subtract, as holes do under nonzero.
+export function getPathGeometry(d) {
+  const key = d || "";
+  const hit = cache.get(key);
+  if (hit) return hit;
+
+  const subpaths = flattenPathData(key);
+  const geometry = { subpaths, ...measure(subpaths) };
+
+  if (cache.size >= CACHE_LIMIT) cache.delete(cache.keys().next().value);
+  cache.set(key, geometry);
+  return geometry;
+}
+
+export function getPointAtLength(geometry, distance) {
+  const { segments, length } = geometry;
+  if (segments.length === 0) {
+    const first = geometry.subpaths[0]?.points[0];
+    return first ? { x: first.x, y: first.y } : { x: 0, y: 0 };
+  }
+  const target = Math.min(Math.max(distance, 0), length);
+
+  // Binary search for the segment containing the target length
+  let lo = 0, hi = segments.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (segments[mid][4] <= target) lo = mid;
+    else hi = mid - 1;
+  }
+  const [x1, y1, x2, y2, start] = segments[lo];
+  const segLen = Math.hypot(x2 - x1, y2 - y1);
+  const t = segLen > 0 ? Math.min(1, (target - start) / segLen) : 0;
+  return { x: x1 + (x2 - x1) * t, y: y1 + (y2 - y1) * t };
+}
+
+// Fill hit-test; every subpath is implicitly closed for filling, as in SVG
+export function isPointInFill(geometry, x, y, fillRule = "nonzero") {
+  const { bbox } = geometry;
+  if (x < bbox.x || x > bbox.x + bbox.width || y < bbox.y || y > bbox.y + bbox.height) return false;
+
+  let winding = 0;
+  let crossings = 0;
+  for (const { points } of geometry.subpaths) {
+    for (let i = 0, n = points.length; i < n; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % n];
+      if ((a.y <= y) !== (b.y <= y)) {
+        const xCross = a.x + ((y - a.y) * (b.x - a.x)) / (b.y - a.y);
+        if (xCross > x) {
+          crossings++;
+          winding += b.y > a.y ? 1 : -1;
+        }
+      }
+    }
+  }
+  return fillRule === "evenodd" ? crossings % 2 === 1 : winding !== 0;
+}
+
+// ─── Shape signature ───
+
+const SIGNATURE_SAMPLES = 64;
+const SIGNATURE_HARMONICS = 12;
+
+// Outline resampled at equal arc-length steps, starting at its first point
+function resampleClosed(points, count) {
+  const n = points.length;
+  const cumulative = [0];
+  for (let i = 0; i < n; i++) {
+    const a = points[i], b = points[(i + 1) % n];
+    cumulative.push(cumulative[i] + Math.hypot(b.x - a.x, b.y - a.y));
+  }
+  const total = cumulative[n];
+  if (!(total > 0)) return null;
+
+  const samples = [];
+  let seg = 0;
+  for (let i = 0; i < count; i++) {
+    const target = (i / count) * total;
+    while (cumulative[seg + 1] < target) seg++;
+    const a = points[seg], b = points[(seg + 1) % n];
+    const len = cumulative[seg + 1] - cumulative[seg];
+    const t = len > 0 ? (target - cumulative[seg]) / len : 0;
+    samples.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+  }
+  return samples;
+}
+
+// Fourier descriptor of the outer outline (the subpath enclosing the most area), memoized on
+// the geometry. For k = 2…13: (|F(k)| + |F(−k)|) / (|F(1)| + |F(−1)|), rounded to 1e-4.
+// Magnitudes drop the phase a start point (or rotation) adds, pairing ±k cancels the traversal
+// direction, skipping F(0) drops position and dividing by the first harmonic drops scale —
+// only low harmonics are kept, so small numeric noise barely moves it. Degenerate outlines
+// (points, lines) get all zeros.
+export function shapeSignature(geometry) {
+  if (geometry.signature) return geometry.signature;
+
+  let outline = null, outlineArea = -1;
+  for (const { points } of geometry.subpaths) {
+    let a = 0;
+    for (let i = 0, n = points.length; i < n; i++) {
+      const p = points[i], q = points[(i + 1) % n];
+      a += p.x * q.y - q.x * p.y;
+    }
+    if (Math.abs(a) > outlineArea) { outline = points; outlineArea = Math.abs(a); }
+  }
+
+  const signature = new Array(SIGNATURE_HARMONICS).fill(0);
+  const samples = outline && outline.length >= 3 && outlineArea > 0 ? resampleClosed(outline, SIGNATURE_SAMPLES) : null;
+  if (samples) {
+    const N = SIGNATURE_SAMPLES;
+    const magnitude = (k) => {
+      let re = 0, im = 0;
+      for (let i = 0; i < N; i++) {
+        const angle = (-2 * Math.PI * k * i) / N;
+        const c = Math.cos(angle), s = Math.sin(angle);
+        re += samples[i].x * c - samples[i].y * s;
+        im += samples[i].x * s + samples[i].y * c;
+      }
+      return Math.hypot(re, im) / N;
+    };
+    const scale = magnitude(1) + magnitude(-1);
+    if (scale > 0) {
+      for (let k = 2; k < SIGNATURE_HARMONICS + 2; k++) {
+        signature[k - 2] = Math.round(((magnitude(k) + magnitude(-k)) / scale) * 1e4) / 1e4;
+      }
+    }
+  }
+
+  geometry.signature = signature;
+  return signature;
+}
+
+// Euclidean distance between two shape signatures; 0 for the same outline
+export function signatureDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) sum += ((a[i] || 0) - (b[i] || 0)) ** 2;
+  return Math.sqrt(sum);
+}
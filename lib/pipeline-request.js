@@ -0,0 +1,29 @@
+// Pipeline run options from an upload request, shared by /api/process and /api/jobs
+
+import { ENGINES } from "./vectorizer";
+import { wantsCacheBypass } from "./result-cache";
+
+function requestError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Query string and multipart fields → { engine, gradientThreshold, bypassCache, vectorizerOptions }.
+// `engine` and `gradientThreshold` come from the query or a field of that name (the query wins);
+// every other field is a vectorizer option. Throws 400 for an unknown engine or a threshold
+// that isn't a non-negative number.
+export function pipelineRequestOptions(req, fields = {}) {
+  const { engine: engineField, gradientThreshold: gradientField, ...vectorizerOptions } = fields;
+
+  const engine = String(req.query?.engine || engineField || process.env.VECTORIZER_ENGINE || "auto").toLowerCase();
+  if (!ENGINES.includes(engine)) throw requestError(`Unknown engine "${engine}" (expected ${ENGINES.join(", ")})`);
+
+  const gradientValue = req.query?.gradientThreshold ?? gradientField;
+  const gradientThreshold = gradientValue === undefined || gradientValue === "" ? undefined : Number(gradientValue);
+  if (gradientThreshold !== undefined && !(gradientThreshold >= 0)) {
+    throw requestError(`gradientThreshold must be a non-negative number, got "${gradientValue}"`);
+  }
+
+  return { engine, gradientThreshold, bypassCache: wantsCacheBypass(req), vectorizerOptions };
+}
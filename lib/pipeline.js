@@ -0,0 +1,296 @@
+// Server-side logo pipeline: the page's processFile steps (analyze, vectorize, label,
+// structural analysis, colorize, versions, validate) as one headless call
+//
+// Runs step by step over a plain JSON state (SVGs kept as markup) so a run can be
+// persisted between steps and resumed from any of them — see lib/jobs.js.
+
+import { getProvider, completeJson } from "./llm-provider";
+import { getResponseSchema } from "./gpt-schemas";
+import { ANALYSIS_PROMPT, buildColorizePrompt, buildValidatePrompt } from "./prompts";
+import { sniffImageType, looksLikeSvg } from "./image-type";
+import { vectorizeImage, buildVectorizerParams } from "./vectorizer";
+import { parseSvgElement, serializeSvg } from "./svg-dom";
+import { rasterizeSvg } from "./svg-rasterize";
+import { encodePng } from "./png-encode";
+import { discoverShapes, formatShapeList, applyColorAssignments } from "./colorize";
+import { analyzeSvgStructure } from "./structural-analysis";
+import { applyStylesheets } from "./svg-normalize";
+import { reportToPromptHints } from "./analysis-report";
+import { snapshotAnalysis, loadAnalysisSnapshot } from "./analysis-snapshot";
+import { generateAllVersions, generateFallbackVersions } from "./version-engine";
+import { loadLocalFonts } from "./local-fonts";
+import { analyzeCacheKey, vectorizeCacheKey } from "./cache-key";
+import { getResultCache, withResultCache } from "./result-cache";
+
+// Named after the page's `step` states
+export const PIPELINE_STEPS = ["analyzing", "vectorizing", "structuring", "colorizing", "versioning", "validating"];
+
+// A failure here stops the run; the other steps degrade to warnings like on the page
+const FATAL_STEPS = new Set(["vectorizing"]);
+
+// Registries and reports hold DOM nodes and Maps — keep the JSON-able parts
+function toJson(value) {
+  return JSON.parse(
+    JSON.stringify(value, (key, v) => {
+      if (v instanceof Map) return Object.fromEntries(v);
+      if (v && typeof v === "object" && typeof v.nodeType === "number") return undefined;
+      return v;
+    })
+  );
+}
+
+function renderPngBase64(svg, fonts) {
+  return encodePng(rasterizeSvg(svg, { fonts })).toString("base64");
+}
+
+// Paid calls go through the server result cache under the same keys as /api/analyze and
+// /api/vectorize; state.cache records each step's "hit" | "miss" | "bypass" | "off"
+async function cached(state, ctx, step, key, options, compute) {
+  const { value, status } = await withResultCache(ctx.cache, await key, { bypass: ctx.bypassCache, ...options }, compute);
+  (state.cache ||= {})[step] = status;
+  return value;
+}
+
+function ask(state, ctx, step, schemaName, prompt, images) {
+  return cached(state, ctx, step, analyzeCacheKey(ctx.provider, schemaName, prompt, images), {}, () =>
+    completeJson(ctx.provider, { prompt, images, schemaName, schema: getResponseSchema(schemaName) })
+  );
+}
+
+function inputBuffer(state) {
+  return Buffer.from(state.input.data, "base64");
+}
+
+// ─── State ───
+
+// file: { data: Buffer, filename, mimeType } → fresh run state. Throws 415 for unsupported
+// input and 400 for SVG that does not parse or bad vectorizer options, before any step runs.
+export function createPipelineState(file, { vectorizerOptions = {} } = {}) {
+  const isSvg = looksLikeSvg(file.data);
+  const sniffed = isSvg ? { mime: "image/svg+xml", ext: "svg" } : sniffImageType(file.data);
+  if (!sniffed) {
+    const err = new Error(`Unsupported image type${file.mimeType ? ` (declared ${file.mimeType})` : ""}`);
+    err.status = 415;
+    throw err;
+  }
+  if (isSvg) {
+    try {
+      parseSvgElement(file.data.toString("utf8"));
+    } catch (e) {
+      e.status = 400;
+      throw e;
+    }
+  }
+
+  return {
+    input: {
+      name: file.filename || null,
+      mimeType: sniffed.mime,
+      ext: sniffed.ext,
+      bytes: file.data.length,
+      isSvg,
+      data: file.data.toString("base64"),
+    },
+    vectorizerParams: buildVectorizerParams(vectorizerOptions),
+    original: null,
+    analysis: null,
+    vectorizer: null,
+    svg: null,
+    shapes: [],
+    report: null,
+    snapshot: null,
+    hints: "",
+    colorizedSvg: null,
+    versions: [],
+    validation: null,
+    warnings: [],
+    timings: {},
+    cache: {},
+  };
+}
+
+// The client-facing part of a (possibly partial) state
+export function pipelineResult(state) {
+  const { input } = state;
+  return {
+    file: { name: input.name, mimeType: input.mimeType, bytes: input.bytes, isSvg: input.isSvg },
+    analysis: state.analysis,
+    vectorizer: state.vectorizer,
+    shapes: state.shapes,
+    report: state.report,
+    snapshot: state.snapshot,
+    colorizedSvg: state.colorizedSvg,
+    versions: state.versions,
+    validation: state.validation,
+    warnings: state.warnings,
+    timings: state.timings,
+    cache: state.cache || {},
+  };
+}
+
+// ─── Steps ───
+// Each step reads earlier results from `state` and writes its own. `ctx.structure` caches
+// the live analysis (registries hold DOM nodes) within one run; on resume it is reloaded
+// from the state's snapshot (see lib/analysis-snapshot.js), or rebuilt from an older state.
+
+async function structureFor(state, ctx) {
+  if (!ctx.structure && state.snapshot) ctx.structure = loadAnalysisSnapshot(state.snapshot);
+  if (!ctx.structure) ctx.structure = analyzeSvgStructure(parseSvgElement(state.svg), state.analysis, {
+      fonts: ctx.fonts,
+      gradientThreshold: ctx.gradientThreshold,
+    });
+  return ctx.structure;
+}
+
+const STEPS = {
+  async analyzing(state, ctx) {
+    let shapeInfo = "";
+    if (state.input.isSvg) {
+      const svg = parseSvgElement(inputBuffer(state).toString("utf8"));
+      shapeInfo = discoverShapes(svg)
+        .map((s, i) => `Shape ${i + 1}: id="${s.id}", tag=<${s.tag}>, fill="${s.fill}"`)
+        .join("\n");
+      state.svg = serializeSvg(svg);
+      state.original = { base64: renderPngBase64(svg, ctx.fonts), mimeType: "image/png" };
+    } else {
+      state.original = { base64: state.input.data, mimeType: state.input.mimeType };
+    }
+
+    state.analysis = await ask(
+      state,
+      ctx,
+      "analyzing",
+      "analysis",
+      ANALYSIS_PROMPT + (shapeInfo ? "\n\nShape data:\n" + shapeInfo : ""),
+      [state.original]
+    );
+  },
+
+  async vectorizing(state, ctx) {
+    if (state.input.isSvg) return "skipped";
+    const { input } = state;
+    const data = inputBuffer(state);
+    // Offline-tracer fallbacks aren't cached, so the next run retries the remote
+    const result = await cached(
+      state,
+      ctx,
+      "vectorizing",
+      vectorizeCacheKey(ctx.engine, state.vectorizerParams, data),
+      { shouldStore: (r) => !r.fallback },
+      () => vectorizeImage({ data, filename: input.name || "image." + input.ext, mimeType: input.mimeType }, { engine: ctx.engine, params: state.vectorizerParams })
+    );
+    state.vectorizer = { engine: result.engine, fallback: result.fallback };
+    state.svg = result.svg;
+  },
+
+  async structuring(state, ctx) {
+    const svg = parseSvgElement(state.svg);
+    // Class and <style> fills become attributes, which colorizing and versioning can rewrite
+    applyStylesheets(svg);
+    state.shapes = discoverShapes(svg);
+    state.svg = serializeSvg(svg);
+
+    ctx.structure = null;
+    state.report = null;
+    state.snapshot = null;
+    state.hints = "";
+    const structure = await structureFor(state, ctx);
+    state.report = toJson(structure.report);
+    state.snapshot = snapshotAnalysis(structure.registries, structure.report);
+    state.hints = reportToPromptHints(structure.report);
+  },
+
+  async colorizing(state, ctx) {
+    // Uncolored until the assignments arrive, so a failed call still leaves a usable SVG
+    state.colorizedSvg = state.svg;
+    if (state.shapes.length === 0) return "skipped";
+
+    const svg = parseSvgElement(state.svg);
+    const colorData = await ask(state, ctx, "colorizing", "colorize", buildColorizePrompt(formatShapeList(state.shapes), state.hints), [
+      state.original,
+    ]);
+    applyColorAssignments(svg, colorData.assignments || [], "cg");
+    state.colorizedSvg = serializeSvg(svg);
+  },
+
+  async versioning(state, ctx) {
+    let versions = [];
+    if (state.report) {
+      try {
+        const { registries, report } = await structureFor(state, ctx);
+        versions = generateAllVersions(registries, report, state.colorizedSvg);
+      } catch (e) {
+        state.warnings.push({ step: "versioning", message: e.message });
+      }
+    }
+    if (versions.length === 0) versions = generateFallbackVersions(parseSvgElement(state.colorizedSvg), state.colorizedSvg);
+    state.versions = versions.map((v) => ({ ...v, mapping: v.mapping ? Object.fromEntries(v.mapping) : null }));
+  },
+
+  async validating(state, ctx) {
+    const recolored = { base64: renderPngBase64(parseSvgElement(state.colorizedSvg), ctx.fonts), mimeType: "image/png" };
+    state.validation = await ask(state, ctx, "validating", "validate", buildValidatePrompt(), [state.original, recolored]);
+  },
+};
+
+// ─── Runner ───
+
+// Run the steps from `from` onward over `state` (mutated in place). `onStep(step, status, error)`
+// is awaited on every transition ("running" → "done" | "skipped" | "failed"), so callers can
+// persist progress. Non-fatal failures become warnings; a fatal one is rethrown.
+// `fonts` (faces for outlining <text>) defaults to the local fonts directory. `cache` is the
+// result cache for paid calls (default getResultCache(), null for none); `bypassCache` skips
+// lookups but still stores fresh results. `gradientThreshold` is the ΔE within which gradients
+// share a paint group (default: buildRegistries').
+export async function runPipeline(
+  state,
+  {
+    provider = getProvider(),
+    engine = "auto",
+    from = PIPELINE_STEPS[0],
+    onStep = async () => {},
+    fonts,
+    cache = getResultCache(),
+    bypassCache = false,
+    gradientThreshold,
+  } = {}
+) {
+  const start = PIPELINE_STEPS.indexOf(from);
+  if (start === -1) {
+    const err = new Error(`Unknown step "${from}" (expected ${PIPELINE_STEPS.join(", ")})`);
+    err.status = 400;
+    throw err;
+  }
+
+  const ctx = { provider, engine, fonts: fonts ?? loadLocalFonts(), structure: null, cache, bypassCache, gradientThreshold };
+  for (const step of PIPELINE_STEPS.slice(start)) {
+    state.warnings = state.warnings.filter((w) => w.step !== step);
+    if (state.cache) delete state.cache[step];
+    await onStep(step, "running", null);
+
+    const t0 = Date.now();
+    let status = "done";
+    let error = null;
+    try {
+      status = (await STEPS[step](state, ctx)) || "done";
+    } catch (e) {
+      status = "failed";
+      error = e;
+      state.warnings.push({ step, message: e.message });
+    } finally {
+      state.timings[step] = Date.now() - t0;
+    }
+
+    await onStep(step, status, error);
+    if (error && FATAL_STEPS.has(step)) throw error;
+  }
+  return state;
+}
+
+// file: { data: Buffer, filename, mimeType }. Analysis, structure, colorize and validate
+// failures degrade to warnings like on the page; unsupported input and vectorizer failures throw.
+export async function processLogo(file, { vectorizerOptions, ...options } = {}) {
+  const state = createPipelineState(file, { vectorizerOptions });
+  await runPipeline(state, options);
+  return pipelineResult(state);
+}
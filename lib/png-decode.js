@@ -0,0 +1,153 @@
+// Dependency-free PNG decoder (Node only — uses zlib) → { width, height, data: RGBA Uint8Array }
+
+import zlib from "zlib";
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Adam7 passes: [xStart, yStart, xStep, yStep]
+const ADAM7 = [
+  [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+  [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2],
+];
+
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+export function isPng(buf) {
+  return buf.length >= 8 && PNG_SIGNATURE.every((b, i) => buf[i] === b);
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// Reverse scanline filters in place; returns the unfiltered rows as one buffer
+function unfilter(raw, offset, width, height, bpp, rowBytes) {
+  const out = new Uint8Array(rowBytes * height);
+  let pos = offset;
+  for (let y = 0; y < height; y++) {
+    const filter = raw[pos++];
+    const row = y * rowBytes;
+    const prev = row - rowBytes;
+    for (let x = 0; x < rowBytes; x++) {
+      const cur = raw[pos++];
+      const left = x >= bpp ? out[row + x - bpp] : 0;
+      const up = y > 0 ? out[prev + x] : 0;
+      const upLeft = y > 0 && x >= bpp ? out[prev + x - bpp] : 0;
+      let v;
+      switch (filter) {
+        case 0: v = cur; break;
+        case 1: v = cur + left; break;
+        case 2: v = cur + up; break;
+        case 3: v = cur + ((left + up) >> 1); break;
+        case 4: v = cur + paeth(left, up, upLeft); break;
+        default: throw new Error(`Invalid PNG filter type ${filter}`);
+      }
+      out[row + x] = v & 0xff;
+    }
+  }
+  return { rows: out, next: pos };
+}
+
+function readSample(rows, rowStart, index, bitDepth) {
+  if (bitDepth === 8) return rows[rowStart + index];
+  if (bitDepth === 16) return rows[rowStart + index * 2]; // high byte is enough for 8-bit output
+  const perByte = 8 / bitDepth;
+  const byte = rows[rowStart + Math.floor(index / perByte)];
+  const shift = 8 - bitDepth * ((index % perByte) + 1);
+  return (byte >> shift) & ((1 << bitDepth) - 1);
+}
+
+export function decodePng(buf) {
+  if (!isPng(buf)) throw new Error("Not a PNG file");
+
+  let pos = 8;
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+
+  while (pos + 8 <= buf.length) {
+    const length = buf.readUInt32BE(pos);
+    const type = buf.toString("ascii", pos + 4, pos + 8);
+    const data = buf.subarray(pos + 8, pos + 8 + length);
+    pos += 12 + length;
+
+    if (type === "IHDR") {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === "PLTE") {
+      palette = data;
+    } else if (type === "tRNS") {
+      transparency = data;
+    } else if (type === "IDAT") {
+      idat.push(data);
+    } else if (type === "IEND") {
+      break;
+    }
+  }
+
+  if (!header) throw new Error("PNG missing IHDR");
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (!channels) throw new Error(`Unsupported PNG color type ${colorType}`);
+  if (colorType === 3 && !palette) throw new Error("Indexed PNG missing PLTE");
+
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const bitsPerPixel = channels * bitDepth;
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const maxSample = (1 << Math.min(bitDepth, 8)) - 1;
+  const scale = (v) => (bitDepth >= 8 ? v : Math.round((v * 255) / maxSample));
+
+  // Transparent key color for gray/RGB images (compared at source bit depth)
+  const key = transparency && colorType === 0 ? [transparency.readUInt16BE(0)]
+    : transparency && colorType === 2 ? [transparency.readUInt16BE(0), transparency.readUInt16BE(2), transparency.readUInt16BE(4)]
+    : null;
+
+  const out = new Uint8Array(width * height * 4);
+
+  const writePixel = (rows, rowStart, px, dst) => {
+    let r, g, b, a = 255;
+    const s = (i) => readSample(rows, rowStart, px * channels + i, bitDepth);
+    if (colorType === 3) {
+      const idx = s(0);
+      r = palette[idx * 3]; g = palette[idx * 3 + 1]; b = palette[idx * 3 + 2];
+      if (transparency && idx < transparency.length) a = transparency[idx];
+    } else if (colorType === 0 || colorType === 4) {
+      const raw0 = s(0);
+      r = g = b = scale(raw0);
+      if (colorType === 4) a = scale(s(1));
+      else if (key && bitDepth < 16 && raw0 === key[0]) a = 0;
+    } else {
+      r = scale(s(0)); g = scale(s(1)); b = scale(s(2));
+      if (colorType === 6) a = scale(s(3));
+      else if (key && bitDepth < 16 && r === key[0] && g === key[1] && b === key[2]) a = 0;
+    }
+    out[dst] = r; out[dst + 1] = g; out[dst + 2] = b; out[dst + 3] = a;
+  };
+
+  const passes = interlace ? ADAM7 : [[0, 0, 1, 1]];
+  let offset = 0;
+  for (const [x0, y0, dx, dy] of passes) {
+    const pw = Math.ceil((width - x0) / dx);
+    const ph = Math.ceil((height - y0) / dy);
+    if (pw <= 0 || ph <= 0) continue;
+    const rowBytes = Math.ceil((pw * bitsPerPixel) / 8);
+    const { rows, next } = unfilter(raw, offset, pw, ph, bpp, rowBytes);
+    offset = next;
+    for (let y = 0; y < ph; y++) {
+      for (let x = 0; x < pw; x++) {
+        writePixel(rows, y * rowBytes, x, ((y0 + y * dy) * width + (x0 + x * dx)) * 4);
+      }
+    }
+  }
+
+  return { width, height, data: out };
+}
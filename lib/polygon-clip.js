@@ -0,0 +1,203 @@
+// Polygon intersection for clip paths: flattened subject ∩ union of clip shapes
+//
+// Works on polylines (see flattenPathData) with nonzero / evenodd fill rules. The plane is cut
+// into horizontal slabs at every vertex and edge crossing; inside each slab the edges don't
+// cross, so the result is a row of trapezoids. Trapezoids that continue one another across
+// slabs are stitched into strips, so a circle clipped by a rect comes back as one polygon.
+
+// ─── Edges ───
+
+function buildEdges(polygons, shape) {
+  const edges = [];
+  for (const points of polygons) {
+    for (let i = 0, n = points.length; i < n; i++) {
+      const a = points[i], b = points[(i + 1) % n];
+      if (a.y === b.y) continue;
+      edges.push({
+        x0: a.x, y0: a.y, x1: b.x, y1: b.y,
+        top: Math.min(a.y, b.y),
+        bottom: Math.max(a.y, b.y),
+        dir: b.y > a.y ? 1 : -1,
+        shape,
+      });
+    }
+  }
+  return edges;
+}
+
+function xAt(e, y) {
+  return e.x0 + ((y - e.y0) * (e.x1 - e.x0)) / (e.y1 - e.y0);
+}
+
+// y of the proper crossing of two edges, or null
+function crossingY(e, f) {
+  const dx1 = e.x1 - e.x0, dy1 = e.y1 - e.y0;
+  const dx2 = f.x1 - f.x0, dy2 = f.y1 - f.y0;
+  const denom = dx1 * dy2 - dy1 * dx2;
+  if (denom === 0) return null;
+  const t = ((f.x0 - e.x0) * dy2 - (f.y0 - e.y0) * dx2) / denom;
+  const u = ((f.x0 - e.x0) * dy1 - (f.y0 - e.y0) * dx1) / denom;
+  if (t <= 0 || t >= 1 || u <= 0 || u >= 1) return null;
+  return e.y0 + t * dy1;
+}
+
+function windingAt(polygons, x, y) {
+  let winding = 0;
+  for (const points of polygons) {
+    for (let i = 0, n = points.length; i < n; i++) {
+      const a = points[i], b = points[(i + 1) % n];
+      if ((a.y <= y) !== (b.y <= y)) {
+        const xi = a.x + ((y - a.y) * (b.x - a.x)) / (b.y - a.y);
+        if (xi > x) winding += b.y > a.y ? 1 : -1;
+      }
+    }
+  }
+  return winding;
+}
+
+function insideByRule(winding, fillRule) {
+  return fillRule === "evenodd" ? winding % 2 !== 0 : winding !== 0;
+}
+
+function inShape(shape, x, y) {
+  return insideByRule(windingAt(shape.polygons, x, y), shape.fillRule);
+}
+
+// ─── Output ───
+
+// Drop repeated and collinear vertices
+function simplify(points, eps) {
+  const out = [];
+  for (const p of points) {
+    const last = out[out.length - 1];
+    if (last && Math.abs(last.x - p.x) < eps && Math.abs(last.y - p.y) < eps) continue;
+    out.push(p);
+  }
+  if (out.length > 1 && Math.abs(out[0].x - out[out.length - 1].x) < eps && Math.abs(out[0].y - out[out.length - 1].y) < eps) out.pop();
+
+  for (let changed = true; changed && out.length > 2; ) {
+    changed = false;
+    for (let i = 0; i < out.length && out.length > 2; i++) {
+      const a = out[(i + out.length - 1) % out.length], b = out[i], c = out[(i + 1) % out.length];
+      const cross = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+      if (Math.abs(cross) < eps * eps) {
+        out.splice(i, 1);
+        changed = true;
+        i--;
+      }
+    }
+  }
+  return out;
+}
+
+export function polygonsToPathData(polygons, precision = 3) {
+  const f = (v) => +v.toFixed(precision);
+  return polygons
+    .map((points) => "M " + points.map((p) => `${f(p.x)} ${f(p.y)}`).join(" L ") + " Z")
+    .join(" ");
+}
+
+// ─── Intersection ───
+
+// subject: { polygons, fillRule }; clips: [{ polygons, fillRule }] whose union is the clip region.
+// → { polygons, unchanged }: `unchanged` when the subject lies entirely inside the region (the
+// caller can keep its original curves); otherwise `polygons` (nonzero fill) is the intersection.
+export function intersectWithClip(subject, clips) {
+  const subjectEdges = buildEdges(subject.polygons, -1);
+  const clipEdges = clips.flatMap((c, i) => buildEdges(c.polygons, i));
+  if (subjectEdges.length === 0 || clipEdges.length === 0) return { polygons: [], unchanged: false };
+
+  const edges = [...subjectEdges, ...clipEdges].sort((a, b) => a.top - b.top);
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  for (const e of edges) {
+    minX = Math.min(minX, e.x0, e.x1);
+    maxX = Math.max(maxX, e.x0, e.x1);
+    minY = Math.min(minY, e.top);
+    maxY = Math.max(maxY, e.bottom);
+  }
+  const eps = 1e-9 * Math.max(1, maxX - minX, maxY - minY);
+
+  // Slab boundaries: every vertex and every crossing
+  const ys = edges.flatMap((e) => [e.top, e.bottom]);
+  let boundariesCross = false;
+  for (let i = 0; i < edges.length; i++) {
+    const e = edges[i];
+    for (let j = i + 1; j < edges.length && edges[j].top < e.bottom; j++) {
+      const y = crossingY(e, edges[j]);
+      if (y === null) continue;
+      ys.push(y);
+      if ((e.shape === -1) !== (edges[j].shape === -1)) boundariesCross = true;
+    }
+  }
+
+  if (!boundariesCross) {
+    const subjectInside = subject.polygons.every((pts) => pts.every((p) => clips.some((c) => inShape(c, p.x, p.y))));
+    const clipInside = clips.some((c) => c.polygons.some((pts) => pts.some((p) => inShape(subject, p.x, p.y))));
+    if (subjectInside && !clipInside) return { polygons: subject.polygons, unchanged: true };
+    if (!clipInside && subject.polygons.every((pts) => pts.every((p) => !clips.some((c) => inShape(c, p.x, p.y))))) {
+      return { polygons: [], unchanged: false };
+    }
+  }
+
+  ys.sort((a, b) => a - b);
+  const levels = ys.filter((y, i) => i === 0 || y - ys[i - 1] > eps);
+
+  const finished = [];
+  let open = []; // strips continuing from the previous slab: { left, right, xl, xr }
+  let next = 0;
+  let active = [];
+
+  for (let s = 0; s < levels.length - 1; s++) {
+    const ya = levels[s], yb = levels[s + 1], ym = (ya + yb) / 2;
+    while (next < edges.length && edges[next].top <= ym) active.push(edges[next++]);
+    active = active.filter((e) => e.bottom > ym);
+
+    const crossing = active
+      .filter((e) => e.top <= ym)
+      .map((e) => ({ e, x: xAt(e, ym) }))
+      .sort((p, q) => p.x - q.x);
+
+    // Inside-intervals of subject ∩ clip region along the slab's midline
+    const intervals = [];
+    let subjectWinding = 0;
+    const clipWinding = clips.map(() => 0);
+    let start = null;
+    for (const { e } of crossing) {
+      if (e.shape === -1) subjectWinding += e.dir;
+      else clipWinding[e.shape] += e.dir;
+      const inside =
+        insideByRule(subjectWinding, subject.fillRule) && clipWinding.some((w, i) => insideByRule(w, clips[i].fillRule));
+      if (inside && !start) start = e;
+      else if (!inside && start) {
+        intervals.push({ l: start, r: e });
+        start = null;
+      }
+    }
+
+    const stillOpen = [];
+    for (const { l, r } of intervals) {
+      const top = { xl: xAt(l, ya), xr: xAt(r, ya) };
+      const bottom = { xl: xAt(l, yb), xr: xAt(r, yb) };
+      const idx = open.findIndex((o) => Math.abs(o.xl - top.xl) < eps * 1e3 && Math.abs(o.xr - top.xr) < eps * 1e3);
+      let strip;
+      if (idx !== -1) {
+        strip = open.splice(idx, 1)[0];
+      } else {
+        strip = { left: [{ x: top.xl, y: ya }], right: [{ x: top.xr, y: ya }] };
+      }
+      strip.left.push({ x: bottom.xl, y: yb });
+      strip.right.push({ x: bottom.xr, y: yb });
+      strip.xl = bottom.xl;
+      strip.xr = bottom.xr;
+      stillOpen.push(strip);
+    }
+    finished.push(...open);
+    open = stillOpen;
+  }
+  finished.push(...open);
+
+  const polygons = finished
+    .map((strip) => simplify([...strip.left, ...strip.right.reverse()], eps * 1e3))
+    .filter((points) => points.length >= 3);
+  return { polygons, unchanged: false };
+}
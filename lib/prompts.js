@@ -0,0 +1,64 @@
+// Prompts for the GPT steps, shared by the page and the server-side pipeline
+
+export const ANALYSIS_PROMPT = `You are an expert brand identity analyst. You will receive a logo image and SVG shape data.
+
+Return EXACT JSON (no code fences, no commentary) with these keys:
+
+1) "description": A single compelling paragraph (2-3 sentences) describing this logo — what it depicts, its visual character, and what kind of brand it suggests. Write it like a designer presenting to a client.
+
+2) "complexity": "Basic" or "Complex"
+
+3) "category": "Typographic Logos" | "Simple Graphic Logos" | "Complex Graphic Logos" | "Combination"
+
+4) "layout": "Horizontal" | "Vertical" | "Square-ish" | "Unknown"
+
+5) "nestedElements": true or false
+
+6) "colors": array of hex colors detected in the design
+
+7) "mood": a short phrase for the color/design mood (e.g. "bold and corporate", "warm and friendly")
+
+8) "gradientSuggestion": {
+  "recommended": true/false,
+  "type": "linear" or "radial",
+  "startColor": hex,
+  "endColor": hex,
+  "angle": 0-360,
+  "reason": one sentence why
+}
+
+Return EXACT JSON only.`;
+
+// `shapeList` is one "id: <tag> (currently fill=...)" line per labeled path
+export function buildColorizePrompt(shapeList, structuralHints = "") {
+  return `You are given the original logo image and a list of labeled SVG paths from vectorization. The vectorizer returned single-color outlines. Each path has a unique ID label.
+
+Your task: look at the original logo image and assign the correct fill color or gradient to each labeled path so the SVG recreates the original logo's appearance as closely as possible.
+
+Consider each path's spatial position in the image — which region of the original logo does it correspond to? Match colors accordingly: text shapes get text colors, icon shapes get icon colors, background shapes get background colors, etc. If the original has gradients, assign gradient fills to the appropriate paths.
+
+Labeled paths:
+${shapeList}
+${structuralHints ? "\n" + structuralHints + "\n" : ""}
+Return EXACT JSON (no code fences) with key "assignments": an array where each entry has:
+- "shapeId": the path ID label (e.g. "s0", "s1")
+- "fill": hex color string (e.g. "#253854") for solid fills
+- "gradient": null for solid fills, OR { "type": "linear"|"radial", "angle": 0-360, "stops": [{"offset":"0%","color":"#hex"},{"offset":"100%","color":"#hex"}] } for gradient fills
+
+Every labeled path MUST have an assignment. Return EXACT JSON only.`;
+}
+
+export function buildValidatePrompt({ afterFix = false } = {}) {
+  return `Compare these two images. Image 1 is the original logo. Image 2 is our SVG vector recreation with colors ${afterFix ? "re-assigned by AI after a fix attempt" : "assigned by AI"}.
+
+Rate the accuracy of the recreation and provide feedback.
+
+Return EXACT JSON (no code fences) with:
+- "score": number 1-10 (10 = perfect match)
+- "assessment": 1-2 sentences describing the overall accuracy
+- "colorAccuracy": "excellent" | "good" | "fair" | "poor"
+- "differences": array of brief strings noting any color/gradient differences (empty if perfect)
+- "suggestions": array of brief improvement suggestions (empty if none)
+
+Return EXACT JSON only.`;
+}
@@ -0,0 +1,521 @@
+// Offline raster → SVG tracer for flat-color logos
+//
+// Pipeline: downsample → color quantization → speckle cleanup → per-region
+// contour tracing along pixel edges → corner detection → cubic Bezier fitting.
+// Works on plain RGBA pixel buffers, so it runs anywhere (API routes, browser canvas).
+// Regions are emitted largest-first as stacked paths: holes are only cut where
+// the raster is transparent, so counters come out as separate shapes on top.
+
+import { rgbToLab, deltaE, rgbToHex } from "./color-utils";
+
+const DEFAULTS = {
+  maxColors: 16,
+  mergeDistance: 10, // ΔE below which palette candidates merge
+  minRegionArea: 6, // px — smaller regions are absorbed by a neighbor
+  curveTolerance: 1, // px — max Bezier fitting error
+  cornerAngle: 60, // degrees of turn that count as a corner
+  maxDimension: 1024, // longest side traced, larger images are box-downsampled
+  alphaThreshold: 128,
+  curves: true, // false → straight segments only
+  outputScale: 1, // multiplies the SVG width/height (viewBox stays in source pixels)
+};
+
+// ─── Downsampling ───
+
+function downsample(image, maxDimension) {
+  const { width, height, data } = image;
+  const factor = Math.max(width, height) / maxDimension;
+  if (factor <= 1) return { ...image, scale: 1 };
+
+  const w = Math.max(1, Math.round(width / factor));
+  const h = Math.max(1, Math.round(height / factor));
+  const out = new Uint8Array(w * h * 4);
+  for (let y = 0; y < h; y++) {
+    const sy0 = Math.floor((y * height) / h), sy1 = Math.max(sy0 + 1, Math.floor(((y + 1) * height) / h));
+    for (let x = 0; x < w; x++) {
+      const sx0 = Math.floor((x * width) / w), sx1 = Math.max(sx0 + 1, Math.floor(((x + 1) * width) / w));
+      let r = 0, g = 0, b = 0, a = 0, n = 0;
+      for (let sy = sy0; sy < sy1; sy++) {
+        for (let sx = sx0; sx < sx1; sx++) {
+          const i = (sy * width + sx) * 4;
+          r += data[i]; g += data[i + 1]; b += data[i + 2]; a += data[i + 3]; n++;
+        }
+      }
+      const o = (y * w + x) * 4;
+      out[o] = r / n; out[o + 1] = g / n; out[o + 2] = b / n; out[o + 3] = a / n;
+    }
+  }
+  return { width: w, height: h, data: out, scale: width / w };
+}
+
+// ─── Color quantization ───
+
+function buildPalette(image, opts) {
+  const { data } = image;
+  const hist = new Map(); // 15-bit key → { count, r, g, b }
+  let opaque = 0;
+
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < opts.alphaThreshold) continue;
+    const key = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+    let bin = hist.get(key);
+    if (!bin) hist.set(key, (bin = { count: 0, r: 0, g: 0, b: 0 }));
+    bin.count++; bin.r += data[i]; bin.g += data[i + 1]; bin.b += data[i + 2];
+    opaque++;
+  }
+
+  // Dominant bins seed the palette; anti-aliased edge colors are too rare to qualify
+  const minCount = Math.max(1, opaque * 0.002);
+  const bins = [...hist.values()]
+    .filter((b) => b.count >= minCount)
+    .sort((a, b) => b.count - a.count);
+
+  const palette = [];
+  for (const bin of bins) {
+    const rgb = { r: bin.r / bin.count, g: bin.g / bin.count, b: bin.b / bin.count };
+    const lab = rgbToLab(rgb);
+    const near = palette.find((p) => deltaE(p.lab, lab) < opts.mergeDistance);
+    if (near) continue;
+    palette.push({ rgb, lab });
+    if (palette.length >= opts.maxColors) break;
+  }
+  if (palette.length === 0 && opaque > 0) {
+    const bin = [...hist.values()].sort((a, b) => b.count - a.count)[0];
+    const rgb = { r: bin.r / bin.count, g: bin.g / bin.count, b: bin.b / bin.count };
+    palette.push({ rgb, lab: rgbToLab(rgb) });
+  }
+  return palette;
+}
+
+// Assign every pixel to its nearest palette entry (-1 = transparent), then refine means once
+function quantize(image, palette, opts) {
+  const { width, height, data } = image;
+  const indices = new Int16Array(width * height);
+  const cache = new Map();
+
+  const nearest = (r, g, b) => {
+    const key = ((r >> 2) << 12) | ((g >> 2) << 6) | (b >> 2);
+    let idx = cache.get(key);
+    if (idx === undefined) {
+      const lab = rgbToLab({ r, g, b });
+      let best = Infinity;
+      idx = 0;
+      for (let p = 0; p < palette.length; p++) {
+        const d = deltaE(lab, palette[p].lab);
+        if (d < best) { best = d; idx = p; }
+      }
+      cache.set(key, idx);
+    }
+    return idx;
+  };
+
+  const sums = palette.map(() => ({ r: 0, g: 0, b: 0, n: 0 }));
+  for (let i = 0, px = 0; i < data.length; i += 4, px++) {
+    if (data[i + 3] < opts.alphaThreshold || palette.length === 0) {
+      indices[px] = -1;
+      continue;
+    }
+    const idx = nearest(data[i], data[i + 1], data[i + 2]);
+    indices[px] = idx;
+    const s = sums[idx];
+    s.r += data[i]; s.g += data[i + 1]; s.b += data[i + 2]; s.n++;
+  }
+
+  const colors = palette.map((p, i) => {
+    const s = sums[i];
+    return s.n ? { r: s.r / s.n, g: s.g / s.n, b: s.b / s.n } : p.rgb;
+  });
+  return { indices, colors };
+}
+
+// ─── Connected regions ───
+
+// 4-connected components of equal index; returns per-pixel labels and region list
+function labelRegions(indices, width, height) {
+  const labels = new Int32Array(width * height).fill(-1);
+  const regions = [];
+  const stack = new Int32Array(width * height);
+
+  for (let start = 0; start < indices.length; start++) {
+    if (labels[start] !== -1 || indices[start] === -1) continue;
+    const colorIndex = indices[start];
+    const id = regions.length;
+    const pixels = [];
+    let sp = 0;
+    stack[sp++] = start;
+    labels[start] = id;
+    while (sp > 0) {
+      const p = stack[--sp];
+      pixels.push(p);
+      const x = p % width, y = (p - x) / width;
+      const neighbors = [
+        x > 0 ? p - 1 : -1,
+        x < width - 1 ? p + 1 : -1,
+        y > 0 ? p - width : -1,
+        y < height - 1 ? p + width : -1,
+      ];
+      for (const q of neighbors) {
+        if (q >= 0 && labels[q] === -1 && indices[q] === colorIndex) {
+          labels[q] = id;
+          stack[sp++] = q;
+        }
+      }
+    }
+    regions.push({ id, colorIndex, pixels });
+  }
+  return { labels, regions };
+}
+
+// Absorb tiny regions into their most common opaque neighbor
+function removeSpeckles(indices, width, height, minArea) {
+  const { regions } = labelRegions(indices, width, height);
+  let changed = false;
+  for (const region of regions) {
+    if (region.pixels.length >= minArea) continue;
+    const votes = new Map();
+    for (const p of region.pixels) {
+      const x = p % width;
+      for (const q of [x > 0 ? p - 1 : -1, x < width - 1 ? p + 1 : -1, p - width, p + width]) {
+        if (q < 0 || q >= indices.length) continue;
+        const idx = indices[q];
+        if (idx === region.colorIndex || idx === -1) continue;
+        votes.set(idx, (votes.get(idx) || 0) + 1);
+      }
+    }
+    if (votes.size === 0) continue;
+    const target = [...votes.entries()].sort((a, b) => b[1] - a[1])[0][0];
+    for (const p of region.pixels) indices[p] = target;
+    changed = true;
+  }
+  return changed;
+}
+
+// ─── Contour tracing ───
+
+// Directed pixel-edge loops around a region, interior on the right (clockwise in y-down)
+function traceRegion(region, labels, width, height) {
+  const W1 = width + 1;
+  const outgoing = new Map(); // vertex key → [{ x, y, dx, dy, used }]
+  const addEdge = (x, y, dx, dy) => {
+    const k = y * W1 + x;
+    let list = outgoing.get(k);
+    if (!list) outgoing.set(k, (list = []));
+    list.push({ x, y, dx, dy, used: false });
+  };
+  const inRegion = (x, y) => x >= 0 && y >= 0 && x < width && y < height && labels[y * width + x] === region.id;
+
+  for (const p of region.pixels) {
+    const x = p % width, y = (p - x) / width;
+    if (!inRegion(x, y - 1)) addEdge(x, y, 1, 0);
+    if (!inRegion(x + 1, y)) addEdge(x + 1, y, 0, 1);
+    if (!inRegion(x, y + 1)) addEdge(x + 1, y + 1, -1, 0);
+    if (!inRegion(x - 1, y)) addEdge(x, y + 1, 0, -1);
+  }
+
+  // At a saddle vertex prefer the right turn, which keeps diagonal pixels apart
+  const pick = (list, dx, dy) => {
+    if (list.length === 1) return list[0];
+    const rank = (e) => (e.dx === -dy && e.dy === dx ? 0 : e.dx === dx && e.dy === dy ? 1 : e.dx === dy && e.dy === -dx ? 2 : 3);
+    return [...list].sort((a, b) => rank(a) - rank(b))[0];
+  };
+
+  const loops = [];
+  for (const list of outgoing.values()) {
+    for (const first of list) {
+      if (first.used) continue;
+      const pts = [];
+      let e = first;
+      while (true) {
+        e.used = true;
+        pts.push({ x: e.x, y: e.y });
+        const nx = e.x + e.dx, ny = e.y + e.dy;
+        const next = pick(outgoing.get(ny * W1 + nx), e.dx, e.dy);
+        if (next === first || next.used) break;
+        e = next;
+      }
+      loops.push({ pts, firstEdge: first });
+    }
+  }
+  return loops;
+}
+
+function signedArea(pts) {
+  let a = 0;
+  for (let i = 0; i < pts.length; i++) {
+    const p = pts[i], q = pts[(i + 1) % pts.length];
+    a += p.x * q.y - q.x * p.y;
+  }
+  return a / 2;
+}
+
+// Pixel on the outside (left) of a loop's first edge
+function outsidePixel(edge) {
+  const mx = edge.x + edge.dx / 2 + edge.dy / 2;
+  const my = edge.y + edge.dy / 2 - edge.dx / 2;
+  return { x: Math.floor(mx), y: Math.floor(my) };
+}
+
+// ─── Curve fitting ───
+
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y });
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y });
+const mul = (a, s) => ({ x: a.x * s, y: a.y * s });
+const dot = (a, b) => a.x * b.x + a.y * b.y;
+const len = (a) => Math.hypot(a.x, a.y);
+const unit = (a) => { const l = len(a); return l > 1e-9 ? mul(a, 1 / l) : { x: 0, y: 0 }; };
+
+function pointLineDistance(p, a, b) {
+  const ab = sub(b, a);
+  const l = len(ab);
+  if (l < 1e-9) return len(sub(p, a));
+  return Math.abs(ab.x * (a.y - p.y) - ab.y * (a.x - p.x)) / l;
+}
+
+function rdp(points, first, last, tolerance, keep) {
+  let maxDist = 0, index = -1;
+  for (let i = first + 1; i < last; i++) {
+    const d = pointLineDistance(points[i], points[first], points[last]);
+    if (d > maxDist) { maxDist = d; index = i; }
+  }
+  if (maxDist > tolerance) {
+    keep[index] = true;
+    rdp(points, first, index, tolerance, keep);
+    rdp(points, index, last, tolerance, keep);
+  }
+}
+
+// Indices of sharp corners on a closed point loop
+function findCorners(points, opts) {
+  const n = points.length;
+  if (n < 8) return [...Array(n).keys()];
+
+  // Anchor at the point farthest from points[0] so both halves are simplified independently
+  let far = 0, farDist = -1;
+  for (let i = 0; i < n; i++) {
+    const d = len(sub(points[i], points[0]));
+    if (d > farDist) { farDist = d; far = i; }
+  }
+  const ring = [...points, points[0]];
+  const keep = new Array(n + 1).fill(false);
+  keep[0] = keep[far] = keep[n] = true;
+  rdp(ring, 0, far, opts.curveTolerance, keep);
+  rdp(ring, far, n, opts.curveTolerance, keep);
+
+  const verts = [];
+  for (let i = 0; i < n; i++) if (keep[i]) verts.push(i);
+
+  const threshold = (opts.cornerAngle * Math.PI) / 180;
+  const corners = [];
+  for (let k = 0; k < verts.length; k++) {
+    const prev = points[verts[(k - 1 + verts.length) % verts.length]];
+    const cur = points[verts[k]];
+    const next = points[verts[(k + 1) % verts.length]];
+    const a = unit(sub(cur, prev)), b = unit(sub(next, cur));
+    const turn = Math.acos(Math.max(-1, Math.min(1, dot(a, b))));
+    if (turn > threshold) corners.push(verts[k]);
+  }
+  return corners;
+}
+
+function bezierPoint(bez, t) {
+  const mt = 1 - t;
+  return add(
+    add(mul(bez[0], mt * mt * mt), mul(bez[1], 3 * mt * mt * t)),
+    add(mul(bez[2], 3 * mt * t * t), mul(bez[3], t * t * t))
+  );
+}
+
+function chordParams(points) {
+  const u = [0];
+  for (let i = 1; i < points.length; i++) u.push(u[i - 1] + len(sub(points[i], points[i - 1])));
+  const total = u[u.length - 1] || 1;
+  return u.map((v) => v / total);
+}
+
+// Least-squares cubic with fixed end tangents (Schneider, Graphics Gems 1990)
+function generateBezier(points, u, t1, t2) {
+  const first = points[0], last = points[points.length - 1];
+  let c00 = 0, c01 = 0, c11 = 0, x0 = 0, x1 = 0;
+  for (let i = 0; i < points.length; i++) {
+    const t = u[i], mt = 1 - t;
+    const b0 = mt * mt * mt, b1 = 3 * mt * mt * t, b2 = 3 * mt * t * t, b3 = t * t * t;
+    const a1 = mul(t1, b1), a2 = mul(t2, b2);
+    c00 += dot(a1, a1); c01 += dot(a1, a2); c11 += dot(a2, a2);
+    const tmp = sub(points[i], add(mul(first, b0 + b1), mul(last, b2 + b3)));
+    x0 += dot(a1, tmp); x1 += dot(a2, tmp);
+  }
+  const det = c00 * c11 - c01 * c01;
+  let alpha1 = Math.abs(det) > 1e-12 ? (x0 * c11 - x1 * c01) / det : 0;
+  let alpha2 = Math.abs(det) > 1e-12 ? (c00 * x1 - c01 * x0) / det : 0;
+  const segLen = len(sub(last, first));
+  if (alpha1 < segLen * 1e-6 || alpha2 < segLen * 1e-6) alpha1 = alpha2 = segLen / 3;
+  return [first, add(first, mul(t1, alpha1)), add(last, mul(t2, alpha2)), last];
+}
+
+function maxError(points, bez, u) {
+  let max = 0, index = Math.floor(points.length / 2);
+  for (let i = 1; i < points.length - 1; i++) {
+    const d = len(sub(bezierPoint(bez, u[i]), points[i]));
+    if (d > max) { max = d; index = i; }
+  }
+  return { max, index };
+}
+
+function reparameterize(points, u, bez) {
+  const d1 = [mul(sub(bez[1], bez[0]), 3), mul(sub(bez[2], bez[1]), 3), mul(sub(bez[3], bez[2]), 3)];
+  const d2 = [mul(sub(d1[1], d1[0]), 2), mul(sub(d1[2], d1[1]), 2)];
+  return u.map((t, i) => {
+    const mt = 1 - t;
+    const p = bezierPoint(bez, t);
+    const q1 = add(add(mul(d1[0], mt * mt), mul(d1[1], 2 * mt * t)), mul(d1[2], t * t));
+    const q2 = add(mul(d2[0], mt), mul(d2[1], t));
+    const diff = sub(p, points[i]);
+    const denom = dot(q1, q1) + dot(diff, q2);
+    return Math.abs(denom) > 1e-12 ? Math.min(1, Math.max(0, t - dot(diff, q1) / denom)) : t;
+  });
+}
+
+function fitCubic(points, t1, t2, tolerance, out) {
+  const first = points[0], last = points[points.length - 1];
+
+  // Straight runs become lines
+  let straight = true;
+  for (let i = 1; i < points.length - 1 && straight; i++) {
+    if (pointLineDistance(points[i], first, last) > tolerance * 0.5) straight = false;
+  }
+  if (straight || points.length < 3) {
+    out.push({ type: "L", pts: [last] });
+    return;
+  }
+
+  let u = chordParams(points);
+  let bez = generateBezier(points, u, t1, t2);
+  let err = maxError(points, bez, u);
+  if (err.max <= tolerance) { out.push({ type: "C", pts: bez.slice(1) }); return; }
+
+  if (err.max <= tolerance * 4) {
+    for (let i = 0; i < 4; i++) {
+      u = reparameterize(points, u, bez);
+      bez = generateBezier(points, u, t1, t2);
+      err = maxError(points, bez, u);
+      if (err.max <= tolerance) { out.push({ type: "C", pts: bez.slice(1) }); return; }
+    }
+  }
+
+  const split = Math.max(1, Math.min(points.length - 2, err.index));
+  const center = unit(sub(points[split - 1], points[split + 1]));
+  fitCubic(points.slice(0, split + 1), t1, center, tolerance, out);
+  fitCubic(points.slice(split), mul(center, -1), t2, tolerance, out);
+}
+
+function fmt(n) {
+  return String(Math.round(n * 100) / 100);
+}
+
+// Fit a closed pixel-edge loop and return path data for one subpath
+function loopToPathData(loop, opts, scale) {
+  // Edge midpoints turn the pixel staircase into a smooth polyline
+  const raw = loop.pts;
+  const n = raw.length;
+  const mids = raw.map((p, i) => {
+    const q = raw[(i + 1) % n];
+    return { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 };
+  });
+
+  let corners = findCorners(mids, opts);
+  const smoothLoop = corners.length === 0;
+  if (smoothLoop) corners = [0, Math.floor(mids.length / 2)];
+
+  // Midpoints chamfer sharp corners by half a pixel — snap each corner back to its pixel vertex
+  if (!smoothLoop && n >= 8) {
+    for (const i of corners) {
+      const a = mids[(i - 2 + n) % n], b = mids[(i + 2) % n];
+      const cands = [raw[i], raw[(i + 1) % n]];
+      mids[i] = pointLineDistance(cands[0], a, b) >= pointLineDistance(cands[1], a, b) ? cands[0] : cands[1];
+    }
+  }
+
+  const tangentAt = (i, forward) => {
+    const m = mids.length;
+    if (!smoothLoop) {
+      return forward ? unit(sub(mids[(i + 1) % m], mids[i])) : unit(sub(mids[(i - 1 + m) % m], mids[i]));
+    }
+    // Smooth joint: centered tangent shared by both sides
+    const t = unit(sub(mids[(i + 2) % m], mids[(i - 2 + m) % m]));
+    return forward ? t : mul(t, -1);
+  };
+
+  const segs = [];
+  for (let k = 0; k < corners.length; k++) {
+    const a = corners[k];
+    const b = corners[(k + 1) % corners.length];
+    const span = [];
+    for (let i = a; ; i = (i + 1) % mids.length) {
+      span.push(mids[i]);
+      if (i === b && span.length > 1) break;
+    }
+    if (opts.curves) {
+      fitCubic(span, tangentAt(a, true), tangentAt(b, false), opts.curveTolerance, segs);
+    } else {
+      const keep = new Array(span.length).fill(false);
+      keep[span.length - 1] = true;
+      rdp(span, 0, span.length - 1, opts.curveTolerance, keep);
+      span.forEach((p, i) => { if (keep[i]) segs.push({ type: "L", pts: [p] }); });
+    }
+  }
+
+  const start = mids[corners[0]];
+  const parts = [`M ${fmt(start.x * scale)} ${fmt(start.y * scale)}`];
+  for (const s of segs) {
+    parts.push(s.type + " " + s.pts.map((p) => `${fmt(p.x * scale)} ${fmt(p.y * scale)}`).join(" "));
+  }
+  parts.push("Z");
+  return parts.join(" ");
+}
+
+// ─── Main entry ───
+
+export function traceImage(image, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const src = downsample(image, opts.maxDimension);
+  const { width, height } = src;
+
+  const palette = buildPalette(src, opts);
+  const { indices, colors } = quantize(src, palette, opts);
+  for (let pass = 0; pass < 3 && removeSpeckles(indices, width, height, opts.minRegionArea); pass++);
+
+  const { labels, regions } = labelRegions(indices, width, height);
+
+  const shapes = [];
+  for (const region of regions) {
+    const loops = traceRegion(region, labels, width, height);
+    let outer = null;
+    const holes = [];
+    for (const loop of loops) {
+      const area = signedArea(loop.pts);
+      if (area > 0 && (!outer || area > outer.area)) {
+        if (outer) holes.push(outer);
+        outer = { ...loop, area };
+      } else {
+        holes.push({ ...loop, area });
+      }
+    }
+    if (!outer) continue;
+
+    // Cut only holes that show transparency; colored holes are covered by the shapes stacked on top
+    const transparentHoles = holes.filter((h) => {
+      if (h.area >= 0) return false;
+      const px = outsidePixel(h.firstEdge);
+      return px.x >= 0 && px.y >= 0 && px.x < width && px.y < height && indices[px.y * width + px.x] === -1;
+    });
+
+    const d = [outer, ...transparentHoles].map((l) => loopToPathData(l, opts, src.scale)).join(" ");
+    shapes.push({ d, area: outer.area, fill: rgbToHex(colors[region.colorIndex]) });
+  }
+
+  shapes.sort((a, b) => b.area - a.area);
+
+  const w = image.width, h = image.height;
+  const body = shapes.map((s) => `<path d="${s.d}" fill="${s.fill}"/>`).join("\n");
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${w} ${h}" width="${fmt(w * opts.outputScale)}" height="${fmt(h * opts.outputScale)}">\n${body}\n</svg>\n`;
+}
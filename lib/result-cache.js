@@ -0,0 +1,69 @@
+// Server-side cache of paid results (/api/analyze GPT steps, /api/vectorize) on local disk
+//
+// One JSON file per cacheKey() in RESULT_CACHE_DIR (default ./.cache/results).
+// RESULT_CACHE=off disables it; clients skip a lookup with an `X-Cache-Bypass: 1` header
+// or `?cache=bypass` (the fresh result is still stored).
+
+import fs from "fs";
+import path from "path";
+
+const KEY_RE = /^[a-z-]+-[0-9a-f]{64}$/;
+
+export function createFileResultCache({ dir = path.join(process.cwd(), ".cache", "results") } = {}) {
+  const fileFor = (key) => {
+    if (!KEY_RE.test(key)) throw new Error(`Invalid cache key "${key}"`);
+    return path.join(dir, key + ".json");
+  };
+
+  return {
+    dir,
+    async get(key) {
+      try {
+        return JSON.parse(await fs.promises.readFile(fileFor(key), "utf8"));
+      } catch (e) {
+        if (e.code === "ENOENT" || e instanceof SyntaxError) return null;
+        throw e;
+      }
+    },
+    async set(key, value) {
+      const file = fileFor(key);
+      await fs.promises.mkdir(dir, { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(value));
+      await fs.promises.rename(tmp, file);
+    },
+  };
+}
+
+// null when disabled
+export function getResultCache(env = process.env) {
+  if (/^(off|false|0|none)$/i.test(env.RESULT_CACHE || "")) return null;
+  return createFileResultCache(env.RESULT_CACHE_DIR ? { dir: path.resolve(env.RESULT_CACHE_DIR) } : {});
+}
+
+export function wantsCacheBypass(req) {
+  const header = String(req.headers?.["x-cache-bypass"] || "").toLowerCase();
+  const query = String(req.query?.cache || "").toLowerCase();
+  return header === "1" || header === "true" || query === "bypass" || query === "off";
+}
+
+// compute() unless `key` is cached → { value, status: "hit" | "miss" | "bypass" | "off" }.
+// `shouldStore(value)` can veto caching a result (e.g. a degraded fallback). Cache I/O errors
+// never fail the request — they are logged and treated as a miss. No cache or no key is "off".
+export async function withResultCache(cache, key, { bypass = false, shouldStore = () => true } = {}, compute) {
+  if (!cache || !key) return { value: await compute(), status: "off" };
+
+  if (!bypass) {
+    const hit = await cache.get(key).catch((e) => {
+      console.error(`Result cache read failed (${key}): ${e.message}`);
+      return null;
+    });
+    if (hit !== null) return { value: hit, status: "hit" };
+  }
+
+  const value = await compute();
+  if (shouldStore(value)) {
+    await cache.set(key, value).catch((e) => console.error(`Result cache write failed (${key}): ${e.message}`));
+  }
+  return { value, status: bypass ? "bypass" : "miss" };
+}
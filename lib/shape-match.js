@@ -0,0 +1,65 @@
+// Shape correspondence between two registries — the vectorized and colorized SVG, or two runs
+// of the same logo — from outline signatures, relative size and relative position
+
+import { signatureDistance } from "./path-geometry";
+
+// ─── Scoring ───
+
+// Centroid and size as fractions of the registry's viewBox, so differently sized exports line up
+function placement(path, viewBox) {
+  const width = viewBox.width || 1, height = viewBox.height || 1;
+  const size = path.area > 0 ? Math.sqrt(path.area / (width * height)) : path.perimeter / Math.hypot(width, height);
+  return {
+    x: (path.centroid.x - viewBox.x) / width,
+    y: (path.centroid.y - viewBox.y) / height,
+    size,
+  };
+}
+
+// Each score is 0..1; similarity is their weighted geometric mean, so one bad score sinks the pair
+function scorePair(a, b, pa, pb) {
+  const shape = Math.exp(-signatureDistance(a.shapeSignature || [], b.shapeSignature || []) / 0.15);
+  const size = Math.max(pa.size, pb.size) > 0 ? Math.min(pa.size, pb.size) / Math.max(pa.size, pb.size) : 1;
+  const position = Math.exp(-Math.hypot(pa.x - pb.x, pa.y - pb.y) / 0.1);
+  const similarity = Math.pow(shape, 0.5) * Math.pow(size, 0.25) * Math.pow(position, 0.25);
+  const round = (v) => Math.round(v * 1000) / 1000;
+  return { similarity: round(similarity), shape: round(shape), size: round(size), position: round(position) };
+}
+
+// ─── Matching ───
+
+// One-to-one correspondence, greedily taking the most similar remaining pair. Holes only match
+// holes. Deterministic: ties fall back to z-order.
+export function matchShapes(registryA, registryB, { minSimilarity = 0.6 } = {}) {
+  const pathsA = [...registryA.paths.values()];
+  const pathsB = [...registryB.paths.values()];
+  const placedA = pathsA.map((p) => placement(p, registryA.viewBox));
+  const placedB = pathsB.map((p) => placement(p, registryB.viewBox));
+
+  const candidates = [];
+  for (let i = 0; i < pathsA.length; i++) {
+    for (let j = 0; j < pathsB.length; j++) {
+      if (pathsA[i].isHole !== pathsB[j].isHole) continue;
+      const scores = scorePair(pathsA[i], pathsB[j], placedA[i], placedB[j]);
+      if (scores.similarity >= minSimilarity) candidates.push({ i, j, ...scores });
+    }
+  }
+  candidates.sort((x, y) => y.similarity - x.similarity || x.i - y.i || x.j - y.j);
+
+  const usedA = new Set();
+  const usedB = new Set();
+  const matches = [];
+  for (const { i, j, ...scores } of candidates) {
+    if (usedA.has(i) || usedB.has(j)) continue;
+    usedA.add(i);
+    usedB.add(j);
+    matches.push({ pathA: pathsA[i].id, pathB: pathsB[j].id, ...scores });
+  }
+  matches.sort((x, y) => registryA.paths.get(x.pathA).zIndex - registryA.paths.get(y.pathA).zIndex);
+
+  return {
+    matches,
+    unmatchedA: pathsA.filter((_, i) => !usedA.has(i)).map((p) => p.id),
+    unmatchedB: pathsB.filter((_, j) => !usedB.has(j)).map((p) => p.id),
+  };
+}
@@ -0,0 +1,200 @@
+// Stroke → fill outline: the area a stroke paints, as polygons to fill with the nonzero rule
+//
+// Each subpath is flattened and offset by half the stroke width on both sides, with joins
+// (miter / round / bevel, honoring miterlimit) on the outer side of every turn and caps
+// (butt / round / square) on open ends. Open subpaths become one closed polygon; closed ones
+// an outer and an inner ring wound in opposite directions. Dash arrays split the polylines
+// into open dashes first.
+
+import { flattenPathData } from "./path-data";
+import { polygonsToPathData } from "./polygon-clip";
+
+const ROUND_STEP = Math.PI / 12;
+
+// ─── Polylines ───
+
+function dedupe(points, closed) {
+  const out = [];
+  for (const p of points) {
+    const last = out[out.length - 1];
+    if (!last || Math.hypot(p.x - last.x, p.y - last.y) > 1e-9) out.push(p);
+  }
+  if (closed && out.length > 1 && Math.hypot(out[0].x - out[out.length - 1].x, out[0].y - out[out.length - 1].y) <= 1e-9) out.pop();
+  return out;
+}
+
+// Split polylines into dashes (open polylines); an odd-length array repeats, as in SVG
+function applyDashes(lines, dasharray, dashoffset) {
+  const pattern = dasharray.length % 2 ? [...dasharray, ...dasharray] : dasharray;
+  const total = pattern.reduce((a, b) => a + b, 0);
+  if (!(total > 0) || pattern.some((v) => v < 0)) return lines;
+
+  const dashes = [];
+  for (const { points, closed } of lines) {
+    const pts = closed ? [...points, points[0]] : points;
+    // Position within the pattern at the start of this subpath
+    let phase = ((dashoffset % total) + total) % total;
+    let index = 0;
+    while (phase >= pattern[index]) {
+      phase -= pattern[index];
+      index = (index + 1) % pattern.length;
+    }
+    let remaining = pattern[index] - phase;
+    let current = index % 2 === 0 ? [pts[0]] : null;
+
+    for (let i = 1; i < pts.length; i++) {
+      let a = pts[i - 1];
+      const b = pts[i];
+      let segLen = Math.hypot(b.x - a.x, b.y - a.y);
+      while (segLen > remaining) {
+        const t = remaining / segLen;
+        const cut = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+        if (current) {
+          current.push(cut);
+          dashes.push({ points: current, closed: false });
+          current = null;
+        } else {
+          current = [cut];
+        }
+        segLen -= remaining;
+        a = cut;
+        index = (index + 1) % pattern.length;
+        remaining = pattern[index];
+      }
+      remaining -= segLen;
+      if (current) current.push(b);
+    }
+    if (current && current.length > 1) dashes.push({ points: current, closed: false });
+  }
+  return dashes;
+}
+
+// ─── Offsetting ───
+
+const normalOf = (a, b) => {
+  const len = Math.hypot(b.x - a.x, b.y - a.y);
+  return { x: -(b.y - a.y) / len, y: (b.x - a.x) / len };
+};
+const offset = (p, n, d) => ({ x: p.x + n.x * d, y: p.y + n.y * d });
+
+// Points strictly between the start and end of an arc of `radius` around `center`, starting
+// in unit direction `from` and turning by `sweep` radians
+function arcPoints(center, from, sweep, radius) {
+  const a0 = Math.atan2(from.y, from.x);
+  const steps = Math.max(1, Math.ceil(Math.abs(sweep) / ROUND_STEP));
+  const pts = [];
+  for (let i = 1; i < steps; i++) {
+    const a = a0 + (sweep * i) / steps;
+    pts.push({ x: center.x + Math.cos(a) * radius, y: center.y + Math.sin(a) * radius });
+  }
+  return pts;
+}
+
+const cross = (u, v) => u.x * v.y - u.y * v.x;
+const scale = (v, k) => ({ x: v.x * k, y: v.y * k });
+
+// Offset points along one side (normals scaled by +hw) of the polyline, with joins at
+// interior vertices. `closed` also joins the last segment back to the first.
+function offsetSide(points, closed, hw, style) {
+  const n = points.length;
+  const segCount = closed ? n : n - 1;
+  const normals = [];
+  for (let i = 0; i < segCount; i++) normals.push(normalOf(points[i], points[(i + 1) % n]));
+
+  const out = [];
+  const join = (i, nIn, nOut) => {
+    const p = points[i];
+    const a = offset(p, nIn, hw), b = offset(p, nOut, hw);
+    // The outer side of a turn is the one the normals rotate away from
+    const turn = cross(nIn, nOut);
+    out.push(a);
+    if (turn * hw < 0 && Math.abs(turn) > 1e-12) {
+      if (style.linejoin === "round") {
+        const sweep = Math.atan2(turn, nIn.x * nOut.x + nIn.y * nOut.y);
+        out.push(...arcPoints(p, scale(nIn, Math.sign(hw)), sweep, Math.abs(hw)));
+      } else if (style.linejoin !== "bevel") {
+        const cosTheta = nIn.x * nOut.x + nIn.y * nOut.y;
+        const miterRatio = 1 / Math.sqrt(Math.max((1 + cosTheta) / 2, 1e-12));
+        if (miterRatio <= style.miterlimit) {
+          const m = { x: nIn.x + nOut.x, y: nIn.y + nOut.y };
+          const len = Math.hypot(m.x, m.y);
+          out.push(offset(p, { x: m.x / len, y: m.y / len }, hw * miterRatio));
+        }
+      }
+    }
+    out.push(b);
+  };
+
+  if (closed) {
+    for (let i = 0; i < n; i++) join(i, normals[(i + n - 1) % n], normals[i]);
+  } else {
+    out.push(offset(points[0], normals[0], hw));
+    for (let i = 1; i < n - 1; i++) join(i, normals[i - 1], normals[i]);
+    out.push(offset(points[n - 1], normals[n - 2], hw));
+  }
+  return out;
+}
+
+// Cap at `p`, going from the +hw side to the -hw side around the outward `dir`
+function capPoints(p, normal, dir, hw, linecap) {
+  if (linecap === "round") return arcPoints(p, normal, cross(normal, dir) > 0 ? Math.PI : -Math.PI, hw);
+  if (linecap === "square") {
+    return [
+      { x: p.x + (normal.x + dir.x) * hw, y: p.y + (normal.y + dir.y) * hw },
+      { x: p.x + (-normal.x + dir.x) * hw, y: p.y + (-normal.y + dir.y) * hw },
+    ];
+  }
+  return [];
+}
+
+function dotPolygon(p, hw, linecap) {
+  if (linecap === "round") return [{ x: p.x + hw, y: p.y }, ...arcPoints(p, { x: 1, y: 0 }, 2 * Math.PI, hw)];
+  if (linecap === "square") {
+    return [{ x: p.x - hw, y: p.y - hw }, { x: p.x + hw, y: p.y - hw }, { x: p.x + hw, y: p.y + hw }, { x: p.x - hw, y: p.y + hw }];
+  }
+  return null;
+}
+
+function outlinePolyline({ points, closed }, hw, style) {
+  const pts = dedupe(points, closed);
+  if (pts.length === 1) {
+    const dot = dotPolygon(pts[0], hw, style.linecap);
+    return dot ? [dot] : [];
+  }
+  if (pts.length === 0) return [];
+
+  if (closed && pts.length > 2) {
+    return [offsetSide(pts, true, hw, style), offsetSide(pts, true, -hw, style).reverse()];
+  }
+
+  const n = pts.length;
+  const startNormal = normalOf(pts[0], pts[1]);
+  const endNormal = normalOf(pts[n - 2], pts[n - 1]);
+  const endDir = { x: endNormal.y, y: -endNormal.x };
+  const startDir = { x: -startNormal.y, y: startNormal.x };
+
+  const left = offsetSide(pts, false, hw, style);
+  const right = offsetSide([...pts].reverse(), false, hw, style);
+  return [[
+    ...left,
+    ...capPoints(pts[n - 1], endNormal, endDir, hw, style.linecap),
+    ...right,
+    ...capPoints(pts[0], { x: -startNormal.x, y: -startNormal.y }, startDir, hw, style.linecap),
+  ]];
+}
+
+// ─── Main ───
+
+// Path data + stroke style → path data of the stroked area ("" when nothing is painted).
+// style: { width, linejoin, linecap, miterlimit, dasharray: number[], dashoffset }
+export function outlineStroke(d, { width = 1, linejoin = "miter", linecap = "butt", miterlimit = 4, dasharray = [], dashoffset = 0 } = {}) {
+  if (!(width > 0)) return "";
+  const hw = width / 2;
+  const tolerance = Math.max(0.02, Math.min(0.25, hw / 8));
+  let lines = flattenPathData(d, tolerance).filter((l) => l.points.length > 0);
+  if (dasharray.length > 0) lines = applyDashes(lines, dasharray, dashoffset);
+
+  const style = { linejoin, linecap, miterlimit: Math.max(1, miterlimit) };
+  const polygons = lines.flatMap((line) => outlinePolyline(line, hw, style)).filter((p) => p.length >= 3);
+  return polygons.length > 0 ? polygonsToPathData(polygons) : "";
+}
@@ -0,0 +1,23 @@
+// Deterministic structural analysis of an SVG — runs in the browser or headless in Node
+
+import { normalizeSvgWithInventory } from "./svg-normalize";
+import { buildRegistries } from "./svg-registry";
+import { classifyWhiteRegions } from "./white-classifier";
+import { clusterShapes } from "./cluster";
+import { generateReport } from "./analysis-report";
+import { parseSvgElement } from "./svg-dom";
+
+// `svg` is SVG markup or an <svg> element; `gptAnalysis` is the optional "analysis" response;
+// `fonts` are extra faces for outlining <text> (see normalizeSvg); `gradientThreshold` is the ΔE
+// within which gradients share a paint group (see buildRegistries)
+export function analyzeSvgStructure(svg, gptAnalysis = null, { fonts, gradientThreshold } = {}) {
+  const svgEl = typeof svg === "string" ? parseSvgElement(svg) : svg;
+
+  const { svg: normalizedSvg, features } = normalizeSvgWithInventory(svgEl, { fonts });
+  const registries = buildRegistries(normalizedSvg, { gradientThreshold });
+  const whiteResults = classifyWhiteRegions(registries.paths, registries.paints, registries.bindings, normalizedSvg);
+  const clusters = clusterShapes(registries.paths, registries.paints, registries.viewBox, gptAnalysis);
+  const report = generateReport(registries, whiteResults, clusters, features);
+
+  return { normalizedSvg, registries, whiteResults, clusters, report };
+}
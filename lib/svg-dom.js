@@ -0,0 +1,539 @@
+// Minimal SVG/XML DOM for headless use (API routes, scripts, tests)
+//
+// Implements the subset of the DOM the analysis pipeline touches: attributes,
+// tree mutation, cloneNode, getElementById, simple querySelector(All) and
+// serialization. In the browser the native DOM is used instead.
+
+export const SVG_NS = "http://www.w3.org/2000/svg";
+export const XLINK_NS = "http://www.w3.org/1999/xlink";
+
+const XML_ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+
+function decodeEntities(str, entities) {
+  if (!str.includes("&")) return str;
+  return str.replace(/&(#x[0-9a-f]+|#[0-9]+|[\w.-]+);/gi, (m, ref) => {
+    if (ref[0] === "#") {
+      const code = ref[1] === "x" || ref[1] === "X" ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+    }
+    return entities[ref] ?? XML_ENTITIES[ref] ?? m;
+  });
+}
+
+function escapeText(str) {
+  return str.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function escapeAttr(str) {
+  return escapeText(str).replace(/"/g, "&quot;");
+}
+
+const camelCase = (prop) => prop.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+
+// ─── Nodes ───
+
+class SvgText {
+  constructor(text, ownerDocument, cdata = false) {
+    this.nodeType = cdata ? 4 : 3;
+    this.textContent = text;
+    this.ownerDocument = ownerDocument;
+    this.parentNode = null;
+  }
+
+  cloneNode() {
+    return new SvgText(this.textContent, this.ownerDocument, this.nodeType === 4);
+  }
+
+  remove() {
+    this.parentNode?.removeChild(this);
+  }
+}
+
+class SvgElement {
+  constructor(tagName, ownerDocument) {
+    this.nodeType = 1;
+    this.tagName = tagName;
+    this.ownerDocument = ownerDocument;
+    this.parentNode = null;
+    this.childNodes = [];
+    this._attrs = [];
+  }
+
+  get nodeName() {
+    return this.tagName;
+  }
+
+  get localName() {
+    return this.tagName.replace(/^.*:/, "");
+  }
+
+  // ─── Attributes ───
+
+  get attributes() {
+    return this._attrs.map((a) => ({ name: a.name, value: a.value }));
+  }
+
+  getAttribute(name) {
+    const attr = this._attrs.find((a) => a.name === name);
+    return attr ? attr.value : null;
+  }
+
+  getAttributeNS(ns, localName) {
+    if (ns === XLINK_NS) return this.getAttribute("xlink:" + localName);
+    return this.getAttribute(localName);
+  }
+
+  hasAttribute(name) {
+    return this._attrs.some((a) => a.name === name);
+  }
+
+  setAttribute(name, value) {
+    const attr = this._attrs.find((a) => a.name === name);
+    if (attr) attr.value = String(value);
+    else this._attrs.push({ name, value: String(value) });
+  }
+
+  removeAttribute(name) {
+    this._attrs = this._attrs.filter((a) => a.name !== name);
+  }
+
+  get id() {
+    return this.getAttribute("id") || "";
+  }
+
+  // Read-only snapshot of the inline style attribute, camelCased like CSSStyleDeclaration
+  get style() {
+    const style = {};
+    for (const decl of (this.getAttribute("style") || "").split(";")) {
+      const idx = decl.indexOf(":");
+      if (idx === -1) continue;
+      const prop = decl.slice(0, idx).trim().toLowerCase();
+      if (prop) style[camelCase(prop)] = decl.slice(idx + 1).trim();
+    }
+    return style;
+  }
+
+  // ─── Tree ───
+
+  get children() {
+    return this.childNodes.filter((n) => n.nodeType === 1);
+  }
+
+  get firstElementChild() {
+    return this.children[0] || null;
+  }
+
+  get ownerSVGElement() {
+    for (let p = this.parentNode; p && p.nodeType === 1; p = p.parentNode) {
+      if (p.localName === "svg") return p;
+    }
+    return null;
+  }
+
+  get textContent() {
+    return this.childNodes.map((n) => n.textContent).join("");
+  }
+
+  set textContent(text) {
+    for (const n of this.childNodes) n.parentNode = null;
+    this.childNodes = text ? [new SvgText(String(text), this.ownerDocument)] : [];
+    this.childNodes.forEach((n) => { n.parentNode = this; });
+  }
+
+  insertBefore(node, ref) {
+    node.parentNode?.removeChild(node);
+    const idx = ref ? this.childNodes.indexOf(ref) : -1;
+    if (idx === -1) this.childNodes.push(node);
+    else this.childNodes.splice(idx, 0, node);
+    node.parentNode = this;
+    return node;
+  }
+
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
+
+  prepend(node) {
+    return this.insertBefore(node, this.childNodes[0] || null);
+  }
+
+  removeChild(node) {
+    const idx = this.childNodes.indexOf(node);
+    if (idx !== -1) this.childNodes.splice(idx, 1);
+    node.parentNode = null;
+    return node;
+  }
+
+  replaceChild(node, old) {
+    this.insertBefore(node, old);
+    return this.removeChild(old);
+  }
+
+  remove() {
+    this.parentNode?.removeChild(this);
+  }
+
+  cloneNode(deep = false) {
+    const clone = new SvgElement(this.tagName, this.ownerDocument);
+    clone._attrs = this._attrs.map((a) => ({ ...a }));
+    if (deep) {
+      for (const child of this.childNodes) clone.appendChild(child.cloneNode(true));
+    }
+    return clone;
+  }
+
+  // ─── Queries ───
+
+  *descendants() {
+    for (const child of this.children) {
+      yield child;
+      yield* child.descendants();
+    }
+  }
+
+  getElementById(id) {
+    for (const el of this.descendants()) {
+      if (el.getAttribute("id") === id) return el;
+    }
+    return null;
+  }
+
+  querySelectorAll(selector) {
+    const groups = parseSelector(selector);
+    const out = [];
+    for (const el of this.descendants()) {
+      if (groups.some((g) => matchesChain(el, g))) out.push(el);
+    }
+    return out;
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+
+  matches(selector) {
+    return parseSelector(selector).some((g) => matchesChain(this, g));
+  }
+
+  get outerHTML() {
+    return serializeNode(this);
+  }
+}
+
+class SvgDocument {
+  constructor() {
+    this.nodeType = 9;
+    this.childNodes = [];
+    this.entities = {};
+  }
+
+  get documentElement() {
+    return this.childNodes.find((n) => n.nodeType === 1) || null;
+  }
+
+  createElementNS(_ns, tagName) {
+    return new SvgElement(tagName, this);
+  }
+
+  createElement(tagName) {
+    return new SvgElement(tagName, this);
+  }
+
+  createTextNode(text) {
+    return new SvgText(text, this);
+  }
+
+  getElementById(id) {
+    const root = this.documentElement;
+    if (!root) return null;
+    return root.getAttribute("id") === id ? root : root.getElementById(id);
+  }
+
+  querySelectorAll(selector) {
+    const root = this.documentElement;
+    if (!root) return [];
+    return root.matches(selector) ? [root, ...root.querySelectorAll(selector)] : root.querySelectorAll(selector);
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+}
+
+// ─── Selectors ───
+// Supports type, *, #id, .class, [attr], [attr=value] (value bare or quoted), descendant and child
+// combinators, comma lists
+
+const selectorCache = new Map();
+
+function parseCompound(str) {
+  const compound = { tag: null, id: null, classes: [], attrs: [] };
+  const re = /^(\*|[\w-]+(?::[\w-]+)?)|#([\w-]+)|\.([\w-]+)|\[\s*([\w:-]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]*)))?\s*\]/gy;
+  let pos = 0;
+  while (pos < str.length) {
+    re.lastIndex = pos;
+    const m = re.exec(str);
+    if (!m || m[0] === "") throw new Error(`Unsupported selector: ${str}`);
+    if (m[1]) compound.tag = m[1] === "*" ? null : m[1].toLowerCase();
+    else if (m[2]) compound.id = m[2];
+    else if (m[3]) compound.classes.push(m[3]);
+    else compound.attrs.push({ name: m[4], op: m[5] || null, value: m[6] ?? m[7] ?? m[8] ?? null });
+    pos = re.lastIndex;
+  }
+  return compound;
+}
+
+// selector → groups of compound tokens and ">" combinators. Commas split groups and whitespace
+// or ">" split compounds — except inside [...], where they (and quoted values) are literal.
+function tokenizeSelector(selector) {
+  const groups = [[]];
+  let token = "", quote = null, inBrackets = false;
+  const flush = () => {
+    if (token) groups[groups.length - 1].push(token);
+    token = "";
+  };
+  for (const ch of selector) {
+    if (quote) {
+      token += ch;
+      if (ch === quote) quote = null;
+    } else if (inBrackets) {
+      token += ch;
+      if (ch === '"' || ch === "'") quote = ch;
+      else if (ch === "]") inBrackets = false;
+    } else if (ch === "[") {
+      token += ch;
+      inBrackets = true;
+    } else if (ch === ",") {
+      flush();
+      groups.push([]);
+    } else if (ch === ">") {
+      flush();
+      groups[groups.length - 1].push(">");
+    } else if (/\s/.test(ch)) {
+      flush();
+    } else {
+      token += ch;
+    }
+  }
+  flush();
+  return groups;
+}
+
+function parseSelector(selector) {
+  if (selectorCache.has(selector)) return selectorCache.get(selector);
+  const groups = tokenizeSelector(selector).map((tokens) => {
+    const chain = [];
+    let combinator = " ";
+    for (const token of tokens) {
+      if (token === ">") {
+        combinator = ">";
+        continue;
+      }
+      chain.push({ combinator, compound: parseCompound(token) });
+      combinator = " ";
+    }
+    if (chain.length === 0) throw new Error(`Unsupported selector: ${selector}`);
+    return chain;
+  });
+  selectorCache.set(selector, groups);
+  return groups;
+}
+
+function matchesAttr(el, { name, op, value }) {
+  const actual = el.getAttribute(name);
+  if (actual == null) return false;
+  switch (op) {
+    case null: return true;
+    case "=": return actual === value;
+    case "~=": return actual.split(/\s+/).includes(value);
+    case "|=": return actual === value || actual.startsWith(value + "-");
+    case "^=": return value !== "" && actual.startsWith(value);
+    case "$=": return value !== "" && actual.endsWith(value);
+    case "*=": return value !== "" && actual.includes(value);
+    default: return false;
+  }
+}
+
+function matchesCompound(el, c) {
+  if (c.tag && el.localName.toLowerCase() !== c.tag && el.tagName.toLowerCase() !== c.tag) return false;
+  if (c.id && el.getAttribute("id") !== c.id) return false;
+  if (c.classes.length) {
+    const classes = (el.getAttribute("class") || "").split(/\s+/);
+    if (!c.classes.every((cls) => classes.includes(cls))) return false;
+  }
+  return c.attrs.every((a) => matchesAttr(el, a));
+}
+
+// Match right-to-left; like native querySelectorAll, ancestors outside the scope still count
+function matchesChain(el, chain, index = chain.length - 1) {
+  const { combinator, compound } = chain[index];
+  if (!matchesCompound(el, compound)) return false;
+  if (index === 0) return true;
+
+  let parent = el.parentNode;
+  if (combinator === ">") {
+    return !!parent && parent.nodeType === 1 && matchesChain(parent, chain, index - 1);
+  }
+  for (; parent && parent.nodeType === 1; parent = parent.parentNode) {
+    if (matchesChain(parent, chain, index - 1)) return true;
+  }
+  return false;
+}
+
+// ─── Parser ───
+
+function parseAttributes(str, entities) {
+  const attrs = [];
+  const re = /([^\s=/>]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let m;
+  while ((m = re.exec(str)) !== null) {
+    attrs.push({ name: m[1], value: decodeEntities(m[2] ?? m[3] ?? m[4] ?? "", entities) });
+  }
+  return attrs;
+}
+
+export function parseSvg(text) {
+  const doc = new SvgDocument();
+  const stack = [doc];
+  const top = () => stack[stack.length - 1];
+  const append = (node) => {
+    const parent = top();
+    if (parent === doc) {
+      doc.childNodes.push(node);
+      node.parentNode = doc;
+    } else {
+      parent.appendChild(node);
+    }
+  };
+
+  let pos = 0;
+  while (pos < text.length) {
+    const lt = text.indexOf("<", pos);
+    if (lt === -1) {
+      if (stack.length > 1 && text.slice(pos).trim()) append(new SvgText(decodeEntities(text.slice(pos), doc.entities), doc));
+      break;
+    }
+    if (lt > pos && stack.length > 1) {
+      append(new SvgText(decodeEntities(text.slice(pos, lt), doc.entities), doc));
+    }
+
+    if (text.startsWith("<!--", lt)) {
+      const end = text.indexOf("-->", lt + 4);
+      pos = end === -1 ? text.length : end + 3;
+    } else if (text.startsWith("<![CDATA[", lt)) {
+      const end = text.indexOf("]]>", lt + 9);
+      if (stack.length > 1) append(new SvgText(text.slice(lt + 9, end === -1 ? text.length : end), doc, true));
+      pos = end === -1 ? text.length : end + 3;
+    } else if (text.startsWith("<!DOCTYPE", lt) || text.startsWith("<!doctype", lt)) {
+      // Internal subset may declare entities (Illustrator exports use &ns_svg; etc.)
+      const bracket = text.indexOf("[", lt);
+      const close = text.indexOf(">", lt);
+      let end = close;
+      if (bracket !== -1 && bracket < close) {
+        const subsetEnd = text.indexOf("]", bracket);
+        const subset = text.slice(bracket + 1, subsetEnd);
+        for (const m of subset.matchAll(/<!ENTITY\s+([\w.-]+)\s+(?:"([^"]*)"|'([^']*)')\s*>/g)) {
+          doc.entities[m[1]] = m[2] ?? m[3];
+        }
+        end = text.indexOf(">", subsetEnd);
+      }
+      pos = end === -1 ? text.length : end + 1;
+    } else if (text.startsWith("<?", lt)) {
+      const end = text.indexOf("?>", lt + 2);
+      pos = end === -1 ? text.length : end + 2;
+    } else if (text[lt + 1] === "/") {
+      const end = text.indexOf(">", lt);
+      const name = text.slice(lt + 2, end === -1 ? text.length : end).trim();
+      if (top().tagName !== name) throw new Error(`Malformed SVG: unexpected </${name}>`);
+      stack.pop();
+      pos = end === -1 ? text.length : end + 1;
+    } else {
+      // Find the tag end, skipping ">" inside quoted attribute values
+      let end = lt + 1;
+      let quote = null;
+      for (; end < text.length; end++) {
+        const ch = text[end];
+        if (quote) {
+          if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+          quote = ch;
+        } else if (ch === ">") {
+          break;
+        }
+      }
+      if (end >= text.length) throw new Error("Malformed SVG: unterminated tag");
+      let inner = text.slice(lt + 1, end);
+      const selfClosing = inner.endsWith("/");
+      if (selfClosing) inner = inner.slice(0, -1);
+      const nameMatch = inner.match(/^[^\s/>]+/);
+      if (!nameMatch) throw new Error("Malformed SVG: missing tag name");
+
+      const el = new SvgElement(nameMatch[0], doc);
+      el._attrs = parseAttributes(inner.slice(nameMatch[0].length), doc.entities);
+      append(el);
+      if (!selfClosing) stack.push(el);
+      pos = end + 1;
+    }
+  }
+
+  if (stack.length > 1) throw new Error(`Malformed SVG: unclosed <${top().tagName}>`);
+  if (!doc.documentElement) throw new Error("Malformed SVG: no root element");
+  return doc;
+}
+
+// ─── Serializer ───
+
+export function serializeNode(node) {
+  if (node.nodeType === 3) return escapeText(node.textContent);
+  if (node.nodeType === 4) return `<![CDATA[${node.textContent}]]>`;
+  if (node.nodeType === 9) return node.childNodes.map(serializeNode).join("");
+
+  const attrs = node._attrs.map((a) => ` ${a.name}="${escapeAttr(a.value)}"`).join("");
+  if (node.childNodes.length === 0) return `<${node.tagName}${attrs}/>`;
+  return `<${node.tagName}${attrs}>${node.childNodes.map(serializeNode).join("")}</${node.tagName}>`;
+}
+
+// ─── Native / headless selection ───
+
+export function hasNativeDom() {
+  return typeof document !== "undefined" && typeof DOMParser !== "undefined";
+}
+
+export function isNativeNode(node) {
+  return typeof Node !== "undefined" && node instanceof Node;
+}
+
+// Parse SVG markup into its root <svg> element — native DOM in the browser, SvgElement headless
+export function parseSvgElement(text) {
+  if (hasNativeDom()) {
+    const doc = new DOMParser().parseFromString(text, "image/svg+xml");
+    const svg = doc.querySelector("svg");
+    if (!svg || doc.querySelector("parsererror")) throw new Error("Malformed SVG");
+    return svg;
+  }
+  const root = parseSvg(text).documentElement;
+  if (root.localName !== "svg") throw new Error("Malformed SVG: root element is not <svg>");
+  return root;
+}
+
+export function serializeSvg(node) {
+  return isNativeNode(node) ? new XMLSerializer().serializeToString(node) : serializeNode(node);
+}
+
+// Geometry APIs (getBBox, getCTM, ...) only work on nodes attached to the document,
+// so native trees are cloned into a hidden container for the duration of `fn`.
+// Headless trees are simply cloned.
+export function withMountedClone(svgEl, fn) {
+  const clone = svgEl.cloneNode(true);
+  if (!isNativeNode(clone) || typeof document === "undefined") return fn(clone);
+
+  const container = document.createElement("div");
+  container.style.cssText = "position:absolute;left:-9999px;top:-9999px;visibility:hidden;width:600px;height:600px";
+  document.body.appendChild(container);
+  container.appendChild(clone);
+  try {
+    return fn(clone);
+  } finally {
+    document.body.removeChild(container);
+  }
+}
@@ -1,26 +1,99 @@
-// SVG normalization: expand <use>, resolve styles, flatten transforms, convert primitives to paths
+// SVG normalization: apply <style> sheets, expand <use>, inventory unsupported features, resolve styles, outline text and strokes, flatten transforms, convert primitives to paths
 
-const SVG_NS = "http://www.w3.org/2000/svg";
+import { parsePathData, parsePathDataWithError, serializePathData, arcToCubics, flattenPathData, toAbsoluteCommands } from "./path-data";
+import { getPathGeometry, isPointInFill } from "./path-geometry";
+import { intersectWithClip, polygonsToPathData } from "./polygon-clip";
+import { outlineStroke } from "./stroke-outline";
+import { parseColor, parseOpacity } from "./color-utils";
+import { convertTextToPaths, loadFontFace, decodeDataUri, parseFontFamilies } from "./text-outline";
+import { SVG_NS, XLINK_NS, isNativeNode, withMountedClone } from "./svg-dom";
 
-// ─── Path data parser ───
+// ─── Matrices ───
 
-function parsePathData(d) {
-  if (!d) return [];
-  const commands = [];
-  const re = /([MmLlHhVvCcSsQqTtAaZz])\s*([^MmLlHhVvCcSsQqTtAaZz]*)/g;
+const IDENTITY = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+
+export function multiplyMatrices(m, n) {
+  return {
+    a: m.a * n.a + m.c * n.b,
+    b: m.b * n.a + m.d * n.b,
+    c: m.a * n.c + m.c * n.d,
+    d: m.b * n.c + m.d * n.d,
+    e: m.a * n.e + m.c * n.f + m.e,
+    f: m.b * n.e + m.d * n.f + m.f,
+  };
+}
+
+// Parse a transform attribute ("translate(10) rotate(45 5 5) ...") into one matrix
+export function parseTransform(str) {
+  let matrix = IDENTITY;
+  const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
   let m;
-  while ((m = re.exec(d)) !== null) {
-    const type = m[1];
-    const args = m[2].trim()
-      ? m[2].trim().split(/[\s,]+/).map(Number)
-      : [];
-    commands.push({ type, args });
+  while ((m = re.exec(str || "")) !== null) {
+    const v = m[2].trim().split(/[\s,]+/).filter(Boolean).map(Number);
+    let t;
+    switch (m[1]) {
+      case "matrix":
+        t = { a: v[0], b: v[1], c: v[2], d: v[3], e: v[4], f: v[5] };
+        break;
+      case "translate":
+        t = { ...IDENTITY, e: v[0] || 0, f: v[1] || 0 };
+        break;
+      case "scale":
+        t = { ...IDENTITY, a: v[0], d: v[1] ?? v[0] };
+        break;
+      case "rotate": {
+        const rad = ((v[0] || 0) * Math.PI) / 180;
+        const cos = Math.cos(rad), sin = Math.sin(rad);
+        const [cx = 0, cy = 0] = v.slice(1);
+        t = { a: cos, b: sin, c: -sin, d: cos, e: cx - cos * cx + sin * cy, f: cy - sin * cx - cos * cy };
+        break;
+      }
+      case "skewX":
+        t = { ...IDENTITY, c: Math.tan(((v[0] || 0) * Math.PI) / 180) };
+        break;
+      case "skewY":
+        t = { ...IDENTITY, b: Math.tan(((v[0] || 0) * Math.PI) / 180) };
+        break;
+    }
+    if (Object.values(t).some((n) => !Number.isFinite(n))) return null;
+    matrix = multiplyMatrices(matrix, t);
   }
-  return commands;
+  return matrix;
 }
 
-function serializePathData(commands) {
-  return commands.map((c) => c.type + (c.args.length ? " " + c.args.join(" ") : "")).join(" ");
+function isIdentity(m) {
+  return m.a === 1 && m.b === 0 && m.c === 0 && m.d === 1 && m.e === 0 && m.f === 0;
+}
+
+function formatMatrix(m) {
+  return `matrix(${[m.a, m.b, m.c, m.d, m.e, m.f].map((v) => +v.toFixed(6)).join(" ")})`;
+}
+
+// Length attribute in user units; percentages resolve against `reference`
+function lengthAttr(el, name, reference) {
+  const raw = (el.getAttribute(name) || "").trim();
+  if (!raw) return null;
+  const v = parseFloat(raw);
+  if (!Number.isFinite(v)) return null;
+  return raw.endsWith("%") ? (v / 100) * reference : v;
+}
+
+// viewBox + preserveAspectRatio → matrix mapping viewBox units into a width × height viewport
+function viewBoxMatrix(viewBox, width, height, preserveAspectRatio) {
+  const p = (viewBox || "").trim().split(/[\s,]+/).map(Number);
+  if (p.length < 4 || !(p[2] > 0) || !(p[3] > 0) || !(width > 0) || !(height > 0)) return IDENTITY;
+  const [minX, minY, vbW, vbH] = p;
+  const [align = "xMidYMid", meetOrSlice = "meet"] = (preserveAspectRatio || "").trim().split(/\s+/).filter(Boolean);
+
+  let sx = width / vbW, sy = height / vbH;
+  let tx = 0, ty = 0;
+  if (align !== "none") {
+    sx = sy = meetOrSlice === "slice" ? Math.max(sx, sy) : Math.min(sx, sy);
+    const freeX = width - vbW * sx, freeY = height - vbH * sy;
+    tx = align.includes("xMid") ? freeX / 2 : align.includes("xMax") ? freeX : 0;
+    ty = align.includes("YMid") ? freeY / 2 : align.includes("YMax") ? freeY : 0;
+  }
+  return { a: sx, b: 0, c: 0, d: sy, e: tx - minX * sx, f: ty - minY * sy };
 }
 
 function applyMatrixToPoint(matrix, x, y) {
@@ -34,11 +107,14 @@ function applyMatrixToPathData(commands, matrix) {
   const result = [];
   let cx = 0, cy = 0; // current point for relative commands
   let sx = 0, sy = 0; // subpath start
+  let prevAbs = null;
 
   for (const cmd of commands) {
     const { type, args } = cmd;
     const isRel = type === type.toLowerCase();
     const abs = type.toUpperCase();
+    const afterArc = prevAbs === "A";
+    prevAbs = abs;
 
     switch (abs) {
       case "M":
@@ -97,8 +173,20 @@ function applyMatrixToPathData(commands, matrix) {
         break;
       }
       case "S": {
+        // An arc before this S is emitted as C, which S would reflect — per spec the first
+        // control point after a non-curve is the current point, so spell that segment out as C
+        if (afterArc) {
+          const p0 = applyMatrixToPoint(matrix, cx, cy);
+          let coords = args.slice(0, 4);
+          if (isRel) coords = [coords[0] + cx, coords[1] + cy, coords[2] + cx, coords[3] + cy];
+          const p1 = applyMatrixToPoint(matrix, coords[0], coords[1]);
+          const p2 = applyMatrixToPoint(matrix, coords[2], coords[3]);
+          result.push({ type: "C", args: [p0.x, p0.y, p1.x, p1.y, p2.x, p2.y] });
+          cx = coords[2]; cy = coords[3];
+          if (args.length === 4) break;
+        }
         const newArgs = [];
-        for (let i = 0; i < args.length; i += 4) {
+        for (let i = afterArc ? 4 : 0; i < args.length; i += 4) {
           let coords = args.slice(i, i + 4);
           if (isRel) {
             coords = [coords[0] + cx, coords[1] + cy, coords[2] + cx, coords[3] + cy];
@@ -129,20 +217,22 @@ function applyMatrixToPathData(commands, matrix) {
         break;
       }
       case "A": {
-        // V1: convert arcs to approximate cubic beziers would be complex,
-        // so we transform the endpoint and keep radii scaled by matrix determinant
+        // Arcs don't survive skew / non-uniform scale as arcs — emit the exact cubic
+        // equivalent and transform its control points instead
         const newArgs = [];
         for (let i = 0; i < args.length; i += 7) {
-          let rx = args[i], ry = args[i + 1], angle = args[i + 2];
-          let largeArc = args[i + 3], sweep = args[i + 4];
           let ex = args[i + 5], ey = args[i + 6];
           if (isRel) { ex += cx; ey += cy; }
-          const scale = Math.sqrt(Math.abs(matrix.a * matrix.d - matrix.b * matrix.c));
-          const p = applyMatrixToPoint(matrix, ex, ey);
-          newArgs.push(rx * scale, ry * scale, angle, largeArc, sweep, p.x, p.y);
+          const curves = arcToCubics(cx, cy, args[i], args[i + 1], args[i + 2], args[i + 3], args[i + 4], ex, ey);
+          for (const curve of curves) {
+            for (let j = 0; j < 6; j += 2) {
+              const p = applyMatrixToPoint(matrix, curve[j], curve[j + 1]);
+              newArgs.push(p.x, p.y);
+            }
+          }
           cx = ex; cy = ey;
         }
-        result.push({ type: "A", args: newArgs });
+        if (newArgs.length > 0) result.push({ type: "C", args: newArgs });
         break;
       }
       case "Z": {
@@ -159,33 +249,315 @@ function applyMatrixToPathData(commands, matrix) {
 
 // ─── Normalization steps ───
 
+const USE_GEOMETRY_ATTRS = ["x", "y", "width", "height", "href", "xlink:href", "transform"];
+const VIEWPORT_ATTRS = ["x", "y", "width", "height", "viewBox", "preserveAspectRatio", "transform", "xmlns", "xmlns:xlink", "version"];
+
+// Replace each <use> with a <g> carrying its presentation attributes (so they inherit into
+// the copy) and its placement as a transform: transform, then translate(x y), then — for
+// <symbol>/<svg> targets — the target's viewBox mapped into the use's width × height.
+// Repeats so uses inside referenced content expand too.
 function expandUseReferences(svg) {
-  const uses = [...svg.querySelectorAll("use")];
-  for (const use of uses) {
-    const href = use.getAttribute("href") || use.getAttributeNS("http://www.w3.org/1999/xlink", "href");
-    if (!href) continue;
-    const target = svg.querySelector(href);
-    if (!target) continue;
-
-    const clone = target.cloneNode(true);
-    clone.removeAttribute("id");
-
-    // Transfer x/y as translate
-    const x = parseFloat(use.getAttribute("x")) || 0;
-    const y = parseFloat(use.getAttribute("y")) || 0;
-    const existingTransform = use.getAttribute("transform") || "";
-    if (x || y) {
-      clone.setAttribute("transform", `translate(${x},${y}) ${existingTransform}`.trim());
-    } else if (existingTransform) {
-      clone.setAttribute("transform", existingTransform);
+  const doc = svg.ownerDocument;
+  const root = getRootViewport(svg);
+
+  for (let pass = 0; pass < 8; pass++) {
+    const uses = svg.querySelectorAll("use");
+    if (uses.length === 0) break;
+
+    for (const use of uses) {
+      const href = use.getAttribute("href") || use.getAttributeNS(XLINK_NS, "href");
+      const target = href?.startsWith("#") ? svg.getElementById(href.slice(1)) : null;
+      // Self-referencing or missing targets render nothing
+      if (!target || target === use || isAncestor(target, use)) {
+        use.remove();
+        continue;
+      }
+
+      const group = doc.createElementNS(SVG_NS, "g");
+      for (const attr of [...use.attributes]) {
+        if (!USE_GEOMETRY_ATTRS.includes(attr.name)) group.setAttribute(attr.name, attr.value);
+      }
+      group.removeAttribute("id");
+
+      let matrix = parseTransform(use.getAttribute("transform")) || IDENTITY;
+      const x = lengthAttr(use, "x", root.width) || 0;
+      const y = lengthAttr(use, "y", root.height) || 0;
+      matrix = multiplyMatrices(matrix, { ...IDENTITY, e: x, f: y });
+
+      const targetTag = target.tagName.toLowerCase();
+      if (targetTag === "symbol" || targetTag === "svg") {
+        const width = lengthAttr(use, "width", root.width) ?? lengthAttr(target, "width", root.width) ?? root.width;
+        const height = lengthAttr(use, "height", root.height) ?? lengthAttr(target, "height", root.height) ?? root.height;
+        matrix = multiplyMatrices(
+          matrix,
+          viewBoxMatrix(target.getAttribute("viewBox"), width, height, target.getAttribute("preserveAspectRatio"))
+        );
+        for (const attr of [...target.attributes]) {
+          if (!VIEWPORT_ATTRS.includes(attr.name) && attr.name !== "id" && !group.hasAttribute(attr.name)) {
+            group.setAttribute(attr.name, attr.value);
+          }
+        }
+        for (const child of [...target.children]) group.appendChild(child.cloneNode(true));
+      } else {
+        const clone = target.cloneNode(true);
+        clone.removeAttribute("id");
+        group.appendChild(clone);
+      }
+      if (!isIdentity(matrix)) group.setAttribute("transform", formatMatrix(matrix));
+
+      use.parentNode.replaceChild(group, use);
+    }
+  }
+  // Anything left is a reference cycle
+  for (const use of svg.querySelectorAll("use")) use.remove();
+}
+
+function isAncestor(node, el) {
+  for (let p = el.parentNode; p; p = p.parentNode) if (p === node) return true;
+  return false;
+}
+
+// Root viewport size in user units (viewBox, else width/height, else the 300×150 default)
+function getRootViewport(svg) {
+  const p = (svg.getAttribute("viewBox") || "").trim().split(/[\s,]+/).map(Number);
+  if (p.length >= 4 && p[2] > 0 && p[3] > 0) return { width: p[2], height: p[3] };
+  return { width: parseFloat(svg.getAttribute("width")) || 300, height: parseFloat(svg.getAttribute("height")) || 150 };
+}
+
+// ─── Embedded stylesheets ───
+
+// CSS properties that have an equivalent SVG presentation attribute
+const PRESENTATION_PROPS = new Set([
+  "fill", "fill-opacity", "fill-rule", "stroke", "stroke-width", "stroke-opacity", "stroke-linecap",
+  "stroke-linejoin", "stroke-miterlimit", "stroke-dasharray", "stroke-dashoffset", "opacity", "display",
+  "visibility", "color", "clip-path", "clip-rule", "mask", "filter", "stop-color", "stop-opacity",
+  "flood-color", "flood-opacity", "font-family", "font-size", "font-weight", "font-style", "text-anchor",
+  "dominant-baseline", "letter-spacing", "paint-order", "vector-effect",
+]);
+
+// Split on `sep` outside quotes and parentheses (data: URIs carry ";" inside url(…))
+function splitTopLevel(text, sep) {
+  const parts = [];
+  let depth = 0, quote = null, start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === "\\") i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === "(") depth++;
+    else if (ch === ")") depth = Math.max(0, depth - 1);
+    else if (ch === sep && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+// "fill: red !important; stroke: none" → [{ prop, value, important }]
+function parseDeclarations(text) {
+  const decls = [];
+  for (const part of splitTopLevel(text, ";")) {
+    const idx = part.indexOf(":");
+    if (idx === -1) continue;
+    const prop = part.slice(0, idx).trim().toLowerCase();
+    let value = part.slice(idx + 1).trim();
+    const important = /!\s*important\s*$/i.test(value);
+    if (important) value = value.replace(/!\s*important\s*$/i, "").trim();
+    if (prop && value) decls.push({ prop, value, important });
+  }
+  return decls;
+}
+
+// [ids, classes + attributes + pseudo-classes, types + pseudo-elements] folded into one number
+function selectorSpecificity(selector) {
+  let s = selector.replace(/"[^"]*"|'[^']*'/g, "");
+  const attrs = (s.match(/\[[^\]]*\]/g) || []).length;
+  s = s.replace(/\[[^\]]*\]/g, "");
+  const ids = (s.match(/#[\w-]+/g) || []).length;
+  const classes = (s.match(/\.[\w-]+/g) || []).length;
+  const pseudoElements = (s.match(/::[\w-]+/g) || []).length;
+  s = s.replace(/::[\w-]+/g, "");
+  const pseudoClasses = (s.match(/:[\w-]+/g) || []).length;
+  const types = (s.replace(/[#.:][\w-]+/g, " ").match(/(?:^|[\s>+~])[a-zA-Z][\w-]*/g) || []).length;
+  return ids * 1e6 + (classes + attrs + pseudoClasses) * 1e3 + types + pseudoElements;
+}
+
+// Stylesheet text → [{ selector, specificity, declarations }] in source order. Rules inside
+// @media / @supports apply (a logo has one rendering); other at-rules are skipped.
+function parseStylesheet(css) {
+  const text = css
+    .replace(/\/\*[\s\S]*?\*\//g, "")
+    .replace(/<!--|-->|<!\[CDATA\[|\]\]>/g, "")
+    .replace(/@(?:import|charset|namespace)[^;{]*;/gi, "");
+  const rules = [];
+  let pos = 0;
+  while (pos < text.length) {
+    const open = text.indexOf("{", pos);
+    if (open === -1) break;
+    let depth = 1, end = open + 1;
+    for (; end < text.length && depth > 0; end++) {
+      if (text[end] === "{") depth++;
+      else if (text[end] === "}") depth--;
+    }
+    const prelude = text.slice(pos, open).trim();
+    const body = text.slice(open + 1, end - 1);
+    pos = end;
+
+    if (prelude.startsWith("@")) {
+      if (/^@(media|supports)\b/i.test(prelude)) rules.push(...parseStylesheet(body));
+      continue;
+    }
+    const declarations = parseDeclarations(body);
+    if (declarations.length === 0) continue;
+    for (const selector of splitTopLevel(prelude, ",").map((sel) => sel.trim()).filter(Boolean)) {
+      rules.push({ selector, specificity: selectorSpecificity(selector), declarations });
     }
+  }
+  return rules;
+}
 
-    use.parentNode.replaceChild(clone, use);
+// @font-face rules whose src is a data: URI → faces (fonts that fail to parse are skipped,
+// leaving their text to be reported as missing)
+function embeddedFontFaces(svg) {
+  const faces = [];
+  for (const styleEl of svg.querySelectorAll("style")) {
+    const css = (styleEl.textContent || "").replace(/\/\*[\s\S]*?\*\//g, "");
+    for (const [, body] of css.matchAll(/@font-face\s*\{([^}]*)\}/gi)) {
+      const descriptors = Object.fromEntries(parseDeclarations(body).map((d) => [d.prop, d.value]));
+      const family = parseFontFamilies(descriptors["font-family"])[0];
+      if (!family || !descriptors.src) continue;
+      for (const source of splitTopLevel(descriptors.src, ",")) {
+        const url = source.match(/url\(\s*(['"]?)(.*?)\1\s*\)/s)?.[2];
+        const bytes = url && decodeDataUri(url);
+        if (!bytes) continue;
+        try {
+          faces.push(loadFontFace(bytes, { family, weight: descriptors["font-weight"], style: descriptors["font-style"] }));
+          break;
+        } catch {
+          // Unsupported format (WOFF2, CFF2…) — try the next source
+        }
+      }
+    }
   }
+  return faces;
+}
+
+function safeMatches(el, selector) {
+  try {
+    return el.matches(selector);
+  } catch {
+    return false; // pseudo-classes and other selectors the static tree can't answer
+  }
+}
+
+// Later wins: [tier, specificity, order] compared left to right
+function outranks(a, b) {
+  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return a[i] > b[i];
+  return true;
+}
+
+// Resolve <style> rules and inline `style` into presentation attributes, then drop the <style>
+// elements (all but their @font-face rules, which embedded text still needs). Precedence
+// follows CSS: inline !important > sheet !important > inline > sheet (by specificity, then
+// source order) > existing presentation attribute. Properties without an attribute equivalent
+// stay in `style`. Besides normalization, run it on the markup the colorizer and version
+// renderer edit, so the fills they write aren't overridden by class rules.
+export function applyStylesheets(svg) {
+  const styleEls = [...svg.querySelectorAll("style")];
+  const rules = styleEls.flatMap((el) => parseStylesheet(el.textContent || ""));
+
+  for (const el of [svg, ...svg.querySelectorAll("*")]) {
+    const winners = new Map();
+    const consider = (decl, rank) => {
+      const current = winners.get(decl.prop);
+      if (!current || outranks(rank, current.rank)) winners.set(decl.prop, { value: decl.value, rank });
+    };
+
+    rules.forEach((rule, order) => {
+      if (!safeMatches(el, rule.selector)) return;
+      for (const decl of rule.declarations) consider(decl, [decl.important ? 3 : 1, rule.specificity, order]);
+    });
+    parseDeclarations(el.getAttribute("style") || "").forEach((decl, order) => {
+      consider(decl, [decl.important ? 4 : 2, 0, order]);
+    });
+    if (winners.size === 0) continue;
+
+    const residual = [];
+    for (const [prop, { value }] of winners) {
+      if (PRESENTATION_PROPS.has(prop)) el.setAttribute(prop, value);
+      else residual.push(`${prop}: ${value}`);
+    }
+    if (residual.length > 0) el.setAttribute("style", residual.join("; "));
+    else el.removeAttribute("style");
+  }
+
+  for (const el of styleEls) {
+    const fontFaces = (el.textContent || "").replace(/\/\*[\s\S]*?\*\//g, "").match(/@font-face\s*\{[^}]*\}/gi);
+    if (fontFaces) el.textContent = fontFaces.join("\n");
+    else el.remove();
+  }
+  resolveCurrentColor(svg);
+}
+
+// fill / stroke / stop-color "currentColor" → the inherited `color` (black by default)
+function resolveCurrentColor(svg) {
+  const visit = (el, color) => {
+    const own = el.getAttribute("color");
+    if (own && own.toLowerCase() !== "inherit" && own.toLowerCase() !== "currentcolor") color = own;
+    for (const prop of ["fill", "stroke", "stop-color", "flood-color"]) {
+      if ((el.getAttribute(prop) || "").toLowerCase() === "currentcolor") el.setAttribute(prop, color);
+    }
+    for (const child of el.children) visit(child, color);
+  };
+  visit(svg, "#000000");
+}
+
+const INHERITED_PROPS = ["fill", "stroke", "stroke-width", "opacity", "fill-opacity", "stroke-opacity", "fill-rule", "clip-rule"];
+const FILLABLE_TAGS = ["path", "rect", "circle", "ellipse", "polygon", "polyline", "text"];
+
+function inlineStyle(el) {
+  const style = {};
+  for (const { prop, value } of parseDeclarations(el.getAttribute("style") || "")) style[prop] = value;
+  return style;
+}
+
+// Headless counterpart of getComputedStyle: cascade presentation attributes and
+// inline styles down the tree, writing the same attributes the browser path would
+function resolveInheritedStyles(svg) {
+  const visit = (el, inherited) => {
+    const own = inlineStyle(el);
+    const resolved = { ...inherited };
+    const fillable = FILLABLE_TAGS.includes(el.tagName.toLowerCase());
+
+    for (const prop of INHERITED_PROPS) {
+      const attr = el.getAttribute(prop);
+      if (attr) {
+        resolved[prop] = attr;
+        continue;
+      }
+      // opacity applies to the element as a whole (children composite inside it), so it never cascades
+      const val = own[prop] ?? (prop === "opacity" ? null : inherited[prop]) ?? (prop === "fill" && fillable ? "#000000" : null);
+      if (!val || val === "none") continue;
+      resolved[prop] = val;
+      // Default black is only made explicit as a fill on fillable elements, as in the DOM path.
+      // A black stroke is never a default (strokes default to none), so it always cascades.
+      const black = val === "#000000" || val === "rgb(0, 0, 0)" || val === "black";
+      if (prop === "fill" && black && !fillable) continue;
+      el.setAttribute(prop, val);
+    }
+    for (const child of el.children) visit(child, resolved);
+  };
+  visit(svg, {});
 }
 
 function resolveComputedStyles(svg) {
-  const INHERITED_PROPS = ["fill", "stroke", "stroke-width", "opacity", "fill-opacity", "stroke-opacity", "fill-rule", "clip-rule"];
+  if (!isNativeNode(svg) || typeof getComputedStyle !== "function") {
+    resolveInheritedStyles(svg);
+    return;
+  }
   const els = svg.querySelectorAll("*");
 
   for (const el of els) {
@@ -200,14 +572,13 @@ function resolveComputedStyles(svg) {
         const val = computed.getPropertyValue(prop);
         if (val && val !== "none" && val !== "") {
           // Only set fill/stroke if meaningful
-          if ((prop === "fill" || prop === "stroke") && (val === "rgb(0, 0, 0)" || val === "#000000")) {
+          if (prop === "fill" && (val === "rgb(0, 0, 0)" || val === "#000000")) {
             // Default black — only set if element is fillable
-            const tag = el.tagName.toLowerCase();
-            const fillable = ["path", "rect", "circle", "ellipse", "polygon", "polyline", "text"].includes(tag);
+            const fillable = FILLABLE_TAGS.includes(el.tagName.toLowerCase());
             if (fillable && prop === "fill" && !el.getAttribute("fill")) {
               el.setAttribute("fill", val);
             }
-          } else if (val !== "rgb(0, 0, 0)") {
+          } else if (prop === "stroke" || val !== "rgb(0, 0, 0)") {
             el.setAttribute(prop, val);
           }
         }
@@ -218,39 +589,212 @@ function resolveComputedStyles(svg) {
   }
 }
 
+// ─── Clip paths and masks ───
+
+const URL_REF_RE = /^url\(\s*['"]?#([^'")\s]+)['"]?\s*\)$/;
+
+function referencedElement(svg, value, tag) {
+  const id = (value || "").trim().match(URL_REF_RE)?.[1];
+  const el = id ? svg.getElementById(id) : null;
+  return el && el.tagName.toLowerCase() === tag ? el : null;
+}
+
+function isHidden(el) {
+  return el.getAttribute("display") === "none" || el.getAttribute("visibility") === "hidden";
+}
+
+// Every rendered leaf under `el` (or `el` itself) is a path — anything else can't be clipped
+// geometrically, so its clip-path / mask stays for the browser to apply
+function hasOnlyPathLeaves(el) {
+  const tag = el.tagName.toLowerCase();
+  if (NON_RENDERED_TAGS.has(tag) || isHidden(el)) return true;
+  if (tag === "path") return true;
+  if (tag !== "g" && tag !== "svg" && tag !== "a" && tag !== "switch") return false;
+  return [...el.children].every(hasOnlyPathLeaves);
+}
+
+// Polylines of every path in `nodes` (and below), mapped by `matrix` and each node's own
+// transform → [{ node, polygons, fillRule }]; null when something other than a path shows up
+function collectShapes(nodes, matrix, ruleAttr) {
+  const shapes = [];
+  const walk = (node, parentMatrix) => {
+    const tag = node.tagName.toLowerCase();
+    if (NON_RENDERED_TAGS.has(tag) || isHidden(node)) return true;
+    const m = multiplyMatrices(parentMatrix, parseTransform(node.getAttribute("transform")) || IDENTITY);
+    if (tag === "path") {
+      const polygons = flattenPathData(node.getAttribute("d") || "")
+        .map(({ points }) => points.map((p) => applyMatrixToPoint(m, p.x, p.y)))
+        .filter((points) => points.length >= 3);
+      shapes.push({ node, polygons, fillRule: node.getAttribute(ruleAttr) === "evenodd" ? "evenodd" : "nonzero" });
+      return true;
+    }
+    if (tag !== "g" && tag !== "a") return false;
+    return [...node.children].every((child) => walk(child, m));
+  };
+  return nodes.every((node) => walk(node, matrix)) ? shapes : null;
+}
+
+// Bounding box of `el`'s geometry in its own user space (for objectBoundingBox units).
+// Called once `el`'s own transform has been folded into the accumulated matrix.
+function localBBox(el) {
+  const nodes = el.tagName.toLowerCase() === "path" ? [el] : [...el.children];
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const { polygons } of collectShapes(nodes, IDENTITY, "fill-rule") || []) {
+    for (const points of polygons) {
+      for (const p of points) {
+        minX = Math.min(minX, p.x); maxX = Math.max(maxX, p.x);
+        minY = Math.min(minY, p.y); maxY = Math.max(maxY, p.y);
+      }
+    }
+  }
+  return maxX > minX && maxY > minY ? { x: minX, y: minY, width: maxX - minX, height: maxY - minY } : null;
+}
+
+// Content of a <clipPath>/<mask> in the coordinate space `matrix` maps into, with the
+// objectBoundingBox mapping when `unitsAttr` asks for it
+function regionMatrix(container, el, matrix, unitsAttr, ownTransform = true) {
+  let m = matrix;
+  if (ownTransform) m = multiplyMatrices(m, parseTransform(container.getAttribute("transform")) || IDENTITY);
+  if (container.getAttribute(unitsAttr) === "objectBoundingBox") {
+    const box = localBBox(el);
+    if (!box) return null;
+    m = multiplyMatrices(m, { a: box.width, b: 0, c: 0, d: box.height, e: box.x, f: box.y });
+  }
+  return m;
+}
+
+// clip-path="url(#id)" → clip region (union of shapes) in root user space, or null when it
+// can't be resolved geometrically
+function resolveClipRegion(svg, el, matrix) {
+  const clipPath = referencedElement(svg, el.getAttribute("clip-path"), "clippath");
+  if (!clipPath || clipPath.hasAttribute("clip-path")) return null;
+  const m = regionMatrix(clipPath, el, matrix, "clipPathUnits");
+  return m && collectShapes([...clipPath.children], m, "clip-rule");
+}
+
+function isOpaque(el, paintProp) {
+  const paint = parseColor(el.getAttribute(paintProp));
+  const opacity = ["opacity", `${paintProp}-opacity`].reduce((o, p) => o * (parseFloat(el.getAttribute(p) ?? "1") || 0), 1);
+  return paint.a >= 0.999 && opacity >= 0.999 ? paint : null;
+}
+
+// A mask that only ever reveals fully (solid white fills — or any opaque fill for
+// mask-type="alpha") and never partially is just a clip region; anything else → null
+function resolveSimpleMask(svg, el, matrix) {
+  const mask = referencedElement(svg, el.getAttribute("mask"), "mask");
+  if (!mask || mask.hasAttribute("mask")) return null;
+  const m = regionMatrix(mask, el, matrix, "maskContentUnits", false);
+  const shapes = m && collectShapes([...mask.children], m, "fill-rule");
+  if (!shapes) return null;
+
+  const alpha = (mask.getAttribute("mask-type") || "").toLowerCase() === "alpha";
+  const simple = shapes.every(({ node }) => {
+    const stroke = node.getAttribute("stroke");
+    if (stroke && stroke !== "none") return false;
+    const fill = isOpaque(node, "fill");
+    return fill && (alpha || (fill.r === 255 && fill.g === 255 && fill.b === 255));
+  });
+  return simple ? shapes : null;
+}
+
+// Sequentially intersect a baked path with each region; false when nothing is left
+function clipPathElement(el, regions) {
+  let polygons = flattenPathData(el.getAttribute("d") || "").map(({ points }) => points);
+  let fillRule = el.getAttribute("fill-rule") === "evenodd" ? "evenodd" : "nonzero";
+  let changed = false;
+  for (const region of regions) {
+    const result = intersectWithClip({ polygons, fillRule }, region);
+    if (result.polygons.length === 0) return false;
+    if (result.unchanged) continue;
+    polygons = result.polygons;
+    fillRule = "nonzero";
+    changed = true;
+  }
+  if (changed) {
+    el.setAttribute("d", polygonsToPathData(polygons));
+    el.removeAttribute("fill-rule");
+    el.setAttribute("data-clipped", "true");
+  }
+  return true;
+}
+
+// Never rendered in place — their content is positioned by whoever references it
+const NON_RENDERED_TAGS = new Set(["defs", "clippath", "mask", "pattern", "marker", "symbol", "lineargradient", "radialgradient", "filter", "style", "title", "desc", "metadata"]);
+
+// Bake every path's full ancestor transform chain into its `d` and drop the transforms:
+// <g> transforms, nested <svg> viewports (turned into <g>) and paths' own transforms.
+// Elements that can't be baked (text, image, …) keep their accumulated matrix.
+// Clip paths — and masks that reveal all-or-nothing — are intersected into the geometry of
+// the paths they cover; other masks stay, and their paths are tagged data-mask="<id>".
 function flattenTransforms(svg) {
-  const els = svg.querySelectorAll("[transform]");
-  for (const el of els) {
+  const doc = svg.ownerDocument;
+  const root = getRootViewport(svg);
+
+  const visit = (el, parentMatrix, regions) => {
     const tag = el.tagName.toLowerCase();
-    if (tag === "svg" || tag === "defs") continue;
+    if (NON_RENDERED_TAGS.has(tag)) return;
 
-    if (tag === "path") {
-      try {
-        const ctm = el.getCTM();
-        const parentCtm = el.parentNode?.getCTM?.();
-        if (!ctm) continue;
-
-        // Get the local transform matrix
-        let localMatrix = ctm;
-        if (parentCtm) {
-          const inv = parentCtm.inverse();
-          localMatrix = inv.multiply(ctm);
-        }
+    // Unparseable transforms are ignored, as browsers do
+    let matrix = multiplyMatrices(parentMatrix, parseTransform(el.getAttribute("transform")) || IDENTITY);
+    el.removeAttribute("transform");
 
-        const d = el.getAttribute("d");
-        if (!d) continue;
+    if (el.hasAttribute("clip-path") && hasOnlyPathLeaves(el)) {
+      const region = resolveClipRegion(svg, el, matrix);
+      if (region) {
+        regions = [...regions, region];
+        el.removeAttribute("clip-path");
+      }
+    }
+    if (el.hasAttribute("mask")) {
+      const region = hasOnlyPathLeaves(el) && resolveSimpleMask(svg, el, matrix);
+      if (region) {
+        regions = [...regions, region];
+        el.removeAttribute("mask");
+      } else {
+        const maskId = el.getAttribute("mask").trim().match(URL_REF_RE)?.[1];
+        const paths = tag === "path" ? [el] : el.querySelectorAll("path");
+        if (maskId) for (const path of paths) path.setAttribute("data-mask", maskId);
+      }
+    }
 
-        const commands = parsePathData(d);
-        const transformed = applyMatrixToPathData(commands, localMatrix);
-        el.setAttribute("d", serializePathData(transformed));
-        el.removeAttribute("transform");
-      } catch {
-        // If transform flattening fails, leave it
+    if (tag === "svg" && el !== svg) {
+      const x = lengthAttr(el, "x", root.width) || 0;
+      const y = lengthAttr(el, "y", root.height) || 0;
+      const width = lengthAttr(el, "width", root.width) ?? root.width;
+      const height = lengthAttr(el, "height", root.height) ?? root.height;
+      matrix = multiplyMatrices(matrix, { ...IDENTITY, e: x, f: y });
+      matrix = multiplyMatrices(matrix, viewBoxMatrix(el.getAttribute("viewBox"), width, height, el.getAttribute("preserveAspectRatio")));
+
+      const group = doc.createElementNS(SVG_NS, "g");
+      for (const attr of [...el.attributes]) {
+        if (!VIEWPORT_ATTRS.includes(attr.name)) group.setAttribute(attr.name, attr.value);
+      }
+      for (const child of [...el.children]) group.appendChild(child);
+      el.parentNode.replaceChild(group, el);
+      el = group;
+    } else if (tag === "path") {
+      const d = el.getAttribute("d");
+      let baked = true;
+      if (d && !isIdentity(matrix)) {
+        try {
+          el.setAttribute("d", serializePathData(applyMatrixToPathData(parsePathData(d), matrix)));
+        } catch {
+          el.setAttribute("transform", formatMatrix(matrix));
+          baked = false;
+        }
       }
-    } else if (tag === "g") {
-      // Leave group transforms — they'll be handled when paths are processed
+      if (regions.length > 0 && baked && !clipPathElement(el, regions)) el.remove();
+      return;
+    } else if (tag !== "g" && tag !== "svg" && tag !== "a" && tag !== "switch") {
+      if (!isIdentity(matrix)) el.setAttribute("transform", formatMatrix(matrix));
+      return;
     }
-  }
+
+    for (const child of [...el.children]) visit(child, matrix, regions);
+  };
+
+  // A transform on the root <svg> itself positions the whole viewport — leave it
+  for (const child of [...svg.children]) visit(child, IDENTITY, []);
 }
 
 function rectToPath(el) {
@@ -309,6 +853,11 @@ function polylineToPath(el) {
   return d;
 }
 
+function lineToPath(el) {
+  const [x1, y1, x2, y2] = ["x1", "y1", "x2", "y2"].map((name) => parseFloat(el.getAttribute(name)) || 0);
+  return `M ${x1} ${y1} L ${x2} ${y2}`;
+}
+
 function convertPrimitivesToPaths(svg) {
   const converters = {
     rect: rectToPath,
@@ -316,21 +865,24 @@ function convertPrimitivesToPaths(svg) {
     ellipse: ellipseToPath,
     polygon: polygonToPath,
     polyline: polylineToPath,
+    line: lineToPath,
   };
 
   for (const [tag, converter] of Object.entries(converters)) {
     const els = [...svg.querySelectorAll(tag)];
     for (const el of els) {
-      const path = document.createElementNS(SVG_NS, "path");
+      const path = svg.ownerDocument.createElementNS(SVG_NS, "path");
       path.setAttribute("d", converter(el));
 
       // Copy relevant attributes
       for (const attr of el.attributes) {
-        const skip = ["x", "y", "width", "height", "rx", "ry", "cx", "cy", "r", "points"];
+        const skip = ["x", "y", "width", "height", "rx", "ry", "cx", "cy", "r", "points", "x1", "y1", "x2", "y2"];
         if (!skip.includes(attr.name)) {
           path.setAttribute(attr.name, attr.value);
         }
       }
+      // A line encloses nothing — only its stroke paints
+      if (tag === "line") path.setAttribute("fill", "none");
 
       // Tag with original element type for debugging
       path.setAttribute("data-original-tag", tag);
@@ -339,41 +891,167 @@ function convertPrimitivesToPaths(svg) {
   }
 }
 
+// ─── Strokes ───
+
+const STROKE_ATTRS = [
+  "stroke", "stroke-width", "stroke-opacity", "stroke-linecap", "stroke-linejoin", "stroke-miterlimit",
+  "stroke-dasharray", "stroke-dashoffset",
+];
+
+// Stroke properties that resolveComputedStyles doesn't make explicit
+function inheritedValue(el, name) {
+  for (let p = el; p && p.nodeType === 1; p = p.parentNode) {
+    const v = p.getAttribute(name);
+    if (v != null && v !== "" && v !== "inherit") return v;
+  }
+  return null;
+}
+
+function strokeStyleOf(el) {
+  const number = (name, fallback) => {
+    const v = parseFloat(inheritedValue(el, name));
+    return Number.isFinite(v) ? v : fallback;
+  };
+  const dashes = (inheritedValue(el, "stroke-dasharray") || "none").trim();
+  const dasharray = dashes === "none" ? [] : dashes.split(/[\s,]+/).map(parseFloat);
+  return {
+    width: number("stroke-width", 1),
+    linejoin: inheritedValue(el, "stroke-linejoin") || "miter",
+    linecap: inheritedValue(el, "stroke-linecap") || "butt",
+    miterlimit: number("stroke-miterlimit", 4),
+    dasharray: dasharray.every(Number.isFinite) ? dasharray : [],
+    dashoffset: number("stroke-dashoffset", 0),
+  };
+}
+
+// Turn every stroke into a filled outline path next to its path (after it, or before for
+// paint-order="stroke …"), so stroke ink is a shape like any other. A path that only had a
+// stroke is replaced by its outline. Runs before flattenTransforms, so stroke widths scale
+// with the transforms baked in afterwards.
+function outlineStrokes(svg) {
+  const doc = svg.ownerDocument;
+  for (const path of [...svg.querySelectorAll("path")]) {
+    // Clip geometry ignores strokes
+    if (isInsideTag(path, "clippath")) continue;
+    const stroke = inheritedValue(path, "stroke");
+    if (!stroke || stroke === "none") continue;
+
+    const strokeOpacity = parseOpacity(inheritedValue(path, "stroke-opacity"));
+    let d = "";
+    if (!(strokeOpacity <= 0)) {
+      try {
+        d = outlineStroke(path.getAttribute("d") || "", strokeStyleOf(path));
+      } catch {
+        continue; // Unparseable path data — leave the stroke to the browser
+      }
+    }
+
+    const outline = doc.createElementNS(SVG_NS, "path");
+    for (const attr of [...path.attributes]) {
+      if (attr.name === "d" || attr.name === "id" || attr.name === "paint-order" || attr.name.startsWith("fill") || STROKE_ATTRS.includes(attr.name)) continue;
+      outline.setAttribute(attr.name, attr.value);
+    }
+    outline.setAttribute("d", d);
+    outline.setAttribute("fill", stroke);
+    // Explicit whenever a fill-opacity would otherwise be inherited from the groups above
+    if (strokeOpacity < 1 || inheritedValue(path, "fill-opacity") != null) outline.setAttribute("fill-opacity", String(strokeOpacity));
+    outline.setAttribute("stroke", "none");
+    outline.setAttribute("data-stroke-outline", "true");
+
+    for (const name of STROKE_ATTRS) path.removeAttribute(name);
+    path.setAttribute("stroke", "none");
+
+    const id = path.getAttribute("id");
+    const fill = inheritedValue(path, "fill");
+    if (fill === "none" || fill === "transparent") {
+      if (id) outline.setAttribute("id", id);
+      if (d) path.parentNode.replaceChild(outline, path);
+      else path.remove();
+      continue;
+    }
+    if (!d) continue;
+    if (id) outline.setAttribute("id", `${id}_stroke`);
+    path.parentNode.insertBefore(outline, path);
+    // Fill paints first unless paint-order says otherwise
+    if (!(path.getAttribute("paint-order") || "").trim().startsWith("stroke")) path.parentNode.insertBefore(path, outline);
+  }
+}
+
+function isInsideTag(el, tag) {
+  for (let p = el.parentNode; p && p.tagName; p = p.parentNode) if (p.tagName.toLowerCase() === tag) return true;
+  return false;
+}
+
+// ─── Compound paths ───
+
+// Twice the signed area of a polygon; positive is clockwise on screen (y down)
+function signedArea2(points) {
+  let sum = 0;
+  for (let i = 0, n = points.length; i < n; i++) {
+    const a = points[i], b = points[(i + 1) % n];
+    sum += a.x * b.y - b.x * a.y;
+  }
+  return sum;
+}
+
+// Winding direction and nesting of each subpath → [{ winding, container, hole }], where
+// `container` is the index of the smallest sibling enclosing it (or null) and `hole` says
+// whether the region it bounds is left unpainted under the path's fill rule
+function subpathTopology(subpaths, fillRule) {
+  const info = subpaths.map((sub) => {
+    const points = flattenPathData(sub)[0]?.points || [];
+    const area2 = signedArea2(points);
+    return { points, area: Math.abs(area2) / 2, dir: area2 >= 0 ? 1 : -1, geometry: getPathGeometry(serializePathData(sub)) };
+  });
+
+  return info.map((self, i) => {
+    // Enclosing siblings: larger, with most of this outline inside them
+    const containers = info
+      .map((other, j) => ({ other, j }))
+      .filter(({ other, j }) => {
+        if (j === i || other.area <= self.area || self.points.length === 0) return false;
+        const inside = self.points.filter((p) => isPointInFill(other.geometry, p.x, p.y)).length;
+        return inside > self.points.length / 2;
+      });
+
+    const smallest = containers.reduce((best, c) => (!best || c.other.area < best.other.area ? c : best), null);
+    const winding = containers.reduce((sum, c) => sum + c.other.dir, self.dir);
+    const filled = fillRule === "evenodd" ? (containers.length + 1) % 2 === 1 : winding !== 0;
+    return {
+      winding: self.dir > 0 ? "cw" : "ccw",
+      container: smallest ? smallest.j : null,
+      hole: containers.length > 0 && !filled,
+    };
+  });
+}
+
+// Split multi-subpath paths into a group of single-subpath paths. Coordinates are made
+// absolute first — a later "m" is relative to where the previous subpath ended — and each
+// subpath records its winding, enclosing sibling and whether it is a hole.
 function splitCompoundPaths(svg) {
   const paths = [...svg.querySelectorAll("path")];
   for (const path of paths) {
     const d = path.getAttribute("d");
     if (!d) continue;
 
-    // Count M commands — if >1, this is a compound path
-    const mCount = (d.match(/[Mm]/g) || []).length;
-    if (mCount <= 1) continue;
-
-    // Parse into subpaths
+    // Parse into subpaths at each moveto — if >1, this is a compound path
     const subpaths = [];
-    let current = "";
-    const tokens = d.match(/[MmLlHhVvCcSsQqTtAaZz][^MmLlHhVvCcSsQqTtAaZz]*/g) || [];
-
-    for (const token of tokens) {
-      const cmd = token[0];
-      if ((cmd === "M" || cmd === "m") && current) {
-        subpaths.push(current.trim());
-        current = "";
-      }
-      current += token;
+    for (const cmd of toAbsoluteCommands(parsePathData(d))) {
+      if (cmd.type === "M" || subpaths.length === 0) subpaths.push([]);
+      subpaths[subpaths.length - 1].push(cmd);
     }
-    if (current.trim()) subpaths.push(current.trim());
 
     if (subpaths.length <= 1) continue;
+    const topology = subpathTopology(subpaths, inheritedValue(path, "fill-rule") === "evenodd" ? "evenodd" : "nonzero");
 
     // Create group to hold subpaths, preserving compound id
     const compoundId = path.getAttribute("id") || "";
-    const group = document.createElementNS(SVG_NS, "g");
+    const group = svg.ownerDocument.createElementNS(SVG_NS, "g");
     group.setAttribute("data-compound-source", compoundId || "true");
 
     subpaths.forEach((sub, i) => {
-      const sp = document.createElementNS(SVG_NS, "path");
-      sp.setAttribute("d", sub);
+      const sp = svg.ownerDocument.createElementNS(SVG_NS, "path");
+      sp.setAttribute("d", serializePathData(sub));
       // Copy non-geometric attributes
       for (const attr of path.attributes) {
         if (attr.name !== "d" && attr.name !== "id") {
@@ -381,6 +1059,9 @@ function splitCompoundPaths(svg) {
         }
       }
       sp.setAttribute("data-subpath-index", String(i));
+      sp.setAttribute("data-winding", topology[i].winding);
+      if (topology[i].container !== null) sp.setAttribute("data-contained-by", String(topology[i].container));
+      if (topology[i].hole) sp.setAttribute("data-hole", "true");
       if (compoundId) sp.setAttribute("data-compound-parent", compoundId);
       group.appendChild(sp);
     });
@@ -389,26 +1070,90 @@ function splitCompoundPaths(svg) {
   }
 }
 
-// ─── Main orchestrator ───
+// ─── Unsupported features ───
 
-export function normalizeSvg(svgEl) {
-  const clone = svgEl.cloneNode(true);
+// Content that is only referenced, never rendered where it sits
+const UNRENDERED_TAGS = new Set(["defs", "clippath", "mask", "pattern", "marker", "symbol"]);
+const CONDITIONAL_ATTRS = ["requiredFeatures", "requiredExtensions", "systemLanguage"];
 
-  // Must be in DOM for geometry APIs to work
-  const container = document.createElement("div");
-  container.style.cssText = "position:absolute;left:-9999px;top:-9999px;visibility:hidden;width:600px;height:600px";
-  document.body.appendChild(container);
-  container.appendChild(clone);
+function isUnrendered(el) {
+  for (let p = el.parentNode; p && p.tagName; p = p.parentNode) if (UNRENDERED_TAGS.has(p.tagName.toLowerCase())) return true;
+  return false;
+}
 
-  try {
+const describe = (el) => el.getAttribute("id") || `<${el.tagName}>`;
+
+// A <switch> renders only its first child whose conditions hold. Conditions can't be
+// evaluated here, so keep the first unconditional child (else the first child).
+function resolveSwitch(sw) {
+  const children = [...sw.children];
+  const keep = children.find((c) => !CONDITIONAL_ATTRS.some((a) => c.hasAttribute(a))) || children[0];
+  for (const child of children) if (child !== keep) child.remove();
+}
+
+// What can't become plain filled paths → [{ feature, handling, detail, elements }], where
+// handling is "kept" (left in the SVG, ignored by the analysis), "dropped" or "approximated".
+// Switches are resolved first, so only the branch that stays is inventoried.
+function inventoryFeatures(svg) {
+  const found = new Map();
+  const add = (feature, handling, detail, el) => {
+    if (!found.has(feature)) found.set(feature, { feature, handling, detail, elements: [] });
+    found.get(feature).elements.push(describe(el));
+  };
+
+  for (const sw of [...svg.querySelectorAll("switch")]) {
+    if (isUnrendered(sw)) continue;
+    resolveSwitch(sw);
+    add("switch", "approximated", "only the first child without conditions is kept", sw);
+  }
+
+  for (const el of svg.querySelectorAll("*")) {
+    if (isUnrendered(el)) continue;
+    const tag = el.tagName.toLowerCase();
+    const style = inlineStyle(el);
+
+    if (tag === "image") add("image", "kept", "embedded raster is not analyzed or recolored", el);
+    else if (tag === "foreignobject") add("foreignObject", "kept", "HTML content is not analyzed or recolored", el);
+    else if (tag === "path" && parsePathDataWithError(el.getAttribute("d")).error) {
+      add("invalid_path_data", "approximated", "path data is used up to its first error, as browsers render it", el);
+    }
+
+    const filter = el.getAttribute("filter") || style.filter;
+    if (filter && filter !== "none") add("filter", "kept", "shapes are analyzed unfiltered", el);
+
+    const blend = el.getAttribute("mix-blend-mode") || style["mix-blend-mode"];
+    if (blend && blend !== "normal") add("blend_mode", "kept", `${blend} is analyzed as normal blending`, el);
+
+    for (const attr of ["fill", "stroke"]) {
+      if (referencedElement(svg, el.getAttribute(attr), "pattern")) {
+        add("pattern", "kept", "pattern paint is registered as an opaque complex_mesh paint in a group of its own; its tiles aren't analyzed and it isn't recolored", el);
+      }
+    }
+  }
+  return [...found.values()];
+}
+
+// ─── Main orchestrator ───
+
+// `fonts`: extra faces (see text-outline) for outlining <text>, on top of embedded @font-face
+export function normalizeSvg(svgEl, options) {
+  return normalizeSvgWithInventory(svgEl, options).svg;
+}
+
+// → { svg: the normalized clone, features: unsupported features found (see inventoryFeatures) }
+export function normalizeSvgWithInventory(svgEl, { fonts = [] } = {}) {
+  // Must be in DOM for geometry APIs to work (headless trees are normalized detached)
+  return withMountedClone(svgEl, (clone) => {
+    const faces = [...embeddedFontFaces(clone), ...fonts];
+    applyStylesheets(clone);
     expandUseReferences(clone);
+    const features = inventoryFeatures(clone);
     resolveComputedStyles(clone);
+    convertTextToPaths(clone, faces);
     convertPrimitivesToPaths(clone);
+    outlineStrokes(clone);
     flattenTransforms(clone);
     splitCompoundPaths(clone);
-  } finally {
-    document.body.removeChild(container);
-  }
-
-  return clone;
+    return { svg: clone, features };
+  });
 }
@@ -0,0 +1,175 @@
+// Minimal SVG rasterizer for server-side previews (GPT analysis / validation images)
+//
+// Fills only — normalizeSvg has already turned strokes, clip paths and (font permitting)
+// text into fill geometry. Masks and filters are ignored, and gradients are drawn as the
+// average of their stops. Good enough for a model to compare colors and layout; not a
+// general-purpose renderer.
+
+import { normalizeSvg, parseTransform, multiplyMatrices } from "./svg-normalize";
+import { extractPaint } from "./svg-registry";
+import { getViewBox } from "./geometry-utils";
+import { flattenPathData } from "./path-data";
+import { parseSvgElement } from "./svg-dom";
+
+const SUBSAMPLES = 4; // vertical anti-aliasing samples per pixel row
+const SKIP_TAGS = new Set(["defs", "clippath", "mask", "symbol", "pattern", "marker", "lineargradient", "radialgradient", "style", "title", "desc", "metadata", "text"]);
+
+// ─── Paint ───
+
+function fillColor(el, svg) {
+  const paint = extractPaint(el, "fill", svg);
+  if (paint.type === "none") return null;
+  if (paint.type === "solid") return paint.rgba;
+  if (paint.stops?.length) {
+    const n = paint.stops.length;
+    const sum = paint.stops.reduce(
+      (acc, s) => ({
+        r: acc.r + s.rgb.r, g: acc.g + s.rgb.g, b: acc.b + s.rgb.b,
+        a: acc.a + s.rgb.a * (Number.isFinite(s.opacity) ? s.opacity : 1),
+      }),
+      { r: 0, g: 0, b: 0, a: 0 }
+    );
+    return { r: sum.r / n, g: sum.g / n, b: sum.b / n, a: sum.a / n };
+  }
+  return paint.rgba;
+}
+
+function numberAttr(el, name) {
+  const v = parseFloat(el.getAttribute(name));
+  return Number.isFinite(v) ? Math.min(1, Math.max(0, v)) : 1;
+}
+
+// ─── Scanline fill ───
+
+function addSpan(coverage, x0, x1, weight) {
+  x0 = Math.max(0, x0);
+  x1 = Math.min(coverage.length, x1);
+  if (x1 <= x0) return;
+  const i0 = Math.floor(x0), i1 = Math.floor(x1);
+  if (i0 === i1) {
+    coverage[i0] += (x1 - x0) * weight;
+    return;
+  }
+  coverage[i0] += (i0 + 1 - x0) * weight;
+  for (let i = i0 + 1; i < i1; i++) coverage[i] += weight;
+  if (i1 < coverage.length) coverage[i1] += (x1 - i1) * weight;
+}
+
+function fillPolygons(image, polygons, color, fillRule) {
+  const { width, height, data } = image;
+  const edges = [];
+  let minY = Infinity, maxY = -Infinity;
+
+  for (const points of polygons) {
+    for (let i = 0, n = points.length; i < n; i++) {
+      const a = points[i], b = points[(i + 1) % n];
+      if (a.y === b.y) continue;
+      const [top, bottom] = a.y < b.y ? [a, b] : [b, a];
+      edges.push({ yTop: top.y, yBottom: bottom.y, x: top.x, slope: (bottom.x - top.x) / (bottom.y - top.y), dir: b.y > a.y ? 1 : -1 });
+      minY = Math.min(minY, top.y);
+      maxY = Math.max(maxY, bottom.y);
+    }
+  }
+  if (edges.length === 0) return;
+  edges.sort((p, q) => p.yTop - q.yTop);
+
+  const coverage = new Float32Array(width);
+  const weight = 1 / SUBSAMPLES;
+  let next = 0;
+  let active = [];
+
+  for (let y = Math.max(0, Math.floor(minY)); y < Math.min(height, Math.ceil(maxY)); y++) {
+    coverage.fill(0);
+    let touched = false;
+
+    for (let s = 0; s < SUBSAMPLES; s++) {
+      const sy = y + (s + 0.5) / SUBSAMPLES;
+      while (next < edges.length && edges[next].yTop <= sy) active.push(edges[next++]);
+      active = active.filter((e) => e.yBottom > sy);
+
+      const crossings = active
+        .filter((e) => e.yTop <= sy)
+        .map((e) => ({ x: e.x + (sy - e.yTop) * e.slope, dir: e.dir }))
+        .sort((p, q) => p.x - q.x);
+
+      let winding = 0;
+      for (let i = 0; i < crossings.length - 1; i++) {
+        winding += fillRule === "evenodd" ? 1 : crossings[i].dir;
+        const inside = fillRule === "evenodd" ? winding % 2 === 1 : winding !== 0;
+        if (inside) {
+          addSpan(coverage, crossings[i].x, crossings[i + 1].x, weight);
+          touched = true;
+        }
+      }
+    }
+    if (!touched) continue;
+
+    const row = y * width * 4;
+    for (let x = 0; x < width; x++) {
+      const a = Math.min(1, coverage[x]) * color.a;
+      if (a <= 0) continue;
+      const i = row + x * 4;
+      data[i] = Math.round(data[i] * (1 - a) + color.r * a);
+      data[i + 1] = Math.round(data[i + 1] * (1 - a) + color.g * a);
+      data[i + 2] = Math.round(data[i + 2] * (1 - a) + color.b * a);
+    }
+  }
+}
+
+// ─── Main ───
+
+// `svg` is markup or an <svg> element → { width, height, data: RGBA } on a white background,
+// scaled to fit maxSize (never upscaled) like the page's canvas render. `fonts` as for normalizeSvg.
+export function rasterizeSvg(svg, { maxSize = 400, fonts } = {}) {
+  const normalized = normalizeSvg(typeof svg === "string" ? parseSvgElement(svg) : svg, { fonts });
+  const vb = getViewBox(normalized);
+  const scale = Math.min(maxSize / vb.width, maxSize / vb.height, 1);
+  const width = Math.max(1, Math.round(vb.width * scale));
+  const height = Math.max(1, Math.round(vb.height * scale));
+  const image = { width, height, data: new Uint8Array(width * height * 4).fill(255) };
+
+  const viewMatrix = { a: scale, b: 0, c: 0, d: scale, e: -vb.x * scale, f: -vb.y * scale };
+
+  const walk = (el, matrix, opacity) => {
+    const tag = el.tagName.toLowerCase();
+    if (SKIP_TAGS.has(tag) || el.getAttribute("display") === "none") return;
+
+    const own = el.getAttribute("transform");
+    const local = own ? parseTransform(own) : null;
+    const m = local ? multiplyMatrices(matrix, local) : matrix;
+    const alpha = opacity * numberAttr(el, "opacity");
+
+    // Normalization splits compound paths into a group of subpaths — fill them as one so holes survive
+    if (el.hasAttribute("data-compound-source") && el.children.length > 0) {
+      const parts = el.children.filter((c) => c.tagName.toLowerCase() === "path");
+      if (parts.length === el.children.length) {
+        fillPath(parts[0], parts, m, alpha);
+        return;
+      }
+    }
+    if (tag === "path") {
+      fillPath(el, [el], matrix, opacity);
+      return;
+    }
+    for (const child of el.children) walk(child, m, alpha);
+  };
+
+  // `m` / `alpha` are the parent's; the path's own transform and opacity are applied here
+  const fillPath = (el, parts, m, alpha) => {
+    if (el.getAttribute("visibility") === "hidden") return;
+    const color = fillColor(el, normalized);
+    if (!color || color.a <= 0) return;
+    const local = el.getAttribute("transform") ? parseTransform(el.getAttribute("transform")) : null;
+    const pm = local ? multiplyMatrices(m, local) : m;
+    const polygons = parts.flatMap((part) =>
+      flattenPathData(part.getAttribute("d") || "", 0.25 / scale).map(({ points }) =>
+        points.map((p) => ({ x: pm.a * p.x + pm.c * p.y + pm.e, y: pm.b * p.x + pm.d * p.y + pm.f }))
+      )
+    );
+    const a = color.a * alpha * numberAttr(el, "opacity") * numberAttr(el, "fill-opacity");
+    fillPolygons(image, polygons, { ...color, a }, el.getAttribute("fill-rule") || "nonzero");
+  };
+
+  for (const child of normalized.children) walk(child, viewMatrix, numberAttr(normalized, "opacity"));
+  return image;
+}
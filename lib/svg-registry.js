@@ -1,7 +1,8 @@
 // Build path/paint registries from normalized SVG
 
-import { parseColor, rgbToLab, rgbToHex, clusterByPerceptualDistance } from "./color-utils";
+import { parseColor, parseOpacity, rgbToLab, rgbToHex, deltaE, clusterByPerceptualDistance } from "./color-utils";
 import { geometryFingerprint, getViewBox } from "./geometry-utils";
+import { withMountedClone } from "./svg-dom";
 
 // ─── Paint extraction ───
 
@@ -20,7 +21,9 @@ function resolveGradientElement(svg, ref) {
   // ref looks like "url(#gradientId)"
   const match = ref.match(/url\(\s*#([^)]+)\s*\)/);
   if (!match) return null;
-  const el = svg.querySelector("#" + CSS.escape(match[1]));
+  const el = typeof CSS !== "undefined" && CSS.escape
+    ? svg.querySelector("#" + CSS.escape(match[1]))
+    : svg.getElementById(match[1]);
   if (!el) return null;
   return el;
 }
@@ -83,6 +86,35 @@ export function extractPaint(el, attr, svg) {
   return { type: "solid", raw, rgba, lab: rgbToLab(rgba), hex: rgbToHex(rgba) };
 }
 
+// Effective alpha of an element's fill or stroke: the paint color's own alpha × the nearest
+// fill-opacity / stroke-opacity × the opacity of the element and of every group above it
+export function effectiveAlpha(el, attr = "fill") {
+  const raw = el.getAttribute(attr) || "";
+  let alpha = raw.startsWith("url(") ? 1 : parseColor(raw).a;
+
+  for (let p = el; p && p.nodeType === 1; p = p.parentNode) {
+    const v = p.getAttribute(`${attr}-opacity`);
+    if (v != null && v !== "" && v !== "inherit") {
+      alpha *= parseOpacity(v);
+      break;
+    }
+  }
+  for (let p = el; p && p.nodeType === 1; p = p.parentNode) alpha *= parseOpacity(p.getAttribute("opacity"));
+  return alpha;
+}
+
+// Alpha rounded to 5% steps, so near-equal opacities count as one ink
+export function alphaBucket(alpha) {
+  return Math.round(Math.max(0, Math.min(1, alpha)) * 20) / 20;
+}
+
+// Paint mapping key for a paint group's ink at some alpha: opaque ink is keyed by the group
+// alone, each translucent strength gets its own key
+export function inkKey(groupId, alpha) {
+  const a = alphaBucket(alpha);
+  return a >= 1 ? groupId : `${groupId}@${a.toFixed(2)}`;
+}
+
 // ─── Deduplication and grouping ───
 
 function paintKey(paint) {
@@ -105,16 +137,99 @@ export function deduplicatePaints(paintsList) {
   return map;
 }
 
-export function groupPaints(paintsMap, threshold = 12) {
-  // Group solid paints by perceptual similarity
+// Gradient offset ("40%" or "0.4") → 0..1
+function stopOffset(offset) {
+  const v = parseFloat(offset);
+  if (!Number.isFinite(v)) return 0;
+  return Math.max(0, Math.min(1, String(offset).trim().endsWith("%") ? v / 100 : v));
+}
+
+// Largest stop-by-stop difference between two gradients of the same type and stop count,
+// in ΔE with a full opacity step counted as 100; Infinity when they can't be compared
+function gradientDistance(a, b) {
+  if (a.type !== b.type || a.stops.length !== b.stops.length || a.stops.length === 0) return Infinity;
+  let worst = 0;
+  for (let i = 0; i < a.stops.length; i++) {
+    const sa = a.stops[i], sb = b.stops[i];
+    const d = deltaE(rgbToLab(sa.rgb), rgbToLab(sb.rgb)) + 100 * Math.abs((sa.opacity ?? 1) - (sb.opacity ?? 1));
+    worst = Math.max(worst, d);
+  }
+  return worst;
+}
+
+// Complete-linkage clustering of gradient paints: clusters merge closest-first, and only while
+// every member of the merged cluster stays within `threshold` of every other — so a chain of
+// small steps can't join gradients that are far apart
+function clusterGradients(gradients, threshold) {
+  const clusters = gradients.map((g) => [g]);
+  const spread = (a, b) => Math.max(...a.flatMap((x) => b.map((y) => gradientDistance(x, y))));
+
+  while (clusters.length > 1) {
+    let best = Infinity, bestA = -1, bestB = -1;
+    for (let i = 0; i < clusters.length; i++) {
+      for (let j = i + 1; j < clusters.length; j++) {
+        const d = spread(clusters[i], clusters[j]);
+        if (d < best) { best = d; bestA = i; bestB = j; }
+      }
+    }
+    if (best > threshold) break;
+    clusters[bestA].push(...clusters[bestB]);
+    clusters.splice(bestB, 1);
+  }
+  return clusters;
+}
+
+// Mean of gradient attribute values ("0.2", "40%") when they share a unit, else the first one
+function averageAttr(values) {
+  const present = values.filter((v) => v != null && v !== "");
+  if (present.length === 0) return values[0] ?? null;
+  const unit = (v) => String(v).trim().replace(/^[+-]?[\d.]+(?:e[+-]?\d+)?/i, "");
+  const numbers = present.map(parseFloat);
+  if (present.length < values.length || !numbers.every(Number.isFinite) || present.some((v) => unit(v) !== unit(present[0]))) {
+    return present[0];
+  }
+  const mean = numbers.reduce((sum, n) => sum + n, 0) / numbers.length;
+  return `${+mean.toFixed(4)}${unit(present[0])}`;
+}
+
+// Representative of a gradient cluster: the first member with stops and geometry averaged
+// over all members. Units and transforms can't be averaged, so they come from the first.
+function averageGradient(members) {
+  const [first] = members;
+  if (members.length === 1) return first;
+
+  const stops = first.stops.map((_, i) => {
+    const at = members.map((m) => m.stops[i]);
+    const mean = (pick) => at.reduce((sum, s) => sum + pick(s), 0) / at.length;
+    const rgb = { r: Math.round(mean((s) => s.rgb.r)), g: Math.round(mean((s) => s.rgb.g)), b: Math.round(mean((s) => s.rgb.b)), a: 1 };
+    const color = rgbToHex(rgb);
+    return { offset: String(+mean((s) => stopOffset(s.offset)).toFixed(4)), color, opacity: +mean((s) => s.opacity ?? 1).toFixed(4), rgb };
+  });
+
+  const attrs = {};
+  for (const name of Object.keys(first.attrs)) {
+    attrs[name] = name === "gradientUnits" || name === "gradientTransform"
+      ? first.attrs[name]
+      : averageAttr(members.map((m) => m.attrs[name]));
+  }
+  return { ...first, stops, attrs, rgba: stops[0].rgb, averagedFrom: members.map((m) => m.id) };
+}
+
+// Solids cluster at `threshold` ΔE. Linear and radial gradients cluster with gradients of the
+// same type and stop count whose stops all lie within `gradientThreshold` of each other; the
+// group's representative averages them. Anything else gets a group of its own.
+export function groupPaints(paintsMap, threshold = 12, { gradientThreshold = threshold } = {}) {
   const solids = [];
-  const nonSolids = [];
+  const gradients = [];
+  const others = [];
 
   for (const [, paint] of paintsMap) {
     if (paint.type === "solid" && paint.rgba.a > 0) {
       solids.push({ id: paint.id, rgb: paint.rgba, paint });
+    } else if ((paint.type === "linear" || paint.type === "radial") && paint.stops.length > 0) {
+      gradients.push(paint);
     } else {
-      nonSolids.push(paint);
+      others.push(paint);
     }
   }
 
@@ -126,39 +241,96 @@ export function groupPaints(paintsMap, threshold = 12) {
     representative: cluster[0].paint,
   }));
 
-  // Add non-solid paints as individual groups
-  nonSolids.forEach((p, i) => {
+  // Gradient clusters, then every other non-solid paint on its own
+  const nonSolid = [
+    ...clusterGradients(gradients, gradientThreshold).map((members) => ({ members, representative: averageGradient(members) })),
+    ...others.map((p) => ({ members: [p], representative: p })),
+  ];
+  nonSolid.forEach(({ members, representative }, i) => {
     groups.push({
       id: "pg_ns_" + i,
-      type: p.type,
-      members: [p.id],
-      representative: p,
+      type: representative.type,
+      members: members.map((p) => p.id),
+      representative,
     });
   });
 
   return groups;
 }
 
+// ─── Bindings ───
+
+// Stroke width as rendered — inherited like any stroke property, 1 by default
+function strokeWidthOf(el) {
+  for (let p = el; p && p.nodeType === 1; p = p.parentNode) {
+    const v = parseFloat(p.getAttribute("stroke-width"));
+    if (Number.isFinite(v)) return Math.max(0, v);
+  }
+  return 1;
+}
+
+// One binding per painted role of a path: { pathId, role, attr, paintId, groupId, alpha, area }.
+// role is what the ink is in the design, attr where it lives in the normalized SVG: strokes
+// outlined during normalization are fills there but keep the stroke role, with the outline's
+// true area; a stroke left live is estimated as stroke-width × length. Nothing is bound
+// where no ink lands. Each paint group also lists the roles it is used in.
+function bindPaints(paths, paintGroups) {
+  const groupOfPaint = new Map();
+  for (const group of paintGroups) {
+    group.roles = [];
+    for (const id of group.members) groupOfPaint.set(id, group);
+  }
+
+  const bindings = [];
+  const bind = (path, role, attr, paint, alpha, area) => {
+    const group = groupOfPaint.get(paint?.id);
+    if (!group || !(area > 0)) return; // holes and open lines' implicit fills paint nothing
+    if (!group.roles.includes(role)) group.roles.push(role);
+    bindings.push({ pathId: path.id, role, attr, paintId: paint.id, groupId: group.id, alpha, area });
+  };
+  for (const path of paths.values()) {
+    if (path.fillPaint.type !== "none") {
+      bind(path, path.strokeOutline ? "stroke" : "fill", "fill", path.fillPaint, path.alpha, path.netArea ?? path.area);
+    }
+    if (path.strokePaint.type !== "none") {
+      bind(path, "stroke", "stroke", path.strokePaint, path.strokeAlpha, path.strokeArea);
+    }
+  }
+  return bindings;
+}
+
+// Bindings whose ink is still painted once analysis decisions apply. Deleting a background or
+// whitening a counter only touches the path's fill, so its live stroke stays.
+export function visibleBindings(registries, excludedPathIds) {
+  return registries.bindings.filter((b) => b.attr !== "fill" || !excludedPathIds.has(b.pathId));
+}
+
 // ─── Main registry builder ───
 
-export function buildRegistries(normalizedSvg) {
+// Paths under these are only referenced (clip shapes, mask content, pattern tiles…), never painted
+const DEFINITION_TAGS = new Set(["defs", "clippath", "mask", "pattern", "marker", "symbol"]);
+
+function isDefinitionContent(el) {
+  for (let p = el.parentNode; p && p.tagName; p = p.parentNode) {
+    if (DEFINITION_TAGS.has(p.tagName.toLowerCase())) return true;
+  }
+  return false;
+}
+
+// `gradientThreshold`: ΔE within which gradient stops count as the same brand gradient (see groupPaints)
+export function buildRegistries(normalizedSvg, { gradientThreshold } = {}) {
   const viewBox = getViewBox(normalizedSvg);
   const paths = new Map();
   const allPaints = [];
-  const bindings = [];
-
-  // Must be in DOM for geometry APIs
-  const container = document.createElement("div");
-  container.style.cssText = "position:absolute;left:-9999px;top:-9999px;visibility:hidden;width:600px;height:600px";
-  document.body.appendChild(container);
-  const svgClone = normalizedSvg.cloneNode(true);
-  container.appendChild(svgClone);
+  const unresolvedText = [];
 
-  try {
+  // Must be in DOM for geometry APIs (headless trees fall back to pure-JS geometry)
+  withMountedClone(normalizedSvg, (svgClone) => {
     const allEls = svgClone.querySelectorAll("path");
     let zIndex = 0;
 
     for (const el of allEls) {
+      if (isDefinitionContent(el)) continue;
       const id = el.getAttribute("id") || el.getAttribute("data-compound-parent") || `anon_${zIndex}`;
       const pathId = `p_${zIndex}`;
 
@@ -174,38 +346,79 @@ export function buildRegistries(normalizedSvg) {
       allPaints.push(fillPaint);
       if (strokePaint.type !== "none") allPaints.push(strokePaint);
 
+      const strokeOutline = el.getAttribute("data-stroke-outline") === "true";
+      const strokeWidth = strokePaint.type === "none" ? 0 : strokeWidthOf(el);
+
       const pathEntry = {
         id: pathId,
         originalId: id,
         el,
         bbox: geo.bbox,
+        bboxArea: geo.bboxArea,
         area: geo.area,
+        signedArea: geo.signedArea,
+        netArea: geo.area,
         centroid: geo.centroid,
         perimeter: geo.perimeter,
-        pointHash: geo.pointHash,
+        shapeSignature: geo.shapeSignature,
         fillPaint,
         strokePaint,
+        alpha: fillPaint.type === "none" ? 0 : effectiveAlpha(el, "fill"),
+        strokeAlpha: strokePaint.type === "none" ? 0 : effectiveAlpha(el, "stroke"),
+        strokeWidth,
+        strokeArea: strokeWidth * geo.perimeter,
+        strokeOutline,
         fillRule: el.getAttribute("fill-rule") || "nonzero",
         zIndex,
         compoundParent: el.getAttribute("data-compound-parent") || null,
         subpathIndex: el.getAttribute("data-subpath-index") != null ? parseInt(el.getAttribute("data-subpath-index")) : null,
+        winding: el.getAttribute("data-winding") || null,
+        containerSubpathIndex: el.getAttribute("data-contained-by") != null ? parseInt(el.getAttribute("data-contained-by")) : null,
+        isHole: el.getAttribute("data-hole") === "true",
+        clipped: el.getAttribute("data-clipped") === "true",
+        maskId: el.getAttribute("data-mask") || null,
       };
 
       paths.set(pathId, pathEntry);
-      bindings.push({
-        pathId,
-        fillPaintKey: paintKey(fillPaint),
-        strokePaintKey: paintKey(strokePaint),
-      });
 
       zIndex++;
     }
-  } finally {
-    document.body.removeChild(container);
+
+    // <text> that couldn't be outlined is invisible to everything path-based
+    for (const el of svgClone.querySelectorAll("text")) {
+      if (isDefinitionContent(el) || !el.hasAttribute("data-missing-font")) continue;
+      unresolvedText.push({ fontFamily: el.getAttribute("data-missing-font"), text: el.textContent.replace(/\s+/g, " ").trim() });
+    }
+  });
+
+  // Net area: a compound subpath loses the holes nested directly inside it, and holes paint nothing
+  const compounds = new Map();
+  for (const path of paths.values()) {
+    if (path.subpathIndex === null) continue;
+    const group = path.el.parentNode;
+    if (!compounds.has(group)) compounds.set(group, []);
+    compounds.get(group).push(path);
+  }
+  for (const members of compounds.values()) {
+    for (const path of members) {
+      if (path.isHole) {
+        path.netArea = 0;
+        continue;
+      }
+      const holes = members.filter((m) => m.isHole && m.containerSubpathIndex === path.subpathIndex);
+      path.netArea = Math.max(0, path.area - holes.reduce((sum, h) => sum + h.area, 0));
+    }
   }
 
   const paintsMap = deduplicatePaints(allPaints);
-  const paintGroups = groupPaints(paintsMap);
+  const paintGroups = groupPaints(paintsMap, undefined, { gradientThreshold });
+
+  // Point paths at the deduplicated paints, so fillPaint.id joins to paint group members
+  for (const path of paths.values()) {
+    path.fillPaint = paintsMap.get(paintKey(path.fillPaint));
+    path.strokePaint = paintsMap.get(paintKey(path.strokePaint)) ?? path.strokePaint; // "none" strokes aren't collected
+  }
+  const bindings = bindPaints(paths, paintGroups);
 
-  return { paths, paints: paintsMap, bindings, paintGroups, viewBox };
+  return { paths, paints: paintsMap, bindings, paintGroups, viewBox, unresolvedText };
 }
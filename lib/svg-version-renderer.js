@@ -1,11 +1,15 @@
 // SVG version renderer: remap fills based on paint mapping
 
-import { parseColor, rgbToLab, deltaE, isWhiteLike, rgbToHex } from "./color-utils";
+import { parseColor, parseOpacity, rgbToLab, deltaE, isWhiteLike, rgbToHex } from "./color-utils";
+import { parseSvgElement, serializeSvg } from "./svg-dom";
+import { effectiveAlpha, inkKey } from "./svg-registry";
 
-const FILLABLE_TAGS = new Set(["path", "polygon", "rect", "circle", "ellipse", "polyline"]);
+const OPACITY_ATTRS = ["opacity", "fill-opacity", "stroke-opacity"];
 
-function getElementFillHex(el) {
-  const raw = el.getAttribute("fill");
+const FILLABLE_TAGS = new Set(["path", "polygon", "rect", "circle", "ellipse", "polyline", "text", "tspan"]);
+
+function getElementFillHex(el, attr = "fill") {
+  const raw = el.getAttribute(attr);
   if (!raw || raw === "none") return null;
   if (raw.startsWith("url(")) return null; // gradient ref
   const rgba = parseColor(raw);
@@ -13,8 +17,8 @@ function getElementFillHex(el) {
   return rgbToHex(rgba);
 }
 
-function getGradientDominantColor(el, svgDoc) {
-  const raw = el.getAttribute("fill");
+function getGradientDominantColor(el, svgDoc, attr = "fill") {
+  const raw = el.getAttribute(attr);
   if (!raw || !raw.startsWith("url(")) return null;
 
   const match = raw.match(/url\(\s*#([^)]+)\s*\)/);
@@ -32,6 +36,67 @@ function getGradientDominantColor(el, svgDoc) {
   return rgbToHex(rgba);
 }
 
+// Strokes are outlined into fill shapes for analysis, so their colors sit in the same
+// paint groups as fills — remap them through the same mapping
+function remapStroke(el, paintMapping, registries, includeGradients, svgDoc, flattened) {
+  const isGradient = (el.getAttribute("stroke") || "").startsWith("url(");
+  if (isGradient && includeGradients) return;
+
+  const hex = isGradient ? getGradientDominantColor(el, svgDoc, "stroke") : getElementFillHex(el, "stroke");
+  if (!hex || isWhiteLike(parseColor(hex))) return;
+
+  const groupId = findNearestGroupId(hex, registries);
+  if (!groupId) return;
+  const { hex: targetHex, byInk } = targetFor(el, "stroke", groupId, paintMapping);
+  if (!targetHex) return;
+  setSolidPaint(el, "stroke", targetHex);
+  if (byInk) flattened.add(el);
+}
+
+// Mapped color for this element's ink — translucent ink may have its own entry (`byInk`),
+// which is already the opaque color it showed as
+function targetFor(el, attr, groupId, paintMapping) {
+  const key = inkKey(groupId, effectiveAlpha(el, attr));
+  if (key !== groupId && paintMapping.has(key)) return { hex: paintMapping.get(key), byInk: true };
+  return { hex: paintMapping.get(groupId), byInk: false };
+}
+
+// Drop the opacity that made flattened ink translucent — on the element and on every group
+// above it. Whatever else sat under such a group (white-like ink, which isn't remapped) keeps
+// its translucency: the group's opacity moves down onto it.
+function dropFlattenedOpacity(svg, flattened) {
+  const onPath = new Set();
+  for (const el of flattened) for (let p = el; p && p.nodeType === 1 && !onPath.has(p); p = p.parentNode) onPath.add(p);
+
+  const visit = (el, carried) => {
+    if (!onPath.has(el)) {
+      if (carried < 1) el.setAttribute("opacity", String(+(parseOpacity(el.getAttribute("opacity")) * carried).toFixed(3)));
+      return;
+    }
+    const opacity = parseOpacity(el.getAttribute("opacity"));
+    const inheritable = ["fill-opacity", "stroke-opacity"].filter((name) => el.getAttribute(name));
+    const values = inheritable.map((name) => el.getAttribute(name));
+    for (const name of OPACITY_ATTRS) el.removeAttribute(name);
+    const isFlat = flattened.has(el);
+
+    for (const child of el.children) {
+      if (!isFlat) inheritable.forEach((name, i) => child.getAttribute(name) || child.setAttribute(name, values[i]));
+      visit(child, isFlat ? 1 : carried * opacity);
+    }
+  };
+  visit(svg, 1);
+}
+
+// Replace a paint with an opaque hex; alpha carried by the old color moves to *-opacity
+function setSolidPaint(el, attr, hex) {
+  const raw = el.getAttribute(attr) || "";
+  const colorAlpha = raw.startsWith("url(") ? 1 : parseColor(raw).a;
+  if (colorAlpha < 1) {
+    el.setAttribute(`${attr}-opacity`, String(+(colorAlpha * parseOpacity(el.getAttribute(`${attr}-opacity`))).toFixed(3)));
+  }
+  el.setAttribute(attr, hex);
+}
+
 function findNearestGroupId(hex, registries) {
   const lab = rgbToLab(parseColor(hex));
   let bestDist = Infinity;
@@ -54,18 +119,26 @@ function findNearestGroupId(hex, registries) {
   return bestGroupId;
 }
 
-export function renderVersionSvg(svgSource, paintMapping, registries, report, includeGradients) {
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(svgSource, "image/svg+xml");
-  const svg = doc.querySelector("svg");
-  if (!svg) return svgSource;
+// flattenTranslucency: the mapping already holds the opaque colors translucent ink shows as,
+// so opacity is dropped wherever ink was remapped by its ink key
+export function renderVersionSvg(svgSource, paintMapping, registries, report, includeGradients, { flattenTranslucency = false } = {}) {
+  let svg;
+  try {
+    svg = parseSvgElement(svgSource);
+  } catch {
+    return svgSource;
+  }
+  const doc = svg.ownerDocument;
 
   const decisions = report.decisions || [];
   const bgIds = new Set(decisions.filter((d) => d.action === "background_delete").map((d) => d.originalId));
   const counterIds = new Set(decisions.filter((d) => d.action === "counter_hole").map((d) => d.originalId));
+  const flattened = new Set();
 
   // Walk all fillable elements
   const walk = (el) => {
+    // Strokes are set on groups as often as on shapes
+    if (el.getAttribute?.("stroke")) remapStroke(el, paintMapping, registries, includeGradients, doc, flattened);
     if (FILLABLE_TAGS.has(el.tagName?.toLowerCase())) {
       const elId = el.getAttribute("id") || "";
 
@@ -102,7 +175,7 @@ export function renderVersionSvg(svgSource, paintMapping, registries, report, in
       if (!groupId) return;
 
       // Look up target color
-      const targetHex = paintMapping.get(groupId);
+      const { hex: targetHex, byInk } = targetFor(el, "fill", groupId, paintMapping);
       if (!targetHex || targetHex === "none") {
         el.setAttribute("fill", "none");
         return;
@@ -114,7 +187,8 @@ export function renderVersionSvg(svgSource, paintMapping, registries, report, in
       }
 
       // Apply solid fill
-      el.setAttribute("fill", targetHex);
+      setSolidPaint(el, "fill", targetHex);
+      if (byInk) flattened.add(el);
     }
 
     if (el.children) {
@@ -126,6 +200,8 @@ export function renderVersionSvg(svgSource, paintMapping, registries, report, in
 
   walk(svg);
 
+  if (flattenTranslucency) dropFlattenedOpacity(svg, flattened);
+
   // Remove gradient defs if not including gradients
   if (!includeGradients) {
     const defs = svg.querySelector("defs");
@@ -141,5 +217,5 @@ export function renderVersionSvg(svgSource, paintMapping, registries, report, in
     }
   }
 
-  return new XMLSerializer().serializeToString(svg);
+  return serializeSvg(svg);
 }
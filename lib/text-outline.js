@@ -0,0 +1,297 @@
+// Outline <text> into paths with real glyph shapes, so wordmarks take part in the registry,
+// clustering and version rendering like any other shape.
+//
+// Fonts come in as "faces" — { family, weight, italic, font } with `font` from parseFont —
+// from @font-face data URIs in the SVG or a local fonts directory. Text whose font can't be
+// resolved is left as <text> and tagged data-missing-font="<family>".
+
+import { parseFont } from "./font-parser";
+import { SVG_NS } from "./svg-dom";
+
+const GENERIC_FAMILIES = new Set(["serif", "sans-serif", "monospace", "cursive", "fantasy", "system-ui", "ui-serif", "ui-sans-serif", "ui-monospace", "ui-rounded", "emoji", "math", "fangsong"]);
+
+// Positioning and font attributes consumed by layout — the outlines don't carry them
+const TEXT_ATTRS = new Set([
+  "x", "y", "dx", "dy", "rotate", "textLength", "lengthAdjust", "text-anchor", "font-family", "font-size",
+  "font-weight", "font-style", "font-variant", "font-stretch", "letter-spacing", "word-spacing", "xml:space",
+  "dominant-baseline", "alignment-baseline", "baseline-shift", "writing-mode", "direction",
+]);
+
+const PAINT_PROPS = [
+  "fill", "fill-opacity", "fill-rule", "stroke", "stroke-width", "stroke-opacity", "stroke-linecap",
+  "stroke-linejoin", "stroke-miterlimit", "stroke-dasharray", "stroke-dashoffset", "paint-order",
+];
+
+// ─── Faces ───
+
+export function parseFontWeight(value) {
+  const v = String(value ?? "").trim().toLowerCase();
+  if (v === "bold" || v === "bolder") return 700;
+  if (v === "lighter") return 300;
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) ? n : 400;
+}
+
+// Font bytes + optional @font-face descriptors → face (throws on unreadable fonts)
+export function loadFontFace(bytes, { family, weight, style } = {}) {
+  const font = parseFont(bytes);
+  return {
+    family: (family || font.family).trim(),
+    weight: weight != null ? parseFontWeight(weight) : font.weight,
+    italic: style != null ? /italic|oblique/i.test(style) : font.italic,
+    font,
+  };
+}
+
+// data: URI → Uint8Array, or null for anything else
+export function decodeDataUri(uri) {
+  const m = String(uri).match(/^data:([^,]*),(.*)$/s);
+  if (!m) return null;
+  if (/;base64$/i.test(m[1])) {
+    const bin = atob(m[2].replace(/\s+/g, ""));
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
+  }
+  return new TextEncoder().encode(decodeURIComponent(m[2]));
+}
+
+// "Brand Sans", 'Other', sans-serif → ["Brand Sans", "Other", "sans-serif"]
+export function parseFontFamilies(value) {
+  return String(value || "")
+    .split(",")
+    .map((f) => f.trim().replace(/^(['"])(.*)\1$/, "$2").trim())
+    .filter(Boolean);
+}
+
+function matchFace(faces, families, weight, italic) {
+  for (const family of families) {
+    const key = family.toLowerCase();
+    if (GENERIC_FAMILIES.has(key)) continue;
+    const candidates = faces.filter((f) => f.family.toLowerCase() === key);
+    if (candidates.length === 0) continue;
+    return candidates.reduce((best, f) => {
+      const score = (f.italic === italic ? 0 : 1000) + Math.abs(f.weight - weight);
+      return score < best.score ? { face: f, score } : best;
+    }, { face: null, score: Infinity }).face;
+  }
+  return null;
+}
+
+// Font families used by <text> in `svg` (for fetching only the fonts that are needed)
+export function textFontFamilies(svg) {
+  const families = new Set();
+  for (const el of svg.querySelectorAll("text, tspan")) {
+    for (const f of parseFontFamilies(inheritedAttr(el, "font-family"))) {
+      if (!GENERIC_FAMILIES.has(f.toLowerCase())) families.add(f);
+    }
+  }
+  return [...families];
+}
+
+// ─── Layout ───
+
+function inheritedAttr(el, name) {
+  for (let p = el; p && p.nodeType === 1; p = p.parentNode) {
+    const v = p.getAttribute(name);
+    if (v != null && v !== "" && v !== "inherit") return v;
+  }
+  return null;
+}
+
+// font-size in user units; em / % resolve against the parent's size
+function fontSizeOf(el) {
+  const raw = (el.getAttribute("font-size") || "").trim().toLowerCase();
+  const parent = el.parentNode && el.parentNode.nodeType === 1 ? fontSizeOf(el.parentNode) : 16;
+  if (!raw || raw === "inherit") return parent;
+  const v = parseFloat(raw);
+  if (!Number.isFinite(v)) return parent;
+  if (raw.endsWith("em")) return v * parent;
+  if (raw.endsWith("%")) return (v / 100) * parent;
+  if (raw.endsWith("pt")) return (v * 4) / 3;
+  return v;
+}
+
+function lengthList(el, name) {
+  return (el.getAttribute(name) || "").trim().split(/[\s,]+/).filter(Boolean).map(parseFloat);
+}
+
+// <text> → characters in document order with their owning element, after SVG's default
+// whitespace handling (newlines dropped, tabs → spaces, runs collapsed, ends trimmed)
+function collectCharacters(textEl) {
+  const chars = [];
+  const walk = (node, owner) => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === 3 || child.nodeType === 4) {
+        for (const ch of child.textContent) chars.push({ ch, owner });
+      } else if (child.nodeType === 1 && child.tagName.toLowerCase() === "tspan") {
+        walk(child, child);
+      }
+    }
+  };
+  walk(textEl, textEl);
+
+  if (inheritedAttr(textEl, "xml:space") === "preserve") {
+    return chars.map((c) => ({ ...c, ch: /[\n\r\t]/.test(c.ch) ? " " : c.ch }));
+  }
+  const out = [];
+  for (const c of chars) {
+    if (c.ch === "\n" || c.ch === "\r") continue;
+    const ch = c.ch === "\t" ? " " : c.ch;
+    if (ch === " " && (out.length === 0 || out[out.length - 1].ch === " ")) continue;
+    out.push({ ...c, ch });
+  }
+  while (out.length > 0 && out[out.length - 1].ch === " ") out.pop();
+  return out;
+}
+
+// x / y / dx / dy lists apply to an element's characters in order; outer elements go first
+// so values on inner <tspan>s win
+function assignPositions(textEl, chars) {
+  const elements = [textEl, ...textEl.querySelectorAll("tspan")].sort((a, b) => depthOf(a) - depthOf(b));
+  for (const el of elements) {
+    const own = chars.filter((c) => isWithin(c.owner, el));
+    for (const name of ["x", "y", "dx", "dy"]) {
+      lengthList(el, name).forEach((v, i) => {
+        if (i < own.length && Number.isFinite(v)) own[i][name] = v;
+      });
+    }
+  }
+}
+
+function isWithin(el, ancestor) {
+  for (let p = el; p; p = p.parentNode) if (p === ancestor) return true;
+  return false;
+}
+
+function depthOf(el) {
+  let depth = 0;
+  for (let p = el; p; p = p.parentNode) depth++;
+  return depth;
+}
+
+// Glyph outline → absolute path data at (x, y) in user space
+function glyphData(face, gid, x, y, scale) {
+  const parts = [];
+  for (const { type, args } of face.font.glyphPath(gid)) {
+    const pts = [];
+    for (let i = 0; i < args.length; i += 2) pts.push(+(x + args[i] * scale).toFixed(3), +(y - args[i + 1] * scale).toFixed(3));
+    parts.push(type + " " + pts.join(" "));
+  }
+  return parts.join(" ");
+}
+
+// → { runs: [{ owner, d }] } or { missing: "<font-family>" }
+function layoutText(textEl, faces) {
+  const chars = collectCharacters(textEl);
+  assignPositions(textEl, chars);
+
+  // Resolve each owner's font once
+  const styles = new Map();
+  for (const { owner } of chars) {
+    if (styles.has(owner)) continue;
+    const familyValue = inheritedAttr(owner, "font-family") || "";
+    const face = matchFace(faces, parseFontFamilies(familyValue), parseFontWeight(inheritedAttr(owner, "font-weight")), /italic|oblique/i.test(inheritedAttr(owner, "font-style") || ""));
+    if (!face) return { missing: parseFontFamilies(familyValue)[0] || "(default)" };
+    styles.set(owner, {
+      face,
+      size: fontSizeOf(owner),
+      letterSpacing: parseFloat(inheritedAttr(owner, "letter-spacing")) || 0,
+      wordSpacing: parseFloat(inheritedAttr(owner, "word-spacing")) || 0,
+      anchor: inheritedAttr(owner, "text-anchor") || "start",
+    });
+  }
+
+  // Pen positions; a new chunk starts at every absolute x / y
+  const placed = [];
+  const chunks = [];
+  let penX = 0, penY = 0, prev = null;
+  for (const c of chars) {
+    const style = styles.get(c.owner);
+    const { face, size } = style;
+    const scale = size / face.font.unitsPerEm;
+    const gid = face.font.glyphIndex(c.ch.codePointAt(0));
+
+    if (c.x !== undefined || c.y !== undefined || chunks.length === 0) {
+      chunks.push({ start: placed.length, anchor: style.anchor });
+      prev = null;
+    }
+    if (c.x !== undefined) penX = c.x;
+    if (c.y !== undefined) penY = c.y;
+    penX += c.dx || 0;
+    penY += c.dy || 0;
+    if (prev && prev.face === face) penX += face.font.kerning(prev.gid, gid) * scale;
+
+    placed.push({ owner: c.owner, face, gid, x: penX, y: penY, scale });
+    penX += face.font.advanceWidth(gid) * scale + style.letterSpacing + (c.ch === " " ? style.wordSpacing : 0);
+    prev = { face, gid };
+    chunks[chunks.length - 1].end = penX;
+  }
+
+  // text-anchor shifts each chunk by its advance
+  chunks.forEach((chunk, i) => {
+    const stop = i + 1 < chunks.length ? chunks[i + 1].start : placed.length;
+    if (chunk.anchor === "start" || stop === chunk.start) return;
+    const width = chunk.end - placed[chunk.start].x;
+    const shift = chunk.anchor === "middle" ? -width / 2 : chunk.anchor === "end" ? -width : 0;
+    for (let k = chunk.start; k < stop; k++) placed[k].x += shift;
+  });
+
+  // Consecutive glyphs of one element → one run
+  const runs = [];
+  for (const g of placed) {
+    const d = glyphData(g.face, g.gid, g.x, g.y, g.scale);
+    const last = runs[runs.length - 1];
+    if (last && last.owner === g.owner) {
+      if (d) last.d += (last.d ? " " : "") + d;
+    } else {
+      runs.push({ owner: g.owner, d });
+    }
+  }
+  return { runs: runs.filter((r) => r.d) };
+}
+
+// Fill / stroke of a run: the <text>'s, overridden by its <tspan>'s
+function runPaint(textEl, owner, path) {
+  for (const el of owner === textEl ? [textEl] : [textEl, owner]) {
+    for (const prop of PAINT_PROPS) {
+      const v = el.getAttribute(prop);
+      if (v != null) path.setAttribute(prop, v);
+    }
+  }
+}
+
+// ─── Main ───
+
+// Replace every <text> the faces can render with a <g> (the text's transform, opacity, clip…)
+// of outline paths — one per run of characters from the same element, carrying its paint
+export function convertTextToPaths(svg, faces = []) {
+  const doc = svg.ownerDocument;
+  for (const textEl of [...svg.querySelectorAll("text")]) {
+    const layout = layoutText(textEl, faces);
+    if (layout.missing) {
+      textEl.setAttribute("data-missing-font", layout.missing);
+      continue;
+    }
+
+    const group = doc.createElementNS(SVG_NS, "g");
+    for (const attr of [...textEl.attributes]) {
+      if (!TEXT_ATTRS.has(attr.name) && !PAINT_PROPS.includes(attr.name) && attr.name !== "id") group.setAttribute(attr.name, attr.value);
+    }
+    group.setAttribute("data-original-tag", "text");
+    group.setAttribute("data-text", textEl.textContent.replace(/\s+/g, " ").trim());
+
+    const baseId = textEl.getAttribute("id");
+    let ownRuns = 0;
+    for (const { owner, d } of layout.runs) {
+      const path = doc.createElementNS(SVG_NS, "path");
+      runPaint(textEl, owner, path);
+      const id = owner === textEl ? baseId && (ownRuns++ === 0 ? baseId : `${baseId}_${ownRuns}`) : owner.getAttribute("id");
+      if (id) path.setAttribute("id", id);
+      path.setAttribute("d", d);
+      path.setAttribute("data-original-tag", "text");
+      group.appendChild(path);
+    }
+    textEl.parentNode.replaceChild(group, textEl);
+  }
+}
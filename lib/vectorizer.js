@@ -0,0 +1,132 @@
+// Raster → SVG vectorization: Vectorizer.ai with the built-in tracer as offline fallback
+
+import { decodePng, isPng } from "./png-decode";
+import { traceImage } from "./raster-vectorizer";
+
+export const ENGINES = ["auto", "remote", "local"];
+
+// ─── Vectorizer options from extra form fields ───
+
+const DEFAULT_PARAMS = { "processing.max_colors": "0", "output.size.scale": "1" };
+
+const OPTION_ALIASES = {
+  maxColors: "processing.max_colors",
+  scale: "output.size.scale",
+};
+
+const CURVE_TYPES = {
+  quadratic: "output.curves.allowed.quadratic_bezier",
+  cubic: "output.curves.allowed.cubic_bezier",
+  circular_arc: "output.curves.allowed.circular_arc",
+  elliptical_arc: "output.curves.allowed.elliptical_arc",
+};
+
+// Vectorizer.ai parameter namespaces forwarded verbatim
+const PASSTHROUGH = /^(processing|output|input)\.[a-z0-9_.]+$|^mode$/;
+
+function badOption(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+export function buildVectorizerParams(fields = {}) {
+  const params = { ...DEFAULT_PARAMS };
+
+  for (const [name, raw] of Object.entries(fields)) {
+    const value = String(raw).trim();
+    if (name === "curveTypes") {
+      const wanted = value.split(/[\s,]+/).filter(Boolean);
+      const unknown = wanted.filter((w) => !CURVE_TYPES[w]);
+      if (unknown.length) throw badOption(`Unknown curve type "${unknown[0]}" (expected ${Object.keys(CURVE_TYPES).join(", ")})`);
+      for (const [type, param] of Object.entries(CURVE_TYPES)) params[param] = String(wanted.includes(type));
+      continue;
+    }
+    const param = OPTION_ALIASES[name] || (PASSTHROUGH.test(name) ? name : null);
+    if (!param) continue;
+    if (value.length > 200) throw badOption(`Option "${name}" is too long`);
+    params[param] = value;
+  }
+
+  const maxColors = Number(params["processing.max_colors"]);
+  if (!Number.isInteger(maxColors) || maxColors < 0 || maxColors > 256)
+    throw badOption("maxColors must be an integer from 0 to 256");
+  const scale = Number(params["output.size.scale"]);
+  if (!(scale > 0 && scale <= 100)) throw badOption("scale must be a number greater than 0 and at most 100");
+
+  return params;
+}
+
+// Built-in tracer — flat-color PNGs only; honors max colors, scale and cubic curves
+function vectorizeLocally(fileBuffer, params) {
+  if (!isPng(fileBuffer)) {
+    const err = new Error("Offline vectorizer only supports PNG input");
+    err.status = 415;
+    throw err;
+  }
+  const maxColors = Number(params["processing.max_colors"]);
+  return traceImage(decodePng(fileBuffer), {
+    ...(maxColors > 0 ? { maxColors } : {}),
+    outputScale: Number(params["output.size.scale"]),
+    curves: params[CURVE_TYPES.cubic] !== "false",
+  });
+}
+
+async function vectorizeRemotely(fileBuffer, fileName, fileMime, params, id, secret) {
+  const form = new FormData();
+  const blob = new Blob([fileBuffer], { type: fileMime });
+  form.append("image", blob, fileName);
+  for (const [name, value] of Object.entries(params)) form.append(name, value);
+
+  const creds = Buffer.from(id + ":" + secret).toString("base64");
+
+  const response = await fetch("https://vectorizer.ai/api/v1/vectorize", {
+    method: "POST",
+    headers: { Authorization: "Basic " + creds },
+    body: form,
+  });
+
+  if (!response.ok) {
+    const errText = await response.text();
+    const err = new Error("Vectorizer.ai: " + (errText || response.statusText));
+    err.status = response.status;
+    throw err;
+  }
+  return response.text();
+}
+
+// ─── Engine selection ───
+
+// engine "remote" | "local" | "auto" (remote, falling back to local for PNG) → { svg, engine, fallback }
+export async function vectorizeImage(file, { engine = "auto", params = DEFAULT_PARAMS, env = process.env } = {}) {
+  const id = env.VECTORIZER_AI_ID;
+  const secret = env.VECTORIZER_AI_SECRET;
+  const hasCreds = Boolean(id && secret);
+
+  if (engine === "local") return { svg: vectorizeLocally(file.data, params), engine: "local", fallback: null };
+  // The offline tracer only reads PNG — for anything else, the remote's failure is the real error
+  const canFallBack = engine === "auto" && isPng(file.data);
+  if (!hasCreds) {
+    if (!canFallBack) {
+      const err = new Error(
+        engine === "remote" ? "Vectorizer credentials not configured" : "Vectorizer credentials not configured (the offline tracer only handles PNG)"
+      );
+      err.status = 500;
+      throw err;
+    }
+    return { svg: vectorizeLocally(file.data, params), engine: "local", fallback: "Vectorizer credentials not configured" };
+  }
+
+  try {
+    const svg = await vectorizeRemotely(file.data, file.filename, file.mimeType, params, id, secret);
+    return { svg, engine: "vectorizer.ai", fallback: null };
+  } catch (e) {
+    if (!canFallBack) throw e;
+    try {
+      return { svg: vectorizeLocally(file.data, params), engine: "local", fallback: e.message };
+    } catch (localErr) {
+      localErr.message = `${e.message}; offline fallback: ${localErr.message}`;
+      throw localErr;
+    }
+  }
+}
@@ -1,53 +1,53 @@
 // Version engine: ink profiling, version recommendation, palette extraction, paint mapping
 
-import { isWhiteLike, rgbToLab, deltaE, rgbToHex } from "./color-utils";
+import { isWhiteLike, rgbToLab, deltaE, rgbToHex, compositeOver } from "./color-utils";
+import { alphaBucket, inkKey, visibleBindings } from "./svg-registry";
 import { renderVersionSvg } from "./svg-version-renderer";
 
 // ─── Ink profiling ───
 
-export function computeInkProfile(registries, report) {
-  const { paths, paints, paintGroups } = registries;
-  const decisions = report.decisions || [];
-
-  // Build set of pathIds classified as background/counter
-  const excludedPathIds = new Set();
-  for (const d of decisions) {
-    if (d.action === "background_delete" || d.action === "counter_hole") {
-      excludedPathIds.add(d.pathId);
-    }
+function excludedPathIdsOf(report) {
+  const excluded = new Set();
+  for (const d of report.decisions || []) {
+    if (d.action === "background_delete" || d.action === "counter_hole") excluded.add(d.pathId);
   }
+  return excluded;
+}
 
-  // Check if a paint group's members are ALL excluded paths
-  function isGroupExcluded(group) {
-    // Find which paths use paints in this group
-    for (const memberId of group.members) {
-      // Find paths that use this paint
-      for (const [, path] of paths) {
-        if (path.fillPaint?.id === memberId && !excludedPathIds.has(path.id)) {
-          return false; // At least one path using this paint is NOT excluded
-        }
-      }
-    }
-    return true;
-  }
+// What translucent ink shows through: the detected background plate if solid, else white
+function backgroundRgb(registries, report) {
+  const paint = registries.paths.get(report.backgroundPlateId)?.fillPaint;
+  return paint?.type === "solid" ? paint.rgba : { r: 255, g: 255, b: 255, a: 1 };
+}
 
-  // Compute area per paint group
-  function groupArea(group) {
-    let total = 0;
-    for (const memberId of group.members) {
-      for (const [, path] of paths) {
-        if (path.fillPaint?.id === memberId && !excludedPathIds.has(path.id)) {
-          total += path.area;
-        }
-      }
-    }
-    return total;
+// Visible area per paint group and effective alpha: groupId → Map(inkKey → { alpha, area, roles }).
+// A 30% black overlay is a different ink from black at full strength; fills and strokes of
+// one color are the same ink.
+function inkBuckets(registries, excludedPathIds) {
+  const byGroup = new Map();
+  for (const binding of visibleBindings(registries, excludedPathIds)) {
+    const alpha = alphaBucket(binding.alpha ?? 1);
+    if (alpha === 0) continue;
+
+    if (!byGroup.has(binding.groupId)) byGroup.set(binding.groupId, new Map());
+    const buckets = byGroup.get(binding.groupId);
+    const key = inkKey(binding.groupId, alpha);
+    const bucket = buckets.get(key) || { alpha, area: 0, roles: [] };
+    bucket.area += binding.area;
+    if (!bucket.roles.includes(binding.role)) bucket.roles.push(binding.role);
+    buckets.set(key, bucket);
   }
+  return byGroup;
+}
+
+export function computeInkProfile(registries, report) {
+  const buckets = inkBuckets(registries, excludedPathIdsOf(report));
+  const background = backgroundRgb(registries, report);
 
   const inkColors = [];
   let gradientPresent = false;
 
-  for (const group of paintGroups) {
+  for (const group of registries.paintGroups) {
     const rep = group.representative;
     if (!rep) continue;
 
@@ -58,22 +58,29 @@ export function computeInkProfile(registries, report) {
     if (rep.type === "solid" && rep.rgba && isWhiteLike(rep.rgba)) continue;
 
     // Skip if all paths in this group are excluded
-    if (isGroupExcluded(group)) continue;
-
-    // Check for gradients
-    if (rep.type === "linear" || rep.type === "radial") {
-      gradientPresent = true;
+    if (!buckets.has(group.id)) continue;
+
+    const isGradient = rep.type === "linear" || rep.type === "radial";
+    const rgba = rep.rgba || { r: 0, g: 0, b: 0, a: 1 };
+
+    for (const [key, { alpha, area, roles }] of buckets.get(group.id)) {
+      // Faint enough to vanish into the background
+      if (alpha < 1 && rep.type === "solid" && isWhiteLike(compositeOver(rgba, alpha, background))) continue;
+      if (isGradient) gradientPresent = true;
+
+      inkColors.push({
+        key,
+        groupId: group.id,
+        paint: rep,
+        hex: rep.hex || rgbToHex(rgba),
+        lab: rep.lab || rgbToLab(rgba),
+        alpha,
+        area,
+        roles,
+        isGradient,
+        stops: rep.stops || null,
+      });
     }
-
-    inkColors.push({
-      groupId: group.id,
-      paint: rep,
-      hex: rep.hex || (rep.rgba ? rgbToHex(rep.rgba) : "#000000"),
-      lab: rep.lab || (rep.rgba ? rgbToLab(rep.rgba) : { L: 0, a: 0, b: 0 }),
-      area: groupArea(group),
-      isGradient: rep.type === "linear" || rep.type === "radial",
-      stops: rep.stops || null,
-    });
   }
 
   // Sort by area (largest first)
@@ -82,17 +89,30 @@ export function computeInkProfile(registries, report) {
   return {
     inkColors,
     gradientPresent,
-    inkCount: inkColors.length,
+    inkCount: new Set(inkColors.map((c) => c.groupId)).size,
+    background,
   };
 }
 
+// Color an ink is matched by. Flattening versions treat translucent ink as the opaque color
+// it shows over the background; the others keep it as its own color, alpha left in place.
+function inkColorOf(ink, flatten, background) {
+  const rgb = ink.paint?.rgba || { r: 0, g: 0, b: 0, a: 1 };
+  if (!flatten || ink.alpha >= 1) return { hex: ink.hex, lab: ink.lab, rgb };
+  const flat = compositeOver(rgb, ink.alpha, background);
+  return { hex: rgbToHex(flat), lab: rgbToLab(flat), rgb: flat };
+}
+
 // ─── Version recommendation ───
 
+// translucency: "keep" leaves opacity in place; "flatten" bakes translucent ink into the opaque
+// color it shows over the background, which then competes for a palette slot. A 1-color
+// version keeps it — a tint of its one ink, rather than a gray snapped to full strength.
 const VERSION_SPECS = {
-  v_full: { id: "v_full", label: "Full Color", maxColors: Infinity, includeGradients: true },
-  v_3to5: { id: "v_3to5", label: "3-5 Color", maxColors: 5, includeGradients: false },
-  v_2: { id: "v_2", label: "2 Color", maxColors: 2, includeGradients: false },
-  v_1: { id: "v_1", label: "1 Color", maxColors: 1, includeGradients: false },
+  v_full: { id: "v_full", label: "Full Color", maxColors: Infinity, includeGradients: true, translucency: "keep" },
+  v_3to5: { id: "v_3to5", label: "3-5 Color", maxColors: 5, includeGradients: false, translucency: "flatten" },
+  v_2: { id: "v_2", label: "2 Color", maxColors: 2, includeGradients: false, translucency: "flatten" },
+  v_1: { id: "v_1", label: "1 Color", maxColors: 1, includeGradients: false, translucency: "keep" },
 };
 
 export function recommendVersions(/* inkProfile */) {
@@ -102,20 +122,22 @@ export function recommendVersions(/* inkProfile */) {
 
 // ─── Palette extraction (greedy deltaE merge) ───
 
-export function extractPalette(inkProfile, maxColors) {
-  const { inkColors } = inkProfile;
+export function extractPalette(inkProfile, maxColors, { flatten = false } = {}) {
+  const { inkColors, background } = inkProfile;
   if (inkColors.length === 0) return [];
-  if (inkColors.length <= maxColors) {
-    return inkColors.map((c) => ({ hex: c.hex, lab: c.lab, area: c.area }));
-  }
 
-  // Clone for merging
-  let palette = inkColors.map((c) => ({
-    hex: c.hex,
-    lab: { ...c.lab },
-    area: c.area,
-    rgb: c.paint?.rgba || { r: 0, g: 0, b: 0, a: 1 },
-  }));
+  // One entry per distinct color — kept translucent inks share their group's color
+  const byHex = new Map();
+  for (const c of inkColors) {
+    const { hex, lab, rgb } = inkColorOf(c, flatten, background);
+    const entry = byHex.get(hex);
+    if (entry) entry.area += c.area;
+    else byHex.set(hex, { hex, lab: { ...lab }, area: c.area, rgb });
+  }
+  let palette = [...byHex.values()];
+  if (palette.length <= maxColors) {
+    return palette.map((p) => ({ hex: p.hex, lab: p.lab, area: p.area }));
+  }
 
   while (palette.length > maxColors) {
     // Find closest pair
@@ -161,17 +183,24 @@ export function extractPalette(inkProfile, maxColors) {
 
 // ─── Paint mapping ───
 
-export function buildPaintMapping(inkProfile, palette, registries, report) {
-  const mapping = new Map(); // groupId → targetHex
-  const decisions = report.decisions || [];
+function nearestPaletteHex(lab, palette) {
+  let bestDist = Infinity;
+  let bestHex = palette[0]?.hex || "#000000";
 
-  // Build excluded set
-  const excludedPathIds = new Set();
-  for (const d of decisions) {
-    if (d.action === "background_delete" || d.action === "counter_hole") {
-      excludedPathIds.add(d.pathId);
+  for (const p of palette) {
+    const d = deltaE(lab, p.lab);
+    if (d < bestDist) {
+      bestDist = d;
+      bestHex = p.hex;
     }
   }
+  return bestHex;
+}
+
+// groupId → targetHex, plus inkKey → targetHex for translucent ink when flattening (the
+// renderer falls back to the group's entry for any key not listed)
+export function buildPaintMapping(inkProfile, palette, registries, report, { flatten = false } = {}) {
+  const mapping = new Map();
 
   for (const group of registries.paintGroups) {
     const rep = group.representative;
@@ -190,18 +219,20 @@ export function buildPaintMapping(inkProfile, palette, registries, report) {
 
     // Find nearest palette color
     const repLab = rep.lab || (rep.rgba ? rgbToLab(rep.rgba) : { L: 0, a: 0, b: 0 });
-    let bestDist = Infinity;
-    let bestHex = palette[0]?.hex || "#000000";
-
-    for (const p of palette) {
-      const d = deltaE(repLab, p.lab);
-      if (d < bestDist) {
-        bestDist = d;
-        bestHex = p.hex;
+    mapping.set(group.id, nearestPaletteHex(repLab, palette));
+  }
+
+  if (flatten) {
+    const background = inkProfile.background || { r: 255, g: 255, b: 255, a: 1 };
+    for (const [groupId, buckets] of inkBuckets(registries, excludedPathIdsOf(report))) {
+      const rep = registries.paintGroups.find((g) => g.id === groupId)?.representative;
+      if (!rep?.rgba || mapping.get(groupId) === "#ffffff") continue;
+      for (const [key, { alpha }] of buckets) {
+        if (alpha >= 1) continue;
+        const flat = compositeOver(rep.rgba, alpha, background);
+        mapping.set(key, isWhiteLike(flat) ? "#ffffff" : nearestPaletteHex(rgbToLab(flat), palette));
       }
     }
-
-    mapping.set(group.id, bestHex);
   }
 
   return mapping;
@@ -220,12 +251,13 @@ export function generateAllVersions(registries, report, svgSource) {
   for (const spec of versionSpecs) {
     // Full Color version = the original colorized SVG, untouched
     if (spec.id === "v_full") {
-      const fullPalette = inkProfile.inkColors.map((c) => ({ hex: c.hex, lab: c.lab, area: c.area }));
+      const fullPalette = extractPalette(inkProfile, Infinity);
       results.push({
         id: spec.id,
         label: spec.label,
         maxColors: spec.maxColors,
         includeGradients: true,
+        translucency: spec.translucency,
         palette: fullPalette.map((p) => p.hex),
         svgString: svgSource,
         mapping: null,
@@ -233,15 +265,17 @@ export function generateAllVersions(registries, report, svgSource) {
       continue;
     }
 
-    const palette = extractPalette(inkProfile, spec.maxColors);
-    const paintMapping = buildPaintMapping(inkProfile, palette, registries, report);
+    const flatten = spec.translucency === "flatten";
+    const palette = extractPalette(inkProfile, spec.maxColors, { flatten });
+    const paintMapping = buildPaintMapping(inkProfile, palette, registries, report, { flatten });
 
     const svgString = renderVersionSvg(
       svgSource,
       paintMapping,
       registries,
       report,
-      spec.includeGradients
+      spec.includeGradients,
+      { flattenTranslucency: flatten }
     );
 
     results.push({
@@ -249,6 +283,7 @@ export function generateAllVersions(registries, report, svgSource) {
       label: spec.label,
       maxColors: spec.maxColors,
       includeGradients: spec.includeGradients,
+      translucency: spec.translucency,
       palette: palette.map((p) => p.hex),
       svgString,
       mapping: paintMapping,
@@ -257,3 +292,28 @@ export function generateAllVersions(registries, report, svgSource) {
 
   return results;
 }
+
+// Versions straight from the SVG's fill attributes when the analysis engine produced none
+export function generateFallbackVersions(svg, svgString) {
+  // Extract unique non-white fill colors from the SVG
+  const colorSet = new Set();
+  const els = svg.querySelectorAll("path, polygon, rect, circle, ellipse, polyline");
+  els.forEach((el) => {
+    const f = el.getAttribute("fill");
+    if (f && f !== "none" && !f.startsWith("url(") && !/^#f{3,6}$/i.test(f) && !/^white$/i.test(f)) {
+      colorSet.add(f.toLowerCase());
+    }
+  });
+  const allColors = [...colorSet];
+  // Build versions by simple color reduction
+  const makeVersion = (id, label, maxC) => {
+    const palette = allColors.slice(0, maxC);
+    return { id, label, maxColors: maxC, includeGradients: id === "v_full", palette: id === "v_full" ? allColors : palette, svgString, mapping: null };
+  };
+  return [
+    makeVersion("v_full", "Full Color", Infinity),
+    makeVersion("v_3to5", "3-5 Color", 5),
+    makeVersion("v_2", "2 Color", 2),
+    makeVersion("v_1", "1 Color", 1),
+  ];
+}
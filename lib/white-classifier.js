@@ -53,7 +53,7 @@ export function detectBackgroundPlate(paths, paints, viewBox) {
   let bestScore = 0;
 
   for (const [id, path] of paths) {
-    const ratio = areaRatio(path.bbox, viewBox);
+    const ratio = areaRatio(path.area, viewBox);
     if (ratio < 0.7) continue;
 
     const fill = path.fillPaint;
@@ -146,7 +146,7 @@ export function classifyWhiteShape(pathId, paths, paints, graph, viewBox, backgr
   }
 
   // Rule 2: Large area + bottom layer + touches edges = background
-  const ratio = areaRatio(path.bbox, viewBox);
+  const ratio = areaRatio(path.area, viewBox);
   const edges = touchesViewBoxEdge(path.bbox, viewBox);
   if (ratio > 0.85 && path.zIndex <= 2 && edges.any) {
     return {
@@ -161,12 +161,21 @@ export function classifyWhiteShape(pathId, paths, paints, graph, viewBox, backgr
     const parentId = path.compoundParent;
     reasons.push(`subpath of compound "${parentId}"`);
 
-    // If the parent subpath is non-white, this is likely a counter/hole
+    // Normalization worked out winding and nesting — holes are known, not guessed
+    if (path.isHole) {
+      return {
+        classification: "counter_hole",
+        confidence: 0.95,
+        reasons: [...reasons, `unpainted under ${path.fillRule}`, `inside subpath ${path.containerSubpathIndex}`],
+      };
+    }
+
+    // Without that (older registries), a non-white sibling makes this likely a counter/hole
     const siblings = [...paths.values()].filter(
       (p) => p.compoundParent === path.compoundParent && p.id !== pathId
     );
     const nonWhiteSiblings = siblings.filter((s) => !isPathWhiteFilled(s));
-    if (nonWhiteSiblings.length > 0) {
+    if (!path.winding && nonWhiteSiblings.length > 0) {
       return {
         classification: "counter_hole",
         confidence: 0.85,
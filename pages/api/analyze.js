@@ -1,83 +1,66 @@
-export const config = { api: { bodyParser: { sizeLimit: "10mb" } } };
-
-const PROMPT = `You are an expert brand identity analyst. You will receive a logo image and SVG shape data.
-
-Return EXACT JSON (no code fences, no commentary) with these keys:
-
-1) "description": A single compelling paragraph (2-3 sentences) describing this logo — what it depicts, its visual character, and what kind of brand it suggests. Write it like a designer presenting to a client.
-
-2) "complexity": "Basic" or "Complex"
-
-3) "category": "Typographic Logos" | "Simple Graphic Logos" | "Complex Graphic Logos" | "Combination"
+import { getResponseSchema } from "../../lib/gpt-schemas";
+import { getProvider, completeJson } from "../../lib/llm-provider";
+import { ResponseValidationError } from "../../lib/json-schema";
+import { ANALYSIS_PROMPT } from "../../lib/prompts";
+import { analyzeCacheKey } from "../../lib/cache-key";
+import { getResultCache, wantsCacheBypass, withResultCache } from "../../lib/result-cache";
 
-4) "layout": "Horizontal" | "Vertical" | "Square-ish" | "Unknown"
-
-5) "nestedElements": true or false
-
-6) "colors": array of hex colors detected in the design
-
-7) "mood": a short phrase for the color/design mood (e.g. "bold and corporate", "warm and friendly")
+export const config = { api: { bodyParser: { sizeLimit: "10mb" } } };
 
-8) "gradientSuggestion": {
-  "recommended": true/false,
-  "type": "linear" or "radial",
-  "startColor": hex,
-  "endColor": hex,
-  "angle": 0-360,
-  "reason": one sentence why
+// Collect images from `images: [{ base64, mimeType }]` and/or the numbered
+// imageBase64 / imageBase64_2 / imageBase64_3… fields (with mimeType, mimeType2…)
+function collectImages(body) {
+  const images = [];
+  if (Array.isArray(body.images)) {
+    for (const img of body.images) {
+      if (img?.base64) images.push({ base64: img.base64, mimeType: img.mimeType || "image/png" });
+    }
+  }
+  if (body.imageBase64) images.push({ base64: body.imageBase64, mimeType: body.mimeType || "image/png" });
+  for (let n = 2; body["imageBase64_" + n]; n++) {
+    images.push({ base64: body["imageBase64_" + n], mimeType: body["mimeType" + n] || "image/png" });
+  }
+  return images;
 }
 
-Return EXACT JSON only.`;
-
+// GET → { provider, model } answering POSTs, which the page puts in its browser cache key
+// POST { images | imageBase64…, customPrompt?, schema?, shapeData? } → the schema's JSON response
 export default async function handler(req, res) {
-  if (req.method !== "POST") return res.status(405).json({ error: "POST only" });
-
-  const { imageBase64, shapeData } = req.body;
-  if (!imageBase64) return res.status(400).json({ error: "No image provided" });
-
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) return res.status(500).json({ error: "OPENAI_API_KEY not configured" });
+  if (req.method === "GET") {
+    try {
+      const { name, model } = getProvider();
+      res.setHeader("Cache-Control", "no-store");
+      return res.status(200).json({ provider: name, model });
+    } catch (e) {
+      return res.status(e.status || 500).json({ error: e.message });
+    }
+  }
+  if (req.method !== "POST") return res.status(405).json({ error: "GET or POST only" });
 
-  try {
-    const response = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: "Bearer " + apiKey,
-      },
-      body: JSON.stringify({
-        model: "gpt-5.2",
-        max_tokens: 1024,
-        messages: [
-          {
-            role: "user",
-            content: [
-              {
-                type: "image_url",
-                image_url: { url: "data:image/png;base64," + imageBase64, detail: "low" },
-              },
-              {
-                type: "text",
-                text: PROMPT + (shapeData ? "\n\nShape data:\n" + shapeData : ""),
-              },
-            ],
-          },
-        ],
-      }),
-    });
+  const { shapeData, customPrompt } = req.body;
+  const images = collectImages(req.body);
+  if (images.length === 0) return res.status(400).json({ error: "No image provided" });
 
-    if (!response.ok) {
-      const err = await response.text();
-      return res.status(response.status).json({ error: err });
-    }
+  // Default analysis prompt uses the "analysis" schema; custom prompts must name theirs
+  const schemaName = req.body.schema || (customPrompt ? null : "analysis");
+  const schema = schemaName ? getResponseSchema(schemaName) : null;
+  if (schemaName && !schema) return res.status(400).json({ error: `Unknown schema "${schemaName}"` });
 
-    const data = await response.json();
-    const text = data.choices?.[0]?.message?.content || "";
-    const match = text.match(/\{[\s\S]*\}/);
-    if (!match) return res.status(500).json({ error: "No JSON in response" });
+  const fullPrompt = (customPrompt || ANALYSIS_PROMPT) + (shapeData ? "\n\nShape data:\n" + shapeData : "");
 
-    return res.status(200).json(JSON.parse(match[0]));
+  try {
+    const provider = getProvider();
+    // Same images + prompt + schema on the same model → same answer; skip the paid call
+    const key = await analyzeCacheKey(provider, schemaName, fullPrompt, images);
+    const { value, status } = await withResultCache(getResultCache(), key, { bypass: wantsCacheBypass(req) }, () =>
+      completeJson(provider, { prompt: fullPrompt, images, schemaName, schema })
+    );
+    res.setHeader("X-Result-Cache", status);
+    return res.status(200).json(value);
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    if (e instanceof ResponseValidationError) {
+      return res.status(422).json({ error: e.message, code: e.code, schema: schemaName, issues: e.issues });
+    }
+    return res.status(e.status || 500).json({ error: e.message });
   }
 }
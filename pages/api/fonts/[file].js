@@ -0,0 +1,17 @@
+import { readLocalFont } from "../../../lib/local-fonts";
+
+const CONTENT_TYPES = { ttf: "font/ttf", otf: "font/otf", woff: "font/woff", ttc: "font/collection" };
+
+// GET → one font file from the local fonts directory
+export default function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).json({ error: "GET only" });
+  try {
+    const { file } = req.query;
+    const data = readLocalFont(file);
+    res.setHeader("Content-Type", CONTENT_TYPES[file.split(".").pop().toLowerCase()] || "application/octet-stream");
+    res.setHeader("Cache-Control", "public, max-age=3600");
+    return res.status(200).send(data);
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message });
+  }
+}
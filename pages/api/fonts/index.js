@@ -0,0 +1,11 @@
+import { listLocalFonts } from "../../../lib/local-fonts";
+
+// GET → fonts available in the local fonts directory, for outlining <text> in the browser
+export default function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).json({ error: "GET only" });
+  try {
+    return res.status(200).json({ fonts: listLocalFonts() });
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message });
+  }
+}
@@ -0,0 +1,21 @@
+import { getJob, resumeJob, publicJob } from "../../../lib/jobs";
+
+// GET → job status and per-step progress; the result once the job is ready or failed
+// POST { step? } → resume a failed or interrupted job (from `step`, or the first unfinished one)
+export default async function handler(req, res) {
+  const { id } = req.query;
+
+  try {
+    if (req.method === "GET") {
+      res.setHeader("Cache-Control", "no-store");
+      return res.status(200).json(publicJob(await getJob(id)));
+    }
+    if (req.method === "POST") {
+      const job = await resumeJob(id, { step: req.body?.step || req.query.step });
+      return res.status(202).json(publicJob(job));
+    }
+    return res.status(405).json({ error: "GET or POST only" });
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message });
+  }
+}
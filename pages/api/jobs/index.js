@@ -0,0 +1,27 @@
+import { parseMultipart } from "../../../lib/multipart";
+import { pipelineRequestOptions } from "../../../lib/pipeline-request";
+import { createJob, publicJob } from "../../../lib/jobs";
+
+export const config = { api: { bodyParser: false } };
+
+const MAX_UPLOAD_BYTES = parseInt(process.env.VECTORIZE_MAX_BYTES, 10) || 10 * 1024 * 1024;
+
+// POST multipart "image" (+ optional engine / gradientThreshold / vectorizer option fields) → 202 with the queued job;
+// poll GET /api/jobs/:id for progress. `X-Cache-Bypass: 1` / `?cache=bypass` skips result-cache lookups.
+export default async function handler(req, res) {
+  if (req.method !== "POST") return res.status(405).json({ error: "POST only" });
+
+  try {
+    const { fields, files } = await parseMultipart(req, { maxBytes: MAX_UPLOAD_BYTES });
+
+    const file = files.find((f) => f.fieldName === "image") || files[0];
+    if (!file || file.data.length === 0)
+      return res.status(400).json({ error: "No file found in upload" });
+
+    const job = await createJob(file, pipelineRequestOptions(req, fields));
+    res.setHeader("Location", `/api/jobs/${job.id}`);
+    return res.status(202).json(publicJob(job));
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message });
+  }
+}
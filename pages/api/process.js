@@ -0,0 +1,27 @@
+import { parseMultipart } from "../../lib/multipart";
+import { pipelineRequestOptions } from "../../lib/pipeline-request";
+import { processLogo } from "../../lib/pipeline";
+
+export const config = { api: { bodyParser: false } };
+
+const MAX_UPLOAD_BYTES = parseInt(process.env.VECTORIZE_MAX_BYTES, 10) || 10 * 1024 * 1024;
+
+// POST multipart "image" (PNG/JPEG/… or SVG) + optional vectorizer option fields → one JSON result.
+// An optional `gradientThreshold` field (ΔE) sets how close gradients must be to share a paint group.
+// Paid steps use the result cache; `X-Cache-Bypass: 1` / `?cache=bypass` skips lookups.
+export default async function handler(req, res) {
+  if (req.method !== "POST") return res.status(405).json({ error: "POST only" });
+
+  try {
+    const { fields, files } = await parseMultipart(req, { maxBytes: MAX_UPLOAD_BYTES });
+
+    const file = files.find((f) => f.fieldName === "image") || files[0];
+    if (!file || file.data.length === 0)
+      return res.status(400).json({ error: "No file found in upload" });
+
+    const result = await processLogo(file, pipelineRequestOptions(req, fields));
+    return res.status(200).json(result);
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message });
+  }
+}
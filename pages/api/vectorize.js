@@ -1,81 +1,60 @@
+import { parseMultipart } from "../../lib/multipart";
+import { sniffImageType } from "../../lib/image-type";
+import { ENGINES, buildVectorizerParams, vectorizeImage } from "../../lib/vectorizer";
+import { vectorizeCacheKey } from "../../lib/cache-key";
+import { getResultCache, wantsCacheBypass, withResultCache } from "../../lib/result-cache";
+
 export const config = { api: { bodyParser: false } };
 
+const MAX_UPLOAD_BYTES = parseInt(process.env.VECTORIZE_MAX_BYTES, 10) || 10 * 1024 * 1024;
+
+function sendSvg(res, svg, engine, fallbackReason) {
+  res.setHeader("Content-Type", "image/svg+xml");
+  res.setHeader("X-Vectorizer-Engine", engine);
+  if (fallbackReason) res.setHeader("X-Vectorizer-Fallback", fallbackReason.slice(0, 200).replace(/[^\x20-\x7e]/g, " "));
+  return res.status(200).send(svg);
+}
+
 export default async function handler(req, res) {
   if (req.method !== "POST") return res.status(405).json({ error: "POST only" });
 
-  const id = process.env.VECTORIZER_AI_ID;
-  const secret = process.env.VECTORIZER_AI_SECRET;
-  if (!id || !secret)
+  // ?engine=remote|local|auto (default VECTORIZER_ENGINE or "auto": remote, falling back to local)
+  const engine = String(req.query?.engine || process.env.VECTORIZER_ENGINE || "auto").toLowerCase();
+  if (!ENGINES.includes(engine))
+    return res.status(400).json({ error: `Unknown engine "${engine}" (expected ${ENGINES.join(", ")})` });
+
+  const hasCreds = Boolean(process.env.VECTORIZER_AI_ID && process.env.VECTORIZER_AI_SECRET);
+  if (engine === "remote" && !hasCreds)
     return res.status(500).json({ error: "Vectorizer credentials not configured" });
 
   try {
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const rawBody = Buffer.concat(chunks);
-
-    const contentType = req.headers["content-type"] || "";
-    const boundaryMatch = contentType.match(/boundary=(.+)/);
-    if (!boundaryMatch)
-      return res.status(400).json({ error: "Missing multipart boundary" });
-
-    const boundary = boundaryMatch[1];
-    const bodyStr = rawBody.toString("binary");
-    const parts = bodyStr.split("--" + boundary);
-
-    let fileBuffer = null;
-    let fileName = "image.png";
-    let fileMime = "image/png";
-
-    for (const part of parts) {
-      if (!part.includes("Content-Disposition")) continue;
-      const headerEndIdx = part.indexOf("\r\n\r\n");
-      if (headerEndIdx === -1) continue;
+    const { fields, files } = await parseMultipart(req, { maxBytes: MAX_UPLOAD_BYTES });
 
-      const headers = part.slice(0, headerEndIdx);
-      const fnMatch = headers.match(/filename="([^"]+)"/);
-      const ctMatch = headers.match(/Content-Type:\s*(\S+)/i);
-
-      if (fnMatch) {
-        fileName = fnMatch[1];
-        if (ctMatch) fileMime = ctMatch[1].trim();
-
-        const dataStart = headerEndIdx + 4;
-        let dataEnd = part.length;
-        if (part.endsWith("\r\n")) dataEnd -= 2;
-
-        fileBuffer = Buffer.from(part.slice(dataStart, dataEnd), "binary");
-        break;
-      }
-    }
-
-    if (!fileBuffer)
+    const file = files.find((f) => f.fieldName === "image") || files[0];
+    if (!file || file.data.length === 0)
       return res.status(400).json({ error: "No file found in upload" });
 
-    const form = new FormData();
-    const blob = new Blob([fileBuffer], { type: fileMime });
-    form.append("image", blob, fileName);
-    form.append("processing.max_colors", "0");
-    form.append("output.size.scale", "1");
-
-    const creds = Buffer.from(id + ":" + secret).toString("base64");
-
-    const response = await fetch("https://vectorizer.ai/api/v1/vectorize", {
-      method: "POST",
-      headers: { Authorization: "Basic " + creds },
-      body: form,
-    });
-
-    if (!response.ok) {
-      const errText = await response.text();
-      return res.status(response.status).json({
-        error: "Vectorizer.ai: " + (errText || response.statusText),
-      });
-    }
-
-    const svg = await response.text();
-    res.setHeader("Content-Type", "image/svg+xml");
-    return res.status(200).send(svg);
+    // Trust the bytes, not the declared Content-Type
+    const sniffed = sniffImageType(file.data);
+    if (!sniffed)
+      return res.status(415).json({ error: `Unsupported image type${file.mimeType ? ` (declared ${file.mimeType})` : ""}` });
+
+    const params = buildVectorizerParams(fields);
+    // Results that fell back to the offline tracer aren't cached, so the next run retries the remote
+    const key = await vectorizeCacheKey(engine, params, file.data);
+    const { value: result, status } = await withResultCache(
+      getResultCache(),
+      key,
+      { bypass: wantsCacheBypass(req), shouldStore: (r) => !r.fallback },
+      () =>
+        vectorizeImage(
+          { data: file.data, filename: file.filename || "image." + sniffed.ext, mimeType: sniffed.mime },
+          { engine, params }
+        )
+    );
+    res.setHeader("X-Result-Cache", status);
+    return sendSvg(res, result.svg, result.engine, result.fallback);
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    return res.status(e.status || 500).json({ error: e.message });
   }
 }
@@ -1,13 +1,17 @@
 import { useState, useRef, useCallback, useEffect, useMemo } from "react";
 import Head from "next/head";
-import { normalizeSvg } from "../lib/svg-normalize";
+import { normalizeSvgWithInventory, applyStylesheets } from "../lib/svg-normalize";
 import { buildRegistries } from "../lib/svg-registry";
 import { classifyWhiteRegions } from "../lib/white-classifier";
 import { clusterShapes } from "../lib/cluster";
 import { generateReport, reportToPromptHints } from "../lib/analysis-report";
-import { generateAllVersions } from "../lib/version-engine";
+import { generateAllVersions, generateFallbackVersions } from "../lib/version-engine";
+import { buildColorizePrompt, buildValidatePrompt } from "../lib/prompts";
+import { discoverShapes as discoverSvgShapes, formatShapeList, applyColorAssignments } from "../lib/colorize";
+import { cacheKey } from "../lib/cache-key";
+import { idbGet, idbSet } from "../lib/idb-cache";
+import { textFontFamilies, loadFontFace } from "../lib/text-outline";
 
-const FILLABLE = new Set(["path", "polygon", "rect", "circle", "ellipse", "polyline"]);
 
 function hex2rgb(h) {
   h = h.replace("#", "");
@@ -117,6 +121,112 @@ function downloadFile(name, data, mime) {
   URL.revokeObjectURL(url);
 }
 
+const VERSION_FILE_NAMES = {
+  v_full: "full-color",
+  v_3to5: "3-5-color",
+  v_2: "2-color",
+  v_1: "1-color",
+};
+
+// What the page asks /api/vectorize for: the server's default engine and vectorizer options.
+// The browser cache key covers it, so asking for something else misses instead of returning
+// an SVG traced with other settings.
+const VECTORIZE_REQUEST = { engine: null, options: {} };
+
+// ΔE within which two gradients count as the same brand gradient and share a paint group —
+// used by the page's own analysis and sent with batch jobs so both group alike
+const GRADIENT_THRESHOLD = 12;
+
+/* ────────────────────── Batch helpers ────────────────────── */
+const BATCH_CONCURRENCY = 3;
+const JOB_POLL_MS = 2000;
+
+// Run worker(item, index) over items with at most `limit` in flight
+async function runPool(items, limit, worker) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      await worker(items[i], i);
+    }
+  });
+  await Promise.all(lanes);
+}
+
+// Resolve after `ms`, or reject with the signal's reason as soon as it aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Start a server-side job for one file and poll it to completion; onUpdate(job) on every poll.
+// Aborting `signal` stops polling (the server-side run carries on).
+async function runLogoJob(file, onUpdate, { bypassCache = false, signal } = {}) {
+  const form = new FormData();
+  form.append("image", file);
+  form.append("gradientThreshold", String(GRADIENT_THRESHOLD));
+  const resp = await fetch("/api/jobs", { method: "POST", body: form, headers: bypassCache ? { "X-Cache-Bypass": "1" } : {}, signal });
+  let job = await resp.json().catch(() => ({}));
+  if (!resp.ok) throw new Error(job.error || "Upload failed (" + resp.status + ")");
+  onUpdate(job);
+
+  while (job.status === "queued" || job.status === "running") {
+    await sleep(JOB_POLL_MS, signal);
+    const poll = await fetch("/api/jobs/" + job.id, { signal });
+    const next = await poll.json().catch(() => ({}));
+    if (!poll.ok) throw new Error(next.error || "Job status failed (" + poll.status + ")");
+    job = next;
+    onUpdate(job);
+  }
+  if (job.status === "failed") throw new Error(job.error || "Job failed");
+  return job;
+}
+
+// Provider and model behind /api/analyze — part of the browser cache key, so changing
+// LLM_PROVIDER or LLM_MODEL doesn't keep serving the old one's answers. null when unknown.
+async function fetchLlmIdentity() {
+  try {
+    const resp = await fetch("/api/analyze");
+    return resp.ok ? await resp.json() : null;
+  } catch {
+    return null;
+  }
+}
+
+/* ────────────────────── Local fonts ────────────────────── */
+// Faces from the server's fonts directory for the families the SVG's <text> asks for.
+// Best effort — text whose font isn't found stays live and is flagged in the report;
+// fetch failures go to onWarning(message).
+async function fetchLocalFontFaces(svg, onWarning) {
+  const wanted = new Set(textFontFamilies(svg).map((f) => f.toLowerCase()));
+  if (wanted.size === 0) return [];
+  try {
+    const resp = await fetch("/api/fonts");
+    if (!resp.ok) throw new Error("font list failed (" + resp.status + ")");
+    const { fonts } = await resp.json();
+    const faces = [];
+    for (const entry of fonts.filter((f) => wanted.has(f.family.toLowerCase()))) {
+      const fontResp = await fetch("/api/fonts/" + encodeURIComponent(entry.file));
+      if (fontResp.ok) faces.push(loadFontFace(new Uint8Array(await fontResp.arrayBuffer())));
+      else onWarning(`Local font ${entry.file} unavailable (${fontResp.status})`);
+    }
+    return faces;
+  } catch (e) {
+    onWarning(`Local fonts unavailable — ${e.message}`);
+    return [];
+  }
+}
+
 function fileToBase64(file) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
@@ -721,6 +831,9 @@ export default function Home() {
   const [showGptDebug, setShowGptDebug] = useState(false);
   const [fileMeta, setFileMeta] = useState(null);
   const [debugTick, setDebugTick] = useState(0); // forces re-render of debug panel
+  const [batch, setBatch] = useState(null); // [{ name, status, step, score, versions, approvals, error }] in batch mode
+  const batchAbortRef = useRef(null); // AbortController of the current batch run — aborted on start over or a new batch
+  const [bypassCache, setBypassCache] = useState(false); // skip browser + server result caches (fresh results are still stored)
 
   // Debug bundle — mutable ref captures everything during pipeline without batching issues
   const debugRef = useRef({ events: [], uploadedFile: null, uploadedFileName: null, uploadedFileSize: null, uploadedMime: null, vectorizerSvg: null, finalSvg: null, originalB64: null, originalMime: null });
@@ -768,34 +881,36 @@ export default function Home() {
   );
 
   /* ─── Walk SVG and discover fillable shapes ─── */
-  const discoverShapes = useCallback((svg) => {
-    const found = [];
-    let si = 0;
-    const walk = (el) => {
-      if (FILLABLE.has(el.tagName?.toLowerCase())) {
-        const f = el.getAttribute("fill");
-        if (f === "none") return;
-        const computed = f || window.getComputedStyle(el).fill || "#000";
-        const parsedFill = computed.startsWith("rgb")
-          ? "#" + [...computed.matchAll(/\d+/g)].map((m) => (+m[0]).toString(16).padStart(2, "0")).join("")
-          : computed;
-        if (!el.id) el.id = "s" + si;
-        found.push({ id: el.id, tag: el.tagName, fill: parsedFill || "#000" });
-        si++;
-      }
-      if (el.children) [...el.children].forEach(walk);
-    };
-    walk(svg);
-    return found;
-  }, []);
+  const discoverShapes = useCallback(
+    (svg) => discoverSvgShapes(svg, (el) => window.getComputedStyle(el).fill),
+    []
+  );
+
+  /* ─── Helper: log result-cache status from the X-Result-Cache header ─── */
+  const logCacheStatus = useCallback((label, status) => {
+    if (status === "hit") addLog(`Cache hit (server) — ${label}`);
+    else if (status === "miss") addLog(`Cache miss — ${label}`);
+    else if (status === "bypass") addLog(`Cache bypassed — ${label}`);
+  }, [addLog]);
 
   /* ─── Helper: call GPT analyze endpoint ─── */
   const callGPT = useCallback(async (body) => {
+    const label = body.schema || "analysis";
+    const llm = await fetchLlmIdentity();
+    const key = llm && (await cacheKey("analyze", llm.provider, llm.model, body));
+    if (!bypassCache) {
+      const cached = await idbGet(key);
+      if (cached) {
+        addLog(`Cache hit (browser) — ${label}`);
+        return cached;
+      }
+    }
+
     const ac = new AbortController();
     const at = setTimeout(() => ac.abort(), 65000);
     const resp = await fetch("/api/analyze", {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: { "Content-Type": "application/json", ...(bypassCache ? { "X-Cache-Bypass": "1" } : {}) },
       body: JSON.stringify(body),
       signal: ac.signal,
     });
@@ -804,45 +919,25 @@ export default function Home() {
       const errBody = await resp.json().catch(() => ({}));
       const detail = typeof errBody.error === "string" ? errBody.error.slice(0, 200) : JSON.stringify(errBody).slice(0, 200);
       addLog(`GPT error detail: ${detail}`);
-      captureDebug("error", "GPT API Error", { status: resp.status, detail });
-      throw new Error("GPT request failed (" + resp.status + ")");
-    }
-    return resp.json();
-  }, [addLog, captureDebug]);
-
-  /* ─── Helper: create SVG gradient element ─── */
-  const createSvgGradient = useCallback((svg, grad, gid) => {
-    let defs = svg.querySelector("defs");
-    if (!defs) {
-      defs = document.createElementNS("http://www.w3.org/2000/svg", "defs");
-      svg.prepend(defs);
-    }
-    const ns = "http://www.w3.org/2000/svg";
-    let g;
-    if (grad.type === "radial") {
-      g = document.createElementNS(ns, "radialGradient");
-      g.setAttribute("cx", "50%");
-      g.setAttribute("cy", "50%");
-      g.setAttribute("r", "50%");
-    } else {
-      g = document.createElementNS(ns, "linearGradient");
-      const r = ((grad.angle || 135) * Math.PI) / 180;
-      g.setAttribute("x1", 50 - Math.cos(r) * 50 + "%");
-      g.setAttribute("y1", 50 - Math.sin(r) * 50 + "%");
-      g.setAttribute("x2", 50 + Math.cos(r) * 50 + "%");
-      g.setAttribute("y2", 50 + Math.sin(r) * 50 + "%");
+      const issues = Array.isArray(errBody.issues) ? errBody.issues : [];
+      if (issues.length > 0) {
+        addLog(`GPT response failed "${errBody.schema || "?"}" schema: ${issues.slice(0, 5).map((i) => `${i.path || "(root)"} ${i.message}`).join("; ")}`);
+      }
+      captureDebug("error", "GPT API Error", { status: resp.status, detail, code: errBody.code || null, issues });
+      const err = new Error(
+        errBody.code
+          ? `GPT ${errBody.code === "invalid_json" ? "returned invalid JSON" : "response failed validation"} (${resp.status}): ${detail}`
+          : "GPT request failed (" + resp.status + ")"
+      );
+      err.code = errBody.code || null;
+      err.issues = issues;
+      throw err;
     }
-    g.setAttribute("id", gid);
-    g.setAttribute("gradientUnits", "objectBoundingBox");
-    (grad.stops || []).forEach((stop) => {
-      const st = document.createElementNS(ns, "stop");
-      st.setAttribute("offset", stop.offset || "0%");
-      st.setAttribute("stop-color", stop.color || "#000");
-      g.appendChild(st);
-    });
-    defs.appendChild(g);
-    return "url(#" + gid + ")";
-  }, []);
+    logCacheStatus(label, resp.headers.get("X-Result-Cache"));
+    const data = await resp.json();
+    await idbSet(key, data);
+    return data;
+  }, [addLog, captureDebug, bypassCache, logCacheStatus]);
 
   /* ─── Full pipeline ─── */
   const processFile = useCallback(
@@ -939,6 +1034,7 @@ export default function Home() {
           imageBase64: originalB64,
           mimeType: originalMime,
           shapeData: shapeInfo,
+          schema: "analysis",
         });
         setAnalysis(analysisData);
         addGptResponse("Step 1: Analysis", analysisData, "Analyze this logo image: describe it, identify colors, gradients, complexity, layout, category, and mood.");
@@ -965,26 +1061,42 @@ export default function Home() {
       // ════════════════════════════════════════════════
       if (!isSvg) {
         setStep("vectorizing");
-        addLog("Sending to Vectorizer.ai API…");
         try {
-          const form = new FormData();
-          form.append("image", file);
-          const controller = new AbortController();
-          const timeout = setTimeout(() => controller.abort(), 65000);
-          const resp = await fetch("/api/vectorize", {
-            method: "POST",
-            body: form,
-            signal: controller.signal,
-          });
-          clearTimeout(timeout);
-          addLog(`Vectorizer responded: HTTP ${resp.status}`);
-          if (!resp.ok) {
-            const errBody = await resp.text().catch(() => "");
-            throw new Error("Vectorization failed (" + resp.status + "): " + errBody);
+          const vecKey = await cacheKey("vectorize", VECTORIZE_REQUEST, new Uint8Array(await file.arrayBuffer()));
+          const cachedVec = bypassCache ? null : await idbGet(vecKey);
+          if (cachedVec) {
+            svgText = cachedVec.svg;
+            addLog(`Cache hit (browser) — vectorizer (${cachedVec.engine || "unknown engine"})`);
+            captureDebug("vectorizer", "Vectorizer Response (cached)", { engine: cachedVec.engine, sizeKB: (svgText.length / 1024).toFixed(1), svgPreview: svgText.slice(0, 500) + "…" });
+          } else {
+            addLog("Sending to vectorizer…");
+            const form = new FormData();
+            form.append("image", file);
+            for (const [name, value] of Object.entries(VECTORIZE_REQUEST.options)) form.append(name, value);
+            const controller = new AbortController();
+            const timeout = setTimeout(() => controller.abort(), 65000);
+            const resp = await fetch(VECTORIZE_REQUEST.engine ? `/api/vectorize?engine=${VECTORIZE_REQUEST.engine}` : "/api/vectorize", {
+              method: "POST",
+              body: form,
+              headers: bypassCache ? { "X-Cache-Bypass": "1" } : {},
+              signal: controller.signal,
+            });
+            clearTimeout(timeout);
+            const vecEngine = resp.headers.get("X-Vectorizer-Engine");
+            const vecFallback = resp.headers.get("X-Vectorizer-Fallback");
+            addLog(`Vectorizer responded: HTTP ${resp.status}${vecEngine ? ` (${vecEngine})` : ""}`);
+            if (vecFallback) addLog(`Vectorizer.ai unavailable — used offline tracer (${vecFallback})`);
+            if (!resp.ok) {
+              const errBody = await resp.text().catch(() => "");
+              throw new Error("Vectorization failed (" + resp.status + "): " + errBody);
+            }
+            svgText = await resp.text();
+            logCacheStatus("vectorizer", resp.headers.get("X-Result-Cache"));
+            // Offline-tracer fallbacks aren't cached, so the next run retries vectorizer.ai
+            if (!vecFallback) await idbSet(vecKey, { svg: svgText, engine: vecEngine });
+            captureDebug("vectorizer", "Vectorizer Response", { status: resp.status, engine: vecEngine, fallback: vecFallback, sizeKB: (svgText.length / 1024).toFixed(1), svgPreview: svgText.slice(0, 500) + "…" });
           }
-          svgText = await resp.text();
           debugRef.current.vectorizerSvg = svgText;
-          captureDebug("vectorizer", "Vectorizer.ai Response", { status: resp.status, sizeKB: (svgText.length / 1024).toFixed(1), svgPreview: svgText.slice(0, 500) + "…" });
           addLog(`Vectorization complete (${(svgText.length / 1024).toFixed(1)} KB SVG)`);
         } catch (e) {
           if (timerRef.current) clearInterval(timerRef.current);
@@ -1004,6 +1116,8 @@ export default function Home() {
       // STEP 3: Label all paths in the single-color SVG
       // ════════════════════════════════════════════════
       const svg = svgRef.current?.querySelector("svg");
+      // Class and <style> fills become attributes, which colorizing and versioning can rewrite
+      if (svg) applyStylesheets(svg);
       const found = svg ? discoverShapes(svg) : [];
       setShapes(found);
       setSel(new Set());
@@ -1033,10 +1147,11 @@ export default function Home() {
       try {
         if (svg) {
           addLog("Running deterministic structural analysis…");
-          const normalizedSvg = normalizeSvg(svg);
-          addLog("SVG normalized (use refs expanded, primitives→paths, transforms flattened)");
+          const fonts = await fetchLocalFontFaces(svg, (message) => addLog(`WARNING: ${message}`));
+          const { svg: normalizedSvg, features } = normalizeSvgWithInventory(svg, { fonts });
+          addLog("SVG normalized (use refs expanded, text outlined, primitives→paths, transforms flattened)");
 
-          const registries = buildRegistries(normalizedSvg);
+          const registries = buildRegistries(normalizedSvg, { gradientThreshold: GRADIENT_THRESHOLD });
           registriesRef.current = registries;
           addLog(`Registry built: ${registries.paths.size} paths, ${registries.paints.size} paints, ${registries.paintGroups.length} paint groups`);
 
@@ -1046,13 +1161,20 @@ export default function Home() {
           const clusters = clusterShapes(registries.paths, registries.paints, registries.viewBox, analysisData);
           addLog(`Shape clusters: ${clusters.length} (${clusters.filter(c => c.type === "icon").length} icon, ${clusters.filter(c => c.type === "wordmark").length} wordmark)`);
 
-          const report = generateReport(registries, whiteResults, clusters);
+          const report = generateReport(registries, whiteResults, clusters, features);
           localReport = report;
           setAnalysisReport(report);
           structuralHints = reportToPromptHints(report);
           structuralHintsRef.current = structuralHints;
           captureDebug("analysis", "Structural Analysis Report", { summary: report.summary, hints: structuralHints });
           addLog(`Analysis report generated — ${report.summary.pathCount} paths analyzed`);
+          for (const flag of report.flags.filter((f) => f.type === "missing_font")) {
+            addLog(`WARNING: Font "${flag.fontFamily}" not available — text ${flag.texts.map((t) => `"${t}"`).join(", ")} left unoutlined`);
+          }
+          if (report.summary.maskedPathCount > 0) {
+            addLog(`WARNING: ${report.summary.maskedPathCount} shapes are under masks that couldn't be flattened — colors may need review`);
+          }
+          for (const warning of report.summary.warnings) addLog(`WARNING: ${warning}`);
         }
       } catch (e) {
         console.error("Structural analysis failed:", e);
@@ -1066,50 +1188,23 @@ export default function Home() {
       if (svg && found.length > 0 && originalB64) {
         addLog("Sending labeled paths + original image to GPT for colorization…");
         try {
-          const shapeList = found
-            .map((s) => `${s.id}: <${s.tag}> (currently fill="${s.fill}")`)
-            .join("\n");
-
-          const colorizePrompt = `You are given the original logo image and a list of labeled SVG paths from vectorization. The vectorizer returned single-color outlines. Each path has a unique ID label.
-
-Your task: look at the original logo image and assign the correct fill color or gradient to each labeled path so the SVG recreates the original logo's appearance as closely as possible.
-
-Consider each path's spatial position in the image — which region of the original logo does it correspond to? Match colors accordingly: text shapes get text colors, icon shapes get icon colors, background shapes get background colors, etc. If the original has gradients, assign gradient fills to the appropriate paths.
+          const shapeList = formatShapeList(found);
 
-Labeled paths:
-${shapeList}
-${structuralHints ? "\n" + structuralHints + "\n" : ""}
-Return EXACT JSON (no code fences) with key "assignments": an array where each entry has:
-- "shapeId": the path ID label (e.g. "s0", "s1")
-- "fill": hex color string (e.g. "#253854") for solid fills
-- "gradient": null for solid fills, OR { "type": "linear"|"radial", "angle": 0-360, "stops": [{"offset":"0%","color":"#hex"},{"offset":"100%","color":"#hex"}] } for gradient fills
-
-Every labeled path MUST have an assignment. Return EXACT JSON only.`;
+          const colorizePrompt = buildColorizePrompt(shapeList, structuralHints);
 
           captureDebug("gpt_request", "Step 4: Colorize — Request", { promptLength: colorizePrompt.length, promptPreview: colorizePrompt.slice(0, 300) + "…", shapeCount: found.length });
           const colorData = await callGPT({
             imageBase64: originalB64,
             mimeType: originalMime,
             customPrompt: colorizePrompt,
+            schema: "colorize",
           });
           addGptResponse("Step 4: Colorize", colorData, `Assign correct fill colors/gradients to ${found.length} labeled SVG paths to match the original logo.`);
 
           const assignments = colorData.assignments || [];
           addLog(`Received ${assignments.length} color assignments`);
 
-          let gradCount = 0;
-          assignments.forEach((a, ai) => {
-            const el = svg.getElementById(a.shapeId);
-            if (!el) return;
-
-            if (a.gradient && a.gradient.stops?.length >= 2) {
-              const ref = createSvgGradient(svg, a.gradient, "cg" + ai);
-              el.setAttribute("fill", ref);
-              gradCount++;
-            } else if (a.fill) {
-              el.setAttribute("fill", a.fill);
-            }
-          });
+          const { gradients: gradCount } = applyColorAssignments(svg, assignments, "cg");
 
           addLog(`Applied ${assignments.length} fills (${gradCount} gradient${gradCount !== 1 ? "s" : ""})`);
 
@@ -1149,27 +1244,7 @@ Every labeled path MUST have an assignment. Return EXACT JSON only.`;
           // If engine produced nothing or failed, create versions from SVG directly
           if (versionResults.length === 0) {
             addLog("Analysis-based versions unavailable — extracting colors from SVG directly…");
-            // Extract unique non-white fill colors from the SVG
-            const colorSet = new Set();
-            const els = svg.querySelectorAll("path, polygon, rect, circle, ellipse, polyline");
-            els.forEach((el) => {
-              const f = el.getAttribute("fill");
-              if (f && f !== "none" && !f.startsWith("url(") && !/^#f{3,6}$/i.test(f) && !/^white$/i.test(f)) {
-                colorSet.add(f.toLowerCase());
-              }
-            });
-            const allColors = [...colorSet];
-            // Build versions by simple color reduction
-            const makeVersion = (id, label, maxC) => {
-              const palette = allColors.slice(0, maxC);
-              return { id, label, maxColors: maxC, includeGradients: id === "v_full", palette: id === "v_full" ? allColors : palette, svgString: colorizedSvgStr, mapping: null };
-            };
-            versionResults = [
-              makeVersion("v_full", "Full Color", Infinity),
-              makeVersion("v_3to5", "3-5 Color", 5),
-              makeVersion("v_2", "2 Color", 2),
-              makeVersion("v_1", "1 Color", 1),
-            ];
+            versionResults = generateFallbackVersions(svg, colorizedSvgStr);
           }
           setVersions(versionResults);
           if (versionResults.length > 0) {
@@ -1208,18 +1283,7 @@ Every labeled path MUST have an assignment. Return EXACT JSON only.`;
           addLog("Sending original + recreation to GPT for validation…");
           captureDebug("gpt_request", "Step 5: Validate — Request", { note: "Comparing original vs colorized SVG render" });
 
-          const validatePrompt = `Compare these two images. Image 1 is the original logo. Image 2 is our SVG vector recreation with colors assigned by AI.
-
-Rate the accuracy of the recreation and provide feedback.
-
-Return EXACT JSON (no code fences) with:
-- "score": number 1-10 (10 = perfect match)
-- "assessment": 1-2 sentences describing the overall accuracy
-- "colorAccuracy": "excellent" | "good" | "fair" | "poor"
-- "differences": array of brief strings noting any color/gradient differences (empty if perfect)
-- "suggestions": array of brief improvement suggestions (empty if none)
-
-Return EXACT JSON only.`;
+          const validatePrompt = buildValidatePrompt();
 
           const valData = await callGPT({
             imageBase64: originalB64,
@@ -1227,6 +1291,7 @@ Return EXACT JSON only.`;
             imageBase64_2: recoloredB64,
             mimeType2: "image/png",
             customPrompt: validatePrompt,
+            schema: "validate",
           });
 
           setValidation(valData);
@@ -1245,7 +1310,7 @@ Return EXACT JSON only.`;
       addLog("Done!");
       setStep("ready");
     },
-    [mountSvg, addLog, addGptResponse, captureDebug, discoverShapes, push, callGPT, createSvgGradient]
+    [mountSvg, addLog, addGptResponse, captureDebug, discoverShapes, push, callGPT, bypassCache, logCacheStatus]
   );
 
   /* ─── Re-render SVG on source change (edits, undo/redo) ─── */
@@ -1568,24 +1633,14 @@ Every shape MUST have an assignment. Return EXACT JSON only.`;
         imageBase64_2: currentB64,
         mimeType2: "image/png",
         customPrompt: fixPrompt,
+        schema: "fix",
       });
       addGptResponse("Fix: Re-Colorize", colorData, `Fix color assignments based on QA feedback (score: ${validation.score}/10).${fixNote.trim() ? " User note: " + fixNote.trim() : ""}`);
 
       const assignments = colorData.assignments || [];
       addLog(`Fix Me: received ${assignments.length} updated assignments`);
 
-      let gradCount = 0;
-      assignments.forEach((a, ai) => {
-        const el = svg.getElementById(a.shapeId);
-        if (!el) return;
-        if (a.gradient && a.gradient.stops?.length >= 2) {
-          const ref = createSvgGradient(svg, a.gradient, "fx" + ai);
-          el.setAttribute("fill", ref);
-          gradCount++;
-        } else if (a.fill) {
-          el.setAttribute("fill", a.fill);
-        }
-      });
+      const { gradients: gradCount } = applyColorAssignments(svg, assignments, "fx");
 
       addLog(`Fix Me: applied ${assignments.length} fills (${gradCount} gradient${gradCount !== 1 ? "s" : ""})`);
 
@@ -1601,18 +1656,7 @@ Every shape MUST have an assignment. Return EXACT JSON only.`;
       // Re-validate
       addLog("Fix Me: re-validating…");
       const recoloredB64 = await svgToPngBase64(svg);
-      const validatePrompt = `Compare these two images. Image 1 is the original logo. Image 2 is our SVG vector recreation with colors re-assigned by AI after a fix attempt.
-
-Rate the accuracy of the recreation and provide feedback.
-
-Return EXACT JSON (no code fences) with:
-- "score": number 1-10 (10 = perfect match)
-- "assessment": 1-2 sentences describing the overall accuracy
-- "colorAccuracy": "excellent" | "good" | "fair" | "poor"
-- "differences": array of brief strings noting any color/gradient differences (empty if perfect)
-- "suggestions": array of brief improvement suggestions (empty if none)
-
-Return EXACT JSON only.`;
+      const validatePrompt = buildValidatePrompt({ afterFix: true });
 
       const valData = await callGPT({
         imageBase64: originalB64Ref.current,
@@ -1620,6 +1664,7 @@ Return EXACT JSON only.`;
         imageBase64_2: recoloredB64,
         mimeType2: "image/png",
         customPrompt: validatePrompt,
+        schema: "validate",
       });
 
       setValidation(valData);
@@ -1632,7 +1677,7 @@ Return EXACT JSON only.`;
     } finally {
       setFixing(false);
     }
-  }, [validation, shapes, fixNote, addLog, addGptResponse, callGPT, createSvgGradient, push, discoverShapes]);
+  }, [validation, shapes, fixNote, addLog, addGptResponse, callGPT, push, discoverShapes]);
 
   const undo = () => {
     if (hIdx <= 0) return;
@@ -1689,18 +1734,56 @@ Return EXACT JSON only.`;
       .catch(() => {});
   };
 
-  const handleFile = (f) => {
-    if (!f) return;
-    processFile(f);
+  /* ─── Batch mode: several files → server-side jobs with bounded concurrency ─── */
+  const processBatch = useCallback(async (files) => {
+    batchAbortRef.current?.abort();
+    const controller = new AbortController();
+    batchAbortRef.current = controller;
+    const { signal } = controller;
+    setError("");
+    setBatch(files.map((f) => ({ name: f.name, status: "queued", step: null, score: null, versions: null, approvals: {}, error: null })));
+
+    const update = (i, patch) => {
+      if (signal.aborted) return;
+      setBatch((prev) => prev && prev.map((item, j) => (j === i ? { ...item, ...patch } : item)));
+    };
+
+    await runPool(files, BATCH_CONCURRENCY, async (file, i) => {
+      if (signal.aborted) return;
+      try {
+        const job = await runLogoJob(file, (j) => update(i, { status: j.status, step: j.step }), { bypassCache, signal });
+        update(i, {
+          status: "ready",
+          step: "ready",
+          score: job.result.validation?.score ?? null,
+          versions: job.result.versions || [],
+        });
+      } catch (e) {
+        update(i, { status: "failed", error: e.message });
+      }
+    });
+  }, [bypassCache]);
+
+  const handleFiles = (list) => {
+    const files = [...(list || [])];
+    if (files.length === 0) return;
+    if (files.length === 1) processFile(files[0]);
+    else processBatch(files);
   };
 
   const handleDrop = (e) => {
     e.preventDefault();
     setDragOver(false);
-    handleFile(e.dataTransfer.files[0]);
+    handleFiles(e.dataTransfer.files);
   };
 
+  // Stop polling a running batch when the page goes away
+  useEffect(() => () => batchAbortRef.current?.abort(), []);
+
   const startOver = () => {
+    batchAbortRef.current?.abort();
+    batchAbortRef.current = null;
+    setBatch(null);
     setStep("idle");
     setSvgSource("");
     setHistory([]);
@@ -1890,7 +1973,7 @@ Return EXACT JSON only.`;
         </header>
 
         {/* ═══════════════ IDLE: Upload ═══════════════ */}
-        {step === "idle" && (
+        {step === "idle" && !batch && (
           <div style={{ flex: 1, display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", padding: "16px 32px 32px", gap: 0, overflow: "hidden" }}>
             {/* Mascot */}
             <img
@@ -1925,9 +2008,14 @@ Return EXACT JSON only.`;
                 <div style={{ fontSize: 15, color: "#666", marginBottom: 4 }}>
                   Drag & drop or <span style={{ color: "#e85d26", fontWeight: 500 }}>browse</span>
                 </div>
-                <div style={{ fontSize: 13, color: "#aaa" }}>PNG, JPG, SVG — max 10MB</div>
+                <div style={{ fontSize: 13, color: "#aaa" }}>PNG, JPG, SVG — max 10MB · drop several for a batch · offline tracer is PNG-only</div>
               </div>
-              <input ref={fileRef} type="file" accept="image/*,.svg" style={{ display: "none" }} onChange={(e) => handleFile(e.target.files[0])} />
+              <input ref={fileRef} type="file" accept="image/*,.svg" style={{ display: "none" }} multiple onChange={(e) => { handleFiles(e.target.files); e.target.value = ""; }} />
+              <label style={{ display: "inline-flex", alignItems: "center", gap: 6, marginTop: 12, fontSize: 12, color: "#999", cursor: "pointer" }}
+                title="Re-run vectorizer and GPT steps instead of reusing cached results for the same file">
+                <input type="checkbox" checked={bypassCache} onChange={(e) => setBypassCache(e.target.checked)} />
+                Bypass cache
+              </label>
               {error && (
                 <div style={{ marginTop: 16, padding: "10px 16px", background: "#fef2f2", border: "1px solid #fecaca", borderRadius: 10, fontSize: 13, color: "#dc2626" }}>
                   {error}
@@ -1937,6 +2025,142 @@ Return EXACT JSON only.`;
           </div>
         )}
 
+        {/* ═══════════════ BATCH ═══════════════ */}
+        {batch && (() => {
+          const batchStepLabels = {
+            queued: "Queued", uploading: "Uploading", analyzing: "Analyzing", vectorizing: "Vectorizing",
+            structuring: "Structure", colorizing: "Colorizing", versioning: "Versions", validating: "Validating",
+          };
+          const doneCount = batch.filter((item) => item.status === "ready" || item.status === "failed").length;
+          const running = doneCount < batch.length;
+          const approvedTotal = batch.reduce((n, item) => n + (item.versions || []).filter((v) => item.approvals[v.id] === "approved").length, 0);
+
+          const setApproval = (i, versionId, value) => {
+            setBatch((prev) => prev.map((item, j) => {
+              if (j !== i) return item;
+              const approvals = { ...item.approvals };
+              if (value) approvals[versionId] = value;
+              else delete approvals[versionId];
+              return { ...item, approvals };
+            }));
+          };
+
+          const approveAll = () => {
+            setBatch((prev) => prev.map((item) => ({
+              ...item,
+              approvals: Object.fromEntries((item.versions || []).map((v) => [v.id, "approved"])),
+            })));
+          };
+
+          // One folder per logo (deduped by name) holding its approved versions
+          const downloadBatchZip = () => {
+            const files = [];
+            const used = new Set();
+            for (const item of batch) {
+              const approved = (item.versions || []).filter((v) => item.approvals[v.id] === "approved");
+              if (approved.length === 0) continue;
+              const base = item.name.replace(/\.[^.]+$/, "").replace(/[\\/:*?"<>|]+/g, "_") || "logo";
+              let folder = base;
+              for (let n = 2; used.has(folder); n++) folder = `${base}-${n}`;
+              used.add(folder);
+              for (const v of approved) {
+                files.push({ name: `${folder}/${folder}-${VERSION_FILE_NAMES[v.id] || v.id}.svg`, data: new TextEncoder().encode(v.svgString) });
+              }
+            }
+            if (files.length === 0) return;
+            downloadFile(`logo-batch-${used.size}-logos.zip`, buildZip(files), "application/zip");
+          };
+
+          const cell = { padding: "10px 12px", borderBottom: "1px solid #f0efec", fontSize: 13, textAlign: "left", verticalAlign: "middle" };
+
+          return (
+            <div className="fade-up" style={{ flex: 1, display: "flex", justifyContent: "center", padding: "32px 16px" }}>
+              <div style={{ width: "100%", maxWidth: 860, background: "#fff", border: "1px solid #eeede9", borderRadius: 16, padding: "24px 28px", fontFamily: "'DM Sans', sans-serif", alignSelf: "flex-start" }}>
+                <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 16, gap: 12, flexWrap: "wrap" }}>
+                  <div>
+                    <div style={{ fontSize: 15, fontWeight: 700, color: "#222", marginBottom: 2 }}>Batch — {batch.length} logos</div>
+                    <div style={{ fontSize: 12, color: "#999" }}>
+                      {running ? `${doneCount} of ${batch.length} finished · ${BATCH_CONCURRENCY} at a time` : `All ${batch.length} finished`} · {approvedTotal} version{approvedTotal !== 1 ? "s" : ""} approved
+                    </div>
+                  </div>
+                  <div style={{ display: "flex", gap: 8 }}>
+                    <button onClick={approveAll} disabled={running}
+                      style={{ padding: "8px 14px", borderRadius: 8, border: "1px solid #e5e4e0", background: "#fff", color: running ? "#ccc" : "#555", fontSize: 13, fontFamily: "'DM Sans', sans-serif", cursor: running ? "default" : "pointer" }}>
+                      Approve all
+                    </button>
+                    <button onClick={downloadBatchZip} disabled={approvedTotal === 0}
+                      style={{ padding: "8px 14px", borderRadius: 8, border: "none", background: approvedTotal === 0 ? "#e5e4e0" : "#e85d26", color: "#fff", fontSize: 13, fontWeight: 600, fontFamily: "'DM Sans', sans-serif", cursor: approvedTotal === 0 ? "default" : "pointer" }}>
+                      Download ZIP
+                    </button>
+                    <button onClick={startOver}
+                      style={{ padding: "8px 14px", borderRadius: 8, border: "none", background: "transparent", color: "#666", fontSize: 13, fontFamily: "'DM Sans', sans-serif", cursor: "pointer" }}>
+                      New batch
+                    </button>
+                  </div>
+                </div>
+
+                <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                  <thead>
+                    <tr style={{ color: "#999", fontSize: 11, textTransform: "uppercase", letterSpacing: ".05em" }}>
+                      <th style={{ ...cell, fontSize: 11, fontWeight: 600 }}>Logo</th>
+                      <th style={{ ...cell, fontSize: 11, fontWeight: 600 }}>Status</th>
+                      <th style={{ ...cell, fontSize: 11, fontWeight: 600 }}>Score</th>
+                      <th style={{ ...cell, fontSize: 11, fontWeight: 600 }}>Approved versions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {batch.map((item, i) => (
+                      <tr key={i}>
+                        <td style={{ ...cell, color: "#333", maxWidth: 220, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }} title={item.name}>{item.name}</td>
+                        <td style={cell}>
+                          {item.status === "ready" ? (
+                            <span style={{ color: "#22c55e", fontWeight: 600 }}>Done</span>
+                          ) : item.status === "failed" ? (
+                            <span style={{ color: "#ef4444" }} title={item.error || ""}>Failed{item.error ? ` — ${item.error.slice(0, 60)}` : ""}</span>
+                          ) : (
+                            <span style={{ display: "inline-flex", alignItems: "center", gap: 6, color: "#555" }}>
+                              {item.status !== "queued" && (
+                                <span style={{ width: 12, height: 12, border: "2px solid #eee", borderTopColor: "#e85d26", borderRadius: "50%", animation: "spin .6s linear infinite", display: "inline-block" }} />
+                              )}
+                              {batchStepLabels[item.step || item.status] || item.step}
+                            </span>
+                          )}
+                        </td>
+                        <td style={cell}>
+                          {item.score != null ? (
+                            <span style={{
+                              display: "inline-block", minWidth: 26, padding: "2px 6px", borderRadius: 6, textAlign: "center",
+                              fontFamily: "'JetBrains Mono', monospace", fontWeight: 700, fontSize: 12, color: "#fff",
+                              background: item.score >= 7 ? "#22c55e" : item.score >= 4 ? "#f59e0b" : "#ef4444",
+                            }}>{item.score}</span>
+                          ) : <span style={{ color: "#ccc" }}>—</span>}
+                        </td>
+                        <td style={cell}>
+                          <div style={{ display: "flex", gap: 4, flexWrap: "wrap" }}>
+                            {(item.versions || []).map((v) => {
+                              const approved = item.approvals[v.id] === "approved";
+                              return (
+                                <button key={v.id} onClick={() => setApproval(i, v.id, approved ? null : "approved")} title={v.label}
+                                  style={{
+                                    padding: "3px 8px", borderRadius: 6, fontSize: 11, fontFamily: "'DM Sans', sans-serif", cursor: "pointer",
+                                    border: "1px solid " + (approved ? "#22c55e" : "#e5e4e0"),
+                                    background: approved ? "#22c55e" : "#fff", color: approved ? "#fff" : "#888",
+                                  }}>
+                                  {VERSION_FILE_NAMES[v.id] || v.id}
+                                </button>
+                              );
+                            })}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          );
+        })()}
+
         {/* ═══════════════ PROCESSING ═══════════════ */}
         {isProcessing && (
           <div className="fade-up" style={{ flex: 1, display: "flex", alignItems: "center", justifyContent: "center", minHeight: 0, padding: "32px 16px" }}>
@@ -2442,15 +2666,8 @@ Return EXACT JSON only.`;
                   v_1: "Single-color version — one ink for stamps, embossing, mono prints",
                 };
 
-                const versionFileNames = {
-                  v_full: "full-color",
-                  v_3to5: "3-5-color",
-                  v_2: "2-color",
-                  v_1: "1-color",
-                };
-
                 const downloadVersion = (v) => {
-                  downloadFile(`${baseName}-${versionFileNames[v.id] || v.id}.svg`, new TextEncoder().encode(v.svgString), "image/svg+xml");
+                  downloadFile(`${baseName}-${VERSION_FILE_NAMES[v.id] || v.id}.svg`, new TextEncoder().encode(v.svgString), "image/svg+xml");
                 };
 
                 const downloadAllApproved = () => {
@@ -2458,7 +2675,7 @@ Return EXACT JSON only.`;
                   if (approved.length === 0) return;
                   const files = [];
                   for (const v of approved) {
-                    files.push({ name: `${baseName}-${versionFileNames[v.id] || v.id}.svg`, data: new TextEncoder().encode(v.svgString) });
+                    files.push({ name: `${baseName}-${VERSION_FILE_NAMES[v.id] || v.id}.svg`, data: new TextEncoder().encode(v.svgString) });
                   }
                   const zip = buildZip(files);
                   downloadFile(`${baseName}-logo-versions.zip`, zip, "application/zip");
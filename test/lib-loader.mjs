@@ -0,0 +1,20 @@
+// Module hooks for the tests: lib/ is ES modules in .js files with extensionless relative
+// imports, which Next resolves but plain Node doesn't
+
+export async function resolve(specifier, context, next) {
+  if (/^\.\.?\//.test(specifier) && !/\.[cm]?js$/.test(specifier)) {
+    try {
+      return await next(`${specifier}.js`, context);
+    } catch {
+      // Not a sibling module — let Node report it as written
+    }
+  }
+  return next(specifier, context);
+}
+
+export async function load(url, context, next) {
+  if (url.startsWith("file:") && url.endsWith(".js") && !url.includes("/node_modules/")) {
+    return next(url, { ...context, format: "module" });
+  }
+  return next(url, context);
+}
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePathData, parsePathDataWithError, serializePathData, toAbsoluteCommands } from "../lib/path-data.js";
+
+// parse → serialize → parse gives the same commands, and the data parses cleanly
+function assertRoundTrip(d, expected) {
+  const { commands, error } = parsePathDataWithError(d);
+  assert.equal(error, null, `"${d}" should parse without error`);
+  if (expected) assert.deepEqual(commands, expected);
+  assert.deepEqual(parsePathData(serializePathData(commands)), commands);
+}
+
+const cmd = (type, ...args) => ({ type, args });
+
+test("every command round-trips, absolute and relative", () => {
+  const cases = [
+    ["M10 20", [cmd("M", 10, 20)]],
+    ["m10 20", [cmd("m", 10, 20)]],
+    ["M0 0 L10 20", [cmd("M", 0, 0), cmd("L", 10, 20)]],
+    ["M0 0 l10 20", [cmd("M", 0, 0), cmd("l", 10, 20)]],
+    ["M0 0 H5", [cmd("M", 0, 0), cmd("H", 5)]],
+    ["M0 0 h-5", [cmd("M", 0, 0), cmd("h", -5)]],
+    ["M0 0 V5", [cmd("M", 0, 0), cmd("V", 5)]],
+    ["M0 0 v.5", [cmd("M", 0, 0), cmd("v", 0.5)]],
+    ["M0 0 C1 2 3 4 5 6", [cmd("M", 0, 0), cmd("C", 1, 2, 3, 4, 5, 6)]],
+    ["M0 0 c1 2 3 4 5 6", [cmd("M", 0, 0), cmd("c", 1, 2, 3, 4, 5, 6)]],
+    ["M0 0 S1 2 3 4", [cmd("M", 0, 0), cmd("S", 1, 2, 3, 4)]],
+    ["M0 0 s1 2 3 4", [cmd("M", 0, 0), cmd("s", 1, 2, 3, 4)]],
+    ["M0 0 Q1 2 3 4", [cmd("M", 0, 0), cmd("Q", 1, 2, 3, 4)]],
+    ["M0 0 q1 2 3 4", [cmd("M", 0, 0), cmd("q", 1, 2, 3, 4)]],
+    ["M0 0 T3 4", [cmd("M", 0, 0), cmd("T", 3, 4)]],
+    ["M0 0 t3 4", [cmd("M", 0, 0), cmd("t", 3, 4)]],
+    ["M0 0 A5 6 30 1 0 7 8", [cmd("M", 0, 0), cmd("A", 5, 6, 30, 1, 0, 7, 8)]],
+    ["M0 0 a5 6 30 0 1 7 8", [cmd("M", 0, 0), cmd("a", 5, 6, 30, 0, 1, 7, 8)]],
+    ["M0 0 L1 1 Z", [cmd("M", 0, 0), cmd("L", 1, 1), cmd("Z")]],
+    ["M0 0 L1 1 z", [cmd("M", 0, 0), cmd("L", 1, 1), cmd("z")]],
+  ];
+  for (const [d, expected] of cases) assertRoundTrip(d, expected);
+});
+
+test("compact numbers and flags", () => {
+  assertRoundTrip("M1.5.5", [cmd("M", 1.5, 0.5)]);
+  assertRoundTrip("M10-5", [cmd("M", 10, -5)]);
+  assertRoundTrip("M1e-3 2E2", [cmd("M", 0.001, 200)]);
+  assertRoundTrip("M-.5-.5", [cmd("M", -0.5, -0.5)]);
+  assertRoundTrip("M0 0a1 1 0 013 4", [cmd("M", 0, 0), cmd("a", 1, 1, 0, 0, 1, 3, 4)]);
+  assertRoundTrip("M0,0L1,2,3,4", [cmd("M", 0, 0), cmd("L", 1, 2, 3, 4)]);
+});
+
+test("implicit repeated commands after a moveto", () => {
+  // Extra pairs after m/M stay under the moveto; absolutizing turns them into lines
+  assertRoundTrip("m1 1 2 2 3 3", [cmd("m", 1, 1, 2, 2, 3, 3)]);
+  assert.deepEqual(toAbsoluteCommands(parsePathData("m1 1 2 2 3 3")), [cmd("M", 1, 1), cmd("L", 3, 3), cmd("L", 6, 6)]);
+  assert.deepEqual(toAbsoluteCommands(parsePathData("M1 1 2 2")), [cmd("M", 1, 1), cmd("L", 2, 2)]);
+});
+
+test("relative subpaths after closepath start from the closed subpath's start", () => {
+  const d = "m10 10 l5 0 l0 5 z m2 2 l1 0 z";
+  assertRoundTrip(d);
+  const abs = toAbsoluteCommands(parsePathData(d));
+  const moves = abs.filter((c) => c.type === "M");
+  assert.deepEqual(moves, [cmd("M", 10, 10), cmd("M", 12, 12)]);
+  assert.deepEqual(abs[abs.length - 2], cmd("L", 13, 12));
+});
+
+test("errors keep what parsed before them and are reported", () => {
+  const cases = [
+    ["M0 0 L1", [cmd("M", 0, 0)], /number for "L"/],
+    ["M0 0a1 1 0 1.5 2 2", [cmd("M", 0, 0)], /flag/],
+    ["L1 1", [], /moveto/],
+    ["M0 0 X1 1", [cmd("M", 0, 0)], /Unexpected "X"/],
+    ["M0 0 L1 1 2", [cmd("M", 0, 0), cmd("L", 1, 1)], /number for "L"/],
+  ];
+  for (const [d, expected, message] of cases) {
+    const { commands, error } = parsePathDataWithError(d);
+    assert.deepEqual(commands, expected, d);
+    assert.match(error?.message || "", message, d);
+    assert.deepEqual(parsePathData(d), expected);
+  }
+  assert.deepEqual(parsePathDataWithError(""), { commands: [], error: null });
+});
@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { pipelineRequestOptions } from "../lib/pipeline-request.js";
+
+const request = (query = {}, headers = {}) => ({ query, headers });
+
+test("engine and gradientThreshold come from the query or fields; the rest are vectorizer options", () => {
+  assert.deepEqual(pipelineRequestOptions(request({ engine: "LOCAL" }), { gradientThreshold: "8", max_colors: "4" }), {
+    engine: "local",
+    gradientThreshold: 8,
+    bypassCache: false,
+    vectorizerOptions: { max_colors: "4" },
+  });
+  const fromQuery = pipelineRequestOptions(request({ gradientThreshold: "0", cache: "bypass" }), { engine: "remote", gradientThreshold: "20" });
+  assert.equal(fromQuery.engine, "remote");
+  assert.equal(fromQuery.gradientThreshold, 0);
+  assert.equal(fromQuery.bypassCache, true);
+  assert.equal(pipelineRequestOptions(request(), { gradientThreshold: "" }).gradientThreshold, undefined);
+});
+
+test("an unknown engine or a bad threshold is a 400", () => {
+  assert.throws(() => pipelineRequestOptions(request({ engine: "magic" })), { status: 400, message: /Unknown engine "magic"/ });
+  for (const bad of ["-1", "lots"]) {
+    assert.throws(() => pipelineRequestOptions(request(), { gradientThreshold: bad }), { status: 400, message: /gradientThreshold/ });
+  }
+});
@@ -0,0 +1,4 @@
+// `node --import ./test/register.mjs`: load lib/ the way Next compiles it (see lib-loader.mjs)
+import { register } from "node:module";
+
+register("./lib-loader.mjs", import.meta.url);
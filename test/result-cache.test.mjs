@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { cacheKey } from "../lib/cache-key.js";
+import { withResultCache } from "../lib/result-cache.js";
+import { getProvider } from "../lib/llm-provider.js";
+import { createPipelineState, runPipeline } from "../lib/pipeline.js";
+
+function memoryCache() {
+  const map = new Map();
+  return { map, get: async (key) => map.get(key) ?? null, set: async (key, value) => void map.set(key, value) };
+}
+
+const LOGO = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><path id="a" d="M10 10h40v40h-40z"/><path id="b" d="M60 60h30v30h-30z"/></svg>`);
+
+test("without Web Crypto there is no key and nothing is cached", async () => {
+  const { crypto } = globalThis;
+  Object.defineProperty(globalThis, "crypto", { value: undefined, configurable: true });
+  try {
+    const key = await cacheKey("analyze", "x");
+    assert.equal(key, null);
+    const cache = memoryCache();
+    const { value, status } = await withResultCache(cache, key, {}, async () => 42);
+    assert.deepEqual([value, status], [42, "off"]);
+    assert.equal(cache.map.size, 0);
+  } finally {
+    Object.defineProperty(globalThis, "crypto", { value: crypto, configurable: true });
+  }
+});
+
+test("pipeline runs reuse cached paid calls", async () => {
+  const cache = memoryCache();
+  const provider = getProvider({ LLM_PROVIDER: "mock" });
+  const run = async (options = {}) => {
+    const state = createPipelineState({ data: LOGO, filename: "logo.svg", mimeType: "image/svg+xml" });
+    await runPipeline(state, { provider, fonts: [], cache, ...options });
+    return state;
+  };
+
+  const first = await run();
+  assert.equal(first.cache.analyzing, "miss");
+  const second = await run();
+  assert.equal(second.cache.analyzing, "hit");
+  assert.equal(second.cache.colorizing, "hit");
+  assert.deepEqual(second.analysis, first.analysis);
+  const bypassed = await run({ bypassCache: true });
+  assert.equal(bypassed.cache.analyzing, "bypass");
+});
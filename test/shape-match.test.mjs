@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { matchShapes } from "../lib/shape-match.js";
+import { buildRegistries } from "../lib/svg-registry.js";
+import { getPathGeometry, shapeSignature, signatureDistance } from "../lib/path-geometry.js";
+import { parseSvgElement } from "../lib/svg-dom.js";
+
+const registryOf = (body) => buildRegistries(parseSvgElement(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 100">${body}</svg>`));
+
+// The same outlines, each drawn from another start point and the other way round
+const TRIANGLE = "M10 90 L50 10 L90 90 Z";
+const TRIANGLE_REDRAWN = "M50 10 L10 90 L90 90 Z";
+const ARROW = "M110 40 H150 V20 L190 50 L150 80 V60 H110 Z";
+const ARROW_REDRAWN = "M190 50 L150 20 V40 H110 V60 H150 V80 Z";
+
+test("shape signatures ignore the start point and direction of an outline", () => {
+  const sig = (d) => shapeSignature(getPathGeometry(d));
+  // Equal up to where the arc-length resampling happens to fall
+  assert.ok(signatureDistance(sig(TRIANGLE), sig(TRIANGLE_REDRAWN)) < 0.01);
+  assert.ok(signatureDistance(sig(ARROW), sig(ARROW_REDRAWN)) < 0.01);
+  assert.ok(signatureDistance(sig(TRIANGLE), sig(ARROW)) > 0.1);
+});
+
+test("matchShapes gives the same pairing for outlines redrawn from another start and direction", () => {
+  const a = registryOf(`<path id="tri" d="${TRIANGLE}"/><path id="arrow" d="${ARROW}"/>`);
+  const originalIds = (registry, ids) => ids.map((id) => registry.paths.get(id).originalId);
+  const pairs = (b) => {
+    const { matches, unmatchedA, unmatchedB } = matchShapes(a, b);
+    for (const m of matches) assert.ok(m.shape > 0.95 && m.similarity > 0.95, `${m.pathA}: ${JSON.stringify(m)}`);
+    return {
+      matches: matches.map((m) => [...originalIds(a, [m.pathA]), ...originalIds(b, [m.pathB])]),
+      unmatchedA: originalIds(a, unmatchedA),
+      unmatchedB: originalIds(b, unmatchedB),
+    };
+  };
+
+  const expected = { matches: [["tri", "tri"], ["arrow", "arrow"]], unmatchedA: [], unmatchedB: ["dot"] };
+  const dot = `<path id="dot" d="M95 5h4v4h-4z"/>`;
+  assert.deepEqual(pairs(registryOf(`<path id="tri" d="${TRIANGLE}"/><path id="arrow" d="${ARROW}"/>${dot}`)), expected);
+  // Redrawn and stacked in another order
+  assert.deepEqual(pairs(registryOf(`<path id="arrow" d="${ARROW_REDRAWN}"/><path id="tri" d="${TRIANGLE_REDRAWN}"/>${dot}`)), expected);
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { outlineStroke } from "../lib/stroke-outline.js";
+import { getPathGeometry, isPointInFill } from "../lib/path-geometry.js";
+
+const geometryOf = (d, style) => getPathGeometry(outlineStroke(d, style));
+const boxOf = (geometry) => ["x", "y", "width", "height"].map((k) => +geometry.bbox[k].toFixed(3));
+
+test("line caps extend open ends by nothing, half the width, or a half disc", () => {
+  assert.deepEqual(boxOf(geometryOf("M10 50 L90 50", { width: 10 })), [10, 45, 80, 10]);
+  assert.deepEqual(boxOf(geometryOf("M10 50 L90 50", { width: 10, linecap: "square" })), [5, 45, 90, 10]);
+
+  const round = geometryOf("M10 50 L90 50", { width: 10, linecap: "round" });
+  assert.deepEqual(boxOf(round), [5, 45, 90, 10]);
+  assert.equal(isPointInFill(round, 6, 50), true);
+  assert.equal(isPointInFill(round, 6, 46), false); // outside the cap's half disc
+});
+
+test("joins: miters reach the corner's point, bevels cut it off", () => {
+  const miter = geometryOf("M10 10 L50 50 L90 10", { width: 10, linejoin: "miter" });
+  const bevel = geometryOf("M10 10 L50 50 L90 10", { width: 10, linejoin: "bevel" });
+  assert.equal(+(miter.bbox.y + miter.bbox.height).toFixed(3), +(50 + 5 * Math.SQRT2).toFixed(3));
+  assert.ok(bevel.bbox.y + bevel.bbox.height < 55);
+  // A miter limit below the join's ratio falls back to a bevel
+  const limited = geometryOf("M10 10 L50 50 L90 10", { width: 10, linejoin: "miter", miterlimit: 1 });
+  assert.deepEqual(boxOf(limited), boxOf(bevel));
+});
+
+test("closed outlines become a ring that leaves the inside unfilled", () => {
+  const ring = geometryOf("M10 10 H90 V90 H10 Z", { width: 10 });
+  assert.deepEqual(boxOf(ring), [5, 5, 90, 90]);
+  for (const [x, y] of [[10, 50], [50, 7], [93, 93]]) assert.equal(isPointInFill(ring, x, y), true, `${x},${y}`);
+  for (const [x, y] of [[50, 50], [20, 20], [2, 50]]) assert.equal(isPointInFill(ring, x, y), false, `${x},${y}`);
+});
+
+test("dashes split the stroke into one outline per dash", () => {
+  const dashed = geometryOf("M10 50 L90 50", { width: 10, dasharray: [20, 10] });
+  assert.equal(dashed.subpaths.length, 3); // 10–30, 40–60, 70–90
+  assert.equal(isPointInFill(dashed, 20, 50), true);
+  assert.equal(isPointInFill(dashed, 35, 50), false);
+  assert.equal(isPointInFill(dashed, 85, 50), true);
+});
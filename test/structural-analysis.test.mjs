@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyzeSvgStructure } from "../lib/structural-analysis.js";
+
+// Two near-identical brand gradients (stops ~ΔE 5 apart)
+const LOGO = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">
+  <defs>
+    <linearGradient id="g1"><stop offset="0" stop-color="#ff0000"/><stop offset="1" stop-color="#0000ff"/></linearGradient>
+    <linearGradient id="g2"><stop offset="0" stop-color="#f5080a"/><stop offset="1" stop-color="#0a08f5"/></linearGradient>
+  </defs>
+  <path d="M10 10h30v30h-30z" fill="url(#g1)"/>
+  <path d="M60 60h30v30h-30z" fill="url(#g2)"/>
+</svg>`;
+
+const gradientGroups = (report) => report.paintGroups.filter((g) => g.type === "linear");
+
+test("gradientThreshold decides whether similar gradients share a paint group", () => {
+  const { registries: loose } = analyzeSvgStructure(LOGO, null, { gradientThreshold: 20 });
+  assert.equal(gradientGroups(loose).length, 1);
+
+  const { registries: strict } = analyzeSvgStructure(LOGO, null, { gradientThreshold: 0.5 });
+  assert.equal(gradientGroups(strict).length, 2);
+});
+
+test("a chain of similar gradients doesn't merge ends that are far apart", () => {
+  // Neighbours are ~ΔE 6.6 apart, the ends ~13.2
+  const stops = (color) => `<stop offset="0" stop-color="${color}"/><stop offset="1" stop-color="#ffffff"/>`;
+  const chain = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 300 100">
+  <defs>
+    <linearGradient id="a">${stops("#1a4f9c")}</linearGradient>
+    <linearGradient id="b">${stops("#2a5fac")}</linearGradient>
+    <linearGradient id="c">${stops("#3a6fbc")}</linearGradient>
+  </defs>
+  <path d="M10 10h80v80h-80z" fill="url(#a)"/>
+  <path d="M110 10h80v80h-80z" fill="url(#b)"/>
+  <path d="M210 10h80v80h-80z" fill="url(#c)"/>
+</svg>`;
+  const groups = gradientGroups(analyzeSvgStructure(chain, null, { gradientThreshold: 10 }).registries);
+  assert.equal(groups.length, 2);
+  for (const group of groups.filter((g) => g.members.length > 1)) {
+    assert.equal(group.members.length, 2);
+  }
+});
+
+test("masks that can't become geometry are flagged in the report", () => {
+  const { report } = analyzeSvgStructure(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">
+  <defs>
+    <linearGradient id="fade"><stop offset="0" stop-color="#fff"/><stop offset="1" stop-color="#000"/></linearGradient>
+    <mask id="soft"><rect width="100" height="100" fill="url(#fade)"/></mask>
+  </defs>
+  <rect id="faded" width="80" height="80" fill="#e85d26" mask="url(#soft)"/>
+  <rect id="plain" x="85" y="85" width="10" height="10" fill="#253854"/>
+</svg>`);
+  const flags = report.flags.filter((f) => f.type === "mask_present");
+  assert.equal(flags.length, 1);
+  assert.equal(flags[0].maskId, "soft");
+  assert.deepEqual(flags[0].originalIds, ["faded"]);
+});
+
+test("the pattern warning describes how the registry treats pattern paint", () => {
+  const { registries, report } = analyzeSvgStructure(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">
+  <defs><pattern id="dots" width="4" height="4" patternUnits="userSpaceOnUse"><circle cx="2" cy="2" r="1" fill="#e85d26"/></pattern></defs>
+  <rect id="tiled" width="80" height="80" fill="url(#dots)"/>
+</svg>`);
+  const [tiled] = registries.paths.values();
+  assert.equal(tiled.fillPaint.type, "complex_mesh");
+  const group = registries.paintGroups.find((g) => g.members.includes(tiled.fillPaint.id));
+  assert.deepEqual(group.members, [tiled.fillPaint.id]);
+
+  const warning = report.summary.warnings.find((w) => w.startsWith("pattern"));
+  assert.match(warning, /kept: .*complex_mesh paint in a group of its own/);
+});
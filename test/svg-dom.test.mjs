@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseSvgElement } from "../lib/svg-dom.js";
+
+const SVG = parseSvgElement(`<svg xmlns="http://www.w3.org/2000/svg">
+  <g id="g" data-x="a b"><path id="p1" data-x="a, b"/><path id="p2" data-x="a b"/></g>
+  <path id="p3" data-x="a"/><path id="p4" data-x="x]y > z"/>
+</svg>`);
+
+const ids = (selector) => [...SVG.querySelectorAll(selector)].map((el) => el.getAttribute("id"));
+
+test("quoted attribute values may hold spaces, commas, brackets and combinators", () => {
+  assert.deepEqual(ids(`[data-x="a b"]`), ["g", "p2"]);
+  assert.deepEqual(ids(`path[data-x='a, b']`), ["p1"]);
+  assert.deepEqual(ids(`[data-x="x]y > z"]`), ["p4"]);
+  assert.deepEqual(ids(`g[data-x="a b"] > path[data-x="a b"]`), ["p2"]);
+  assert.deepEqual(ids(`[data-x="a, b"], [data-x=a]`), ["p1", "p3"]);
+  assert.deepEqual(ids(`[ data-x = "a" ]`), ["p3"]);
+});
+
+test("combinators and lists still split outside brackets", () => {
+  assert.deepEqual(ids("g path"), ["p1", "p2"]);
+  assert.deepEqual(ids("svg>path"), ["p3", "p4"]);
+  assert.deepEqual(ids("#p1,#p3"), ["p1", "p3"]);
+  assert.throws(() => SVG.querySelectorAll("path,"), /Unsupported selector/);
+});
@@ -0,0 +1,164 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeSvgWithInventory } from "../lib/svg-normalize.js";
+import { parseSvgElement } from "../lib/svg-dom.js";
+import { parsePathData, toAbsoluteCommands } from "../lib/path-data.js";
+import { getPathGeometry } from "../lib/path-geometry.js";
+
+// Absolute commands of the normalized path with this id
+const commandsOf = (root, id) => toAbsoluteCommands(parsePathData(root.querySelector(`#${id}`).getAttribute("d")));
+
+// Bounding box of the rendered path with this id (not a template left in <defs>)
+function bboxOf(root, id) {
+  const inDefs = (el) => { for (let p = el.parentNode; p && p.tagName; p = p.parentNode) if (p.tagName === "defs") return true; return false; };
+  const path = [...root.querySelectorAll(`#${id}`)].find((el) => !inDefs(el));
+  const { x, y, width, height } = getPathGeometry(path.getAttribute("d")).bbox;
+  return [x, y, width, height].map((v) => +v.toFixed(3));
+}
+
+const svg = (body) => parseSvgElement(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">${body}</svg>`);
+
+test("path data errors are reported, not silently dropped", () => {
+  const { features } = normalizeSvgWithInventory(svg(`<path id="ok" d="M0 0h10v10z"/><path id="bad" d="M0 0 L10 0 L1"/>`));
+  const invalid = features.find((f) => f.feature === "invalid_path_data");
+  assert.ok(invalid);
+  assert.deepEqual(invalid.elements, ["bad"]);
+});
+
+test("strokes inherited from a group are outlined, black included", () => {
+  for (const stroke of ["#000", "#000000", "black", "#e85d26"]) {
+    const { svg: out } = normalizeSvgWithInventory(svg(`<g stroke="${stroke}" fill="none" stroke-width="4"><path id="line" d="M10 10L90 90"/></g>`));
+    const outline = out.querySelector("#line");
+    assert.equal(outline.getAttribute("data-stroke-outline"), "true", stroke);
+    assert.equal(outline.getAttribute("fill"), stroke);
+    assert.equal(outline.getAttribute("stroke"), "none");
+    assert.ok(outline.getAttribute("d").length > 0);
+  }
+});
+
+test("arcs under a skew become cubics on the skewed ellipse", () => {
+  const { svg: out } = normalizeSvgWithInventory(svg(`<g transform="skewX(30)"><path id="arc" d="M10 50 A40 40 0 0 1 90 50 Z"/></g>`));
+  const commands = commandsOf(out, "arc");
+  assert.ok(commands.every((c) => c.type !== "A"));
+  assert.ok(commands.some((c) => c.type === "C"));
+
+  // Undo the skew: every curve point should sit on the original circle (center 50,50, r 40)
+  const tan = Math.tan(Math.PI / 6);
+  const onCircle = (x, y) => Math.hypot(x - y * tan - 50, y - 50);
+  let [x0, y0] = commands[0].args;
+  for (const { type, args } of commands) {
+    if (type !== "C") continue;
+    const [x1, y1, x2, y2, x3, y3] = args;
+    for (const t of [0.25, 0.5, 0.75]) {
+      const u = 1 - t;
+      const x = u * u * u * x0 + 3 * u * u * t * x1 + 3 * u * t * t * x2 + t * t * t * x3;
+      const y = u * u * u * y0 + 3 * u * u * t * y1 + 3 * u * t * t * y2 + t * t * t * y3;
+      assert.ok(Math.abs(onCircle(x, y) - 40) < 0.05, `(${x}, ${y}) is off the arc`);
+    }
+    [x0, y0] = [x3, y3];
+  }
+  assert.ok(Math.abs(x0 - (90 + 50 * tan)) < 1e-6 && Math.abs(y0 - 50) < 1e-6);
+});
+
+test("nested viewports and <symbol> instances are baked into path data", () => {
+  const { svg: out } = normalizeSvgWithInventory(
+    parseSvgElement(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 100">
+      <defs><symbol id="s" viewBox="0 0 10 10"><rect id="sym" x="1" y="1" width="8" height="8"/></symbol></defs>
+      <g transform="translate(10 20)"><use href="#s" x="5" y="5" width="50" height="50"/></g>
+      <svg x="100" y="0" width="100" height="100" viewBox="0 0 10 10"><rect id="nested" x="1" y="1" width="8" height="8"/></svg>
+    </svg>`)
+  );
+  // translate(10 20) · translate(5 5) · scale(5)
+  assert.deepEqual(bboxOf(out, "sym"), [20, 30, 40, 40]);
+  // translate(100 0) · scale(10)
+  assert.deepEqual(bboxOf(out, "nested"), [110, 10, 80, 80]);
+  assert.equal(out.querySelectorAll("svg").length, 0);
+  assert.ok([...out.querySelectorAll("*")].every((el) => !el.getAttribute("transform")));
+});
+
+test("clip paths are intersected into the geometry they cover", () => {
+  const { svg: out } = normalizeSvgWithInventory(
+    svg(`<defs><clipPath id="c"><rect x="50" y="50" width="100" height="100"/></clipPath></defs>
+      <g clip-path="url(#c)"><rect id="cut" x="0" y="0" width="80" height="80"/><rect id="gone" x="0" y="0" width="20" height="20"/></g>`)
+  );
+  assert.deepEqual(bboxOf(out, "cut"), [50, 50, 30, 30]);
+  assert.equal(out.querySelector("#cut").getAttribute("data-clipped"), "true");
+  assert.equal(out.querySelector("#gone"), null);
+  assert.ok([...out.querySelectorAll("*")].every((el) => !el.hasAttribute("clip-path")));
+});
+
+test("all-or-nothing masks clip; partial ones stay and tag their paths", () => {
+  const { svg: out } = normalizeSvgWithInventory(
+    svg(`<defs>
+        <mask id="solid"><rect x="0" y="0" width="40" height="100" fill="#fff"/></mask>
+        <linearGradient id="fade"><stop offset="0" stop-color="#fff"/><stop offset="1" stop-color="#000"/></linearGradient>
+        <mask id="soft"><rect x="0" y="0" width="100" height="100" fill="url(#fade)"/></mask>
+      </defs>
+      <rect id="hard" x="0" y="0" width="80" height="80" mask="url(#solid)"/>
+      <rect id="faded" x="0" y="0" width="80" height="80" mask="url(#soft)"/>`)
+  );
+  assert.deepEqual(bboxOf(out, "hard"), [0, 0, 40, 80]);
+  assert.equal(out.querySelector("#hard").hasAttribute("mask"), false);
+  assert.equal(out.querySelector("#faded").getAttribute("data-mask"), "soft");
+});
+
+test("a filled and stroked shape becomes its fill plus a stroke outline above it", () => {
+  const { svg: out } = normalizeSvgWithInventory(svg(`<rect id="box" x="20" y="20" width="60" height="60" fill="#253854" stroke="#e85d26" stroke-width="4" stroke-opacity="0.5"/>`));
+  const [fill, ...ring] = out.querySelectorAll("path");
+  assert.equal(fill.getAttribute("id"), "box");
+  assert.equal(fill.getAttribute("stroke"), "none");
+
+  // The outline is a ring, split into its outer edge and the hole inside it
+  assert.equal(ring[0].parentNode.getAttribute("data-compound-source"), "box_stroke");
+  assert.equal(ring.length, 2);
+  assert.ok(ring.every((p) => p.getAttribute("fill") === "#e85d26" && p.getAttribute("fill-opacity") === "0.5"));
+  const outer = ring.find((p) => p.getAttribute("data-hole") !== "true");
+  const { x, y, width, height } = getPathGeometry(outer.getAttribute("d")).bbox;
+  assert.deepEqual([x, y, width, height], [18, 18, 64, 64]);
+});
+
+test("compound paths split into absolute subpaths that record winding and holes", () => {
+  // Outer clockwise (y down), inner drawn relative to where the outer closed
+  const ring = "M10 10 h80 v80 h-80 z m20 20 v40 h40 v-40 z";
+  const sameWay = "M10 10 h80 v80 h-80 z m20 20 h40 v40 h-40 z";
+  const { svg: out } = normalizeSvgWithInventory(
+    svg(`<path id="o" d="${ring}"/><path id="solid" d="${sameWay}"/><path id="odd" d="${sameWay}" fill-rule="evenodd"/>`)
+  );
+  const parts = (id) => out.querySelector(`[data-compound-source="${id}"]`).querySelectorAll("path");
+
+  const [outer, inner] = parts("o");
+  assert.equal(outer.getAttribute("data-winding"), "cw");
+  assert.equal(inner.getAttribute("data-winding"), "ccw");
+  assert.equal(inner.getAttribute("data-contained-by"), "0");
+  assert.equal(inner.getAttribute("data-hole"), "true");
+  assert.equal(outer.hasAttribute("data-hole"), false);
+  const { x, y, width, height } = getPathGeometry(inner.getAttribute("d")).bbox;
+  assert.deepEqual([x, y, width, height], [30, 30, 40, 40]);
+  assert.doesNotMatch(inner.getAttribute("d"), /[a-z]/);
+
+  // Wound the same way, nonzero fills the inner outline; evenodd cuts it out regardless
+  assert.equal(parts("solid")[1].getAttribute("data-winding"), "cw");
+  assert.equal(parts("solid")[1].hasAttribute("data-hole"), false);
+  assert.equal(parts("odd")[1].getAttribute("data-hole"), "true");
+});
+
+test("unsupported features are inventoried with how they're handled", () => {
+  const { features } = normalizeSvgWithInventory(
+    svg(`<defs><pattern id="dots" width="4" height="4"><circle cx="2" cy="2" r="1"/></pattern><filter id="blur"><feGaussianBlur stdDeviation="2"/></filter></defs>
+      <image id="photo" href="data:image/png;base64,AAAA" width="10" height="10"/>
+      <path id="soft" d="M0 0h10v10z" filter="url(#blur)"/>
+      <path id="mixed" d="M0 0h10v10z" style="mix-blend-mode: multiply"/>
+      <path id="tiled" d="M0 0h10v10z" fill="url(#dots)"/>
+      <switch id="sw"><path systemLanguage="fr" d="M0 0h1v1z"/><path id="kept" d="M0 0h2v2z"/></switch>`)
+  );
+  const byFeature = Object.fromEntries(features.map((f) => [f.feature, [f.handling, f.elements]]));
+  assert.deepEqual(byFeature, {
+    switch: ["approximated", ["sw"]],
+    image: ["kept", ["photo"]],
+    filter: ["kept", ["soft"]],
+    blend_mode: ["kept", ["mixed"]],
+    pattern: ["kept", ["tiled"]],
+  });
+  // Content inside <defs> (the pattern's own circle) isn't inventoried
+  assert.ok(features.every((f) => f.elements.every((id) => id !== "<circle>")));
+});
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { alphaBucket, buildRegistries, effectiveAlpha, inkKey } from "../lib/svg-registry.js";
+import { parseSvgElement } from "../lib/svg-dom.js";
+import { normalizeSvg } from "../lib/svg-normalize.js";
+
+const svg = (body) => parseSvgElement(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">${body}</svg>`);
+
+test("effective alpha multiplies color alpha, the nearest paint opacity and every opacity above", () => {
+  const root = svg(`<g opacity="0.5" fill-opacity="0.2"><g fill-opacity="0.8"><path id="a" d="M0 0h10v10z" fill="rgba(0, 0, 0, 0.5)" stroke="#000" opacity="0.5"/></g></g>`);
+  const path = root.querySelector("#a");
+  // 0.5 (color) × 0.8 (nearest fill-opacity; the outer 0.2 is overridden) × 0.5 × 0.5
+  assert.equal(+effectiveAlpha(path, "fill").toFixed(4), 0.1);
+  // No stroke-opacity anywhere: only the opacities apply
+  assert.equal(effectiveAlpha(path, "stroke"), 0.25);
+});
+
+test("ink keys: opaque ink is its group, translucent ink is keyed by 5% alpha steps", () => {
+  assert.equal(inkKey("pg_0", 1), "pg_0");
+  assert.equal(inkKey("pg_0", 0.99), "pg_0");
+  assert.equal(inkKey("pg_0", 0.5), "pg_0@0.50");
+  assert.equal(inkKey("pg_0", 0.52), "pg_0@0.50");
+  assert.equal(inkKey("pg_0", 0.3), "pg_0@0.30");
+  assert.equal(alphaBucket(1.4), 1);
+  assert.equal(alphaBucket(-1), 0);
+});
+
+test("paths and bindings carry their effective alpha", () => {
+  const registries = buildRegistries(svg(`<path d="M0 0h50v50z" fill="#e85d26"/><g opacity="0.3"><path d="M50 50h50v50z" fill="#e85d26"/></g>`));
+  const [solid, faint] = registries.paths.values();
+  assert.equal(solid.alpha, 1);
+  assert.equal(faint.alpha, 0.3);
+  // Same color, one paint group, two inks
+  assert.equal(registries.paintGroups.filter((g) => g.type === "solid_cluster").length, 1);
+  const keys = registries.bindings.map((b) => inkKey(b.groupId, b.alpha));
+  assert.deepEqual(keys, [registries.bindings[0].groupId, `${registries.bindings[0].groupId}@0.30`]);
+});
+
+test("path entries store the true filled area, signed by direction, beside the bbox area", () => {
+  const registries = buildRegistries(svg(`<path d="M0 0 L100 0 L0 100 Z"/><path d="M0 0 L0 100 L100 0 Z"/>`));
+  const [cw, ccw] = registries.paths.values();
+  assert.equal(cw.bboxArea, 10000);
+  assert.equal(cw.area, 5000);
+  assert.equal(cw.signedArea, 5000);
+  assert.equal(ccw.area, 5000);
+  assert.equal(ccw.signedArea, -5000);
+});
+
+test("net area takes the holes out of the subpath that contains them", () => {
+  const normalized = normalizeSvg(svg(`<path id="o" d="M10 10h80v80h-80z M30 30v40h40v-40z" fill="#253854"/>`));
+  const registries = buildRegistries(normalized);
+  const [outer, hole] = registries.paths.values();
+  assert.equal(outer.area, 6400);
+  assert.equal(outer.netArea, 4800);
+  assert.equal(hole.isHole, true);
+  assert.equal(hole.area, 1600);
+  assert.equal(hole.netArea, 0);
+  // Only painted area is bound as ink
+  assert.deepEqual(registries.bindings.map((b) => [b.pathId, b.area]), [[outer.id, 4800]]);
+});
+
+test("fills and strokes are bound by role, outlined strokes included", () => {
+  const live = buildRegistries(svg(`<path d="M10 10h40v40h-40z" fill="#253854" stroke="#e85d26" stroke-width="2"/><path d="M60 50 L90 50" fill="none" stroke="#e85d26" stroke-width="4"/>`));
+  const [box, line] = live.paths.values();
+  const groupOf = (hex) => live.paintGroups.find((g) => g.representative.hex === hex);
+  assert.deepEqual(
+    live.bindings.map(({ pathId, role, attr, area }) => [pathId, role, attr, area]),
+    [
+      [box.id, "fill", "fill", 1600],
+      [box.id, "stroke", "stroke", 2 * 160],
+      [line.id, "stroke", "stroke", 4 * 30],
+    ]
+  );
+  assert.deepEqual(groupOf("#253854").roles, ["fill"]);
+  assert.deepEqual(groupOf("#e85d26").roles, ["stroke"]);
+
+  // Once normalization outlines the stroke it is a fill in the SVG, but still stroke ink
+  const outlined = buildRegistries(normalizeSvg(svg(`<path d="M60 50 L90 50" fill="none" stroke="#e85d26" stroke-width="4"/>`)));
+  assert.deepEqual(outlined.bindings.map(({ role, attr, area }) => [role, attr, area]), [["stroke", "fill", 120]]);
+  assert.deepEqual(outlined.paintGroups.find((g) => g.representative.hex === "#e85d26").roles, ["stroke"]);
+});
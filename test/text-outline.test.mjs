@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { normalizeSvgWithInventory } from "../lib/svg-normalize.js";
+import { loadLocalFonts } from "../lib/local-fonts.js";
+import { parseSvgElement } from "../lib/svg-dom.js";
+import { getPathGeometry } from "../lib/path-geometry.js";
+import { buildTinyFont } from "./tiny-font.mjs";
+
+// "I" is a 400 × 700 bar with 100 units of side bearing, advancing 600
+const FONT = buildTinyFont({ family: "Tiny Sans", glyphs: { I: { advance: 600, rects: [[100, 0, 500, 700]] } } });
+
+function withFontsDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fonts-"));
+  try {
+    fs.writeFileSync(path.join(dir, "TinySans.ttf"), FONT);
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const logo = (family) =>
+  parseSvgElement(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 100">
+    <text id="word" x="10" y="80" font-family="${family}" font-size="100" fill="#e85d26">II</text>
+  </svg>`);
+
+test("text is outlined with a matching local font", () => {
+  withFontsDir((dir) => {
+    const fonts = loadLocalFonts({ dir });
+    assert.deepEqual(fonts.map((f) => [f.family, f.weight, f.italic]), [["Tiny Sans", 400, false]]);
+
+    const { svg } = normalizeSvgWithInventory(logo("'Tiny Sans', sans-serif"), { fonts });
+    assert.equal(svg.querySelectorAll("text").length, 0);
+
+    // Split into one path per glyph bar; at 100px each bar is 40 × 70, 60 apart, on the baseline
+    const bars = [...svg.querySelectorAll("path")].filter((p) => p.getAttribute("data-original-tag") === "text");
+    const boxes = bars.map((p) => getPathGeometry(p.getAttribute("d")).bbox).map(({ x, y, width, height }) => [x, y, width, height].map((v) => +v.toFixed(3)));
+    boxes.sort((a, b) => a[0] - b[0]);
+    assert.deepEqual(boxes, [[20, 10, 40, 70], [80, 10, 40, 70]]);
+    assert.ok(bars.every((p) => p.getAttribute("fill") === "#e85d26"));
+  });
+});
+
+test("text in a font that isn't available is kept and tagged", () => {
+  withFontsDir((dir) => {
+    const { svg } = normalizeSvgWithInventory(logo("Brand Serif, serif"), { fonts: loadLocalFonts({ dir }) });
+    const text = svg.querySelector("text");
+    assert.ok(text);
+    assert.equal(text.getAttribute("data-missing-font"), "Brand Serif");
+  });
+});
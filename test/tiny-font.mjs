@@ -0,0 +1,81 @@
+// Minimal TrueType font built in memory for the text-outlining tests: glyphs are rectangles
+// of on-curve points, mapped through a format 6 cmap, named by a single Windows name record.
+
+const u16 = (v) => [(v >> 8) & 0xff, v & 0xff];
+const u32 = (v) => [...u16(v >>> 16), ...u16(v & 0xffff)];
+
+function table(size, fill) {
+  const view = new DataView(new ArrayBuffer(size));
+  fill(view);
+  return new Uint8Array(view.buffer);
+}
+
+// One simple glyph: each rect [x0, y0, x1, y1] is a clockwise contour (y up)
+function glyphBytes(rects) {
+  if (rects.length === 0) return [];
+  const points = rects.flatMap(([x0, y0, x1, y1]) => [[x0, y0], [x0, y1], [x1, y1], [x1, y0]]);
+  const xs = points.map((p) => p[0]), ys = points.map((p) => p[1]);
+  const bytes = [...u16(rects.length), ...u16(Math.min(...xs)), ...u16(Math.min(...ys)), ...u16(Math.max(...xs)), ...u16(Math.max(...ys))];
+  rects.forEach((_, i) => bytes.push(...u16(i * 4 + 3)));
+  bytes.push(...u16(0)); // no instructions
+  points.forEach(() => bytes.push(1)); // on curve, 16-bit deltas
+  for (const coords of [xs, ys]) coords.forEach((v, i) => bytes.push(...u16(v - (i ? coords[i - 1] : 0))));
+  while (bytes.length % 4) bytes.push(0);
+  return bytes;
+}
+
+// glyphs: { [char]: { advance, rects } } → font file bytes
+export function buildTinyFont({ family = "Tiny", unitsPerEm = 1000, glyphs = {} } = {}) {
+  const chars = Object.keys(glyphs).sort();
+  const order = [{ advance: unitsPerEm / 2, rects: [] }, ...chars.map((ch) => glyphs[ch])];
+
+  const glyf = [];
+  const offsets = [];
+  for (const g of order) {
+    offsets.push(glyf.length);
+    glyf.push(...glyphBytes(g.rects));
+  }
+  offsets.push(glyf.length);
+
+  const codes = chars.map((ch) => ch.codePointAt(0));
+  const first = codes.length ? Math.min(...codes) : 0;
+  const count = codes.length ? Math.max(...codes) - first + 1 : 0;
+  const cmapIds = new Array(count).fill(0);
+  codes.forEach((code, i) => (cmapIds[code - first] = i + 1));
+  const nameUtf16 = [...family].flatMap((ch) => u16(ch.charCodeAt(0)));
+
+  const tables = {
+    cmap: new Uint8Array([...u16(0), ...u16(1), ...u16(3), ...u16(1), ...u32(12), ...u16(6), ...u16(10 + count * 2), ...u16(0), ...u16(first), ...u16(count), ...cmapIds.flatMap(u16)]),
+    glyf: new Uint8Array(glyf),
+    head: table(54, (v) => {
+      v.setUint32(0, 0x00010000);
+      v.setUint16(18, unitsPerEm);
+      v.setInt16(50, 1); // long loca offsets
+    }),
+    hhea: table(36, (v) => {
+      v.setUint32(0, 0x00010000);
+      v.setUint16(34, order.length);
+    }),
+    hmtx: new Uint8Array(order.flatMap((g) => [...u16(g.advance), ...u16(0)])),
+    loca: new Uint8Array(offsets.flatMap(u32)),
+    maxp: table(6, (v) => {
+      v.setUint32(0, 0x00005000);
+      v.setUint16(4, order.length);
+    }),
+    name: new Uint8Array([...u16(0), ...u16(1), ...u16(18), ...u16(3), ...u16(1), ...u16(0x409), ...u16(1), ...u16(nameUtf16.length), ...u16(0), ...nameUtf16]),
+  };
+
+  const tags = Object.keys(tables).sort();
+  const header = [...u32(0x00010000), ...u16(tags.length), ...u16(0), ...u16(0), ...u16(0)];
+  const body = [];
+  let offset = 12 + tags.length * 16;
+  for (const tag of tags) {
+    const bytes = tables[tag];
+    header.push(...[...tag].map((c) => c.charCodeAt(0)), ...u32(0), ...u32(offset), ...u32(bytes.length));
+    const padded = [...bytes];
+    while (padded.length % 4) padded.push(0);
+    body.push(...padded);
+    offset += padded.length;
+  }
+  return new Uint8Array([...header, ...body]);
+}
@@ -0,0 +1,14 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { vectorizeImage } from "../lib/vectorizer.js";
+
+const JPEG = { data: Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10]), filename: "logo.jpg", mimeType: "image/jpeg" };
+
+test("auto mode surfaces the real error for input the offline tracer can't read", async () => {
+  await assert.rejects(vectorizeImage(JPEG, { engine: "auto", env: {} }), (err) => {
+    assert.equal(err.status, 500);
+    assert.match(err.message, /credentials not configured.*only handles PNG/);
+    return true;
+  });
+  await assert.rejects(vectorizeImage(JPEG, { engine: "local", env: {} }), { status: 415 });
+});
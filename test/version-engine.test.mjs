@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyzeSvgStructure } from "../lib/structural-analysis.js";
+import { applyStylesheets } from "../lib/svg-normalize.js";
+import { generateAllVersions } from "../lib/version-engine.js";
+import { parseSvgElement, serializeSvg } from "../lib/svg-dom.js";
+
+const CLASS_FILLED = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 100">
+  <style>.cls-1{fill:#e85d26}.cls-2{fill:#1a4f9c}</style>
+  <path class="cls-1" d="M10 10h80v80h-80z"/>
+  <path class="cls-2" d="M110 10h80v80h-80z"/>
+</svg>`;
+
+test("class-filled logos get recolored once stylesheets are applied", () => {
+  // As the pipeline's structuring step and the page do before colorizing and versioning
+  const svg = parseSvgElement(CLASS_FILLED);
+  applyStylesheets(svg);
+  const source = serializeSvg(svg);
+  assert.doesNotMatch(source, /<style/);
+
+  const { registries, report } = analyzeSvgStructure(source, null, { fonts: [] });
+  const versions = generateAllVersions(registries, report, source);
+  const oneColor = versions.find((v) => v.id === "v_1");
+
+  assert.equal(oneColor.palette.length, 1);
+  assert.notEqual(oneColor.svgString, source);
+  const fills = [...oneColor.svgString.matchAll(/fill="([^"]+)"/g)].map((m) => m[1]);
+  assert.deepEqual(fills, [oneColor.palette[0], oneColor.palette[0]]);
+});
+
+test("applyStylesheets keeps @font-face rules for embedded text", () => {
+  const svg = parseSvgElement(`<svg xmlns="http://www.w3.org/2000/svg"><style>@font-face{font-family:Brand;src:url(data:font/ttf;base64,AAAA)} .t{fill:red}</style><text class="t">Hi</text></svg>`);
+  applyStylesheets(svg);
+  const source = serializeSvg(svg);
+  assert.match(source, /@font-face\s*\{font-family:Brand/);
+  assert.doesNotMatch(source, /\.t\s*\{/);
+  assert.match(source, /<text class="t" fill="red">/);
+});
+
+test("flattening keeps white-like highlights translucent", () => {
+  const source = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 100">
+  <path id="base" d="M10 10h180v80h-180z" fill="#1a4f9c"/>
+  <path id="shade" d="M20 20h60v60h-60z" fill="#e85d26" opacity="0.5"/>
+  <g opacity="0.3"><path id="shine" d="M110 20h60v30h-60z" fill="#ffffff"/></g>
+</svg>`;
+  const { registries, report } = analyzeSvgStructure(source, null, { fonts: [] });
+  for (const id of ["v_3to5", "v_2"]) {
+    const svg = parseSvgElement(generateAllVersions(registries, report, source).find((v) => v.id === id).svgString);
+    const shade = svg.querySelector("#shade");
+    assert.equal(shade.getAttribute("opacity"), null, `${id}: remapped ink is opaque`);
+    assert.notEqual(shade.getAttribute("fill"), "#e85d26");
+    const shine = svg.querySelector("#shine");
+    const alpha = parseFloat(shine.getAttribute("opacity") ?? shine.parentNode.getAttribute("opacity"));
+    assert.equal(alpha, 0.3, `${id}: the highlight stays translucent`);
+  }
+});